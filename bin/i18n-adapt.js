@@ -1,58 +1,614 @@
 #!/usr/bin/env node
 
+const path = require('path');
+const fs = require('fs-extra');
 const { program } = require('commander');
 const chalk = require('chalk');
-const { 
-  init, 
-  analyze, 
-  generateTranslations, 
-  updateUI 
+const { listProviders } = require('../lib/languages/processors');
+const { loadConfig, resolveOptions } = require('../lib/config');
+const {
+  init,
+  loadProject,
+  analyze,
+  readCatalog,
+  extractCatalog,
+  pruneCatalog,
+  getStatus,
+  checkProject,
+  generateTranslations,
+  exportTranslations,
+  importTranslations,
+  replaceStrings,
+  updateUI,
+  previewChanges,
+  beginRun,
+  discardRun,
+  commitRun,
+  rollbackRun,
+  listRuns
 } = require('../lib/index');
+const { getMemoryDir, importTmx, exportTmx } = require('../lib/languages/memory');
+const { EXCHANGE_FORMATS, detectExchangeFormat, buildExchangeFile, parseExchangeFile } = require('../lib/languages/exchange');
+const { buildJUnitReport } = require('../lib/formats/junit');
+const { buildSarifReport } = require('../lib/formats/sarif');
+
+// Report formats of the check command
+const REPORT_FORMATS = ['text', 'json', 'junit', 'sarif'];
+
+// Split a comma-separated option into a list
+function collectList(value) {
+  return value.split(',').map(item => item.trim()).filter(Boolean);
+}
+
+// Collect repeated key=value options into an object
+function collectOption(value, previous) {
+  const [key, ...rest] = value.split('=');
+  return { ...previous, [key]: rest.join('=') };
+}
+
+// Options every command that works on a project takes
+function addProjectOptions(command) {
+  return command
+    .option('-p, --path <projectPath>', 'path to project root', '.')
+    .option('-c, --config <file>', 'config file, default i18n-adapt.config.js or .i18n-adaptrc.json in the project root')
+    .option('--json', 'print the result as JSON on stdout, progress goes to stderr', false);
+}
+
+// Options of commands that change files
+function addWriteOptions(command) {
+  return command
+    .option('--dry-run', 'show a diff of every change instead of writing files', false)
+    .option('--patch <file>', 'with --dry-run, write the changes to a patch file instead of printing them');
+}
+
+// Options that pick how translations are stored
+function addStructureOptions(command) {
+  return command
+    .option('--storage <mode>', 'React translation storage (inline, json), detected by default')
+    .option('--loader <loader>', 'how i18next loads JSON resources (static, http)')
+    .option('--angular-i18n <mode>', 'Angular i18n flavor (ngx-translate, localize), detected by default');
+}
+
+// Options that pick the target languages and translation service
+function addTranslationOptions(command) {
+  return command
+    .option('-l, --language <code>', 'target language code (es, zh, hi, etc.), default es')
+    .option('--languages <codes>', 'comma-separated target languages translated in one run (es,fr,de,ja)', collectList)
+    .option('-k, --key <apiKey>', 'Translation API key')
+    .option('--service <service>', `translation service (${listProviders().join(', ')}) or path to a provider module, default gemini`)
+    .option('-o, --provider-option <key=value>', 'option passed to the translation provider (repeatable)', collectOption, {})
+    .option('-f, --force-all', 'retranslate every string, not only new or changed ones', false)
+    .option('--glossary <file>', 'glossary of mandated and do-not-translate terms (.csv or .tbx)')
+    .option('--no-translation-memory', 'neither reuse nor record translations in the shared translation memory');
+}
+
+// Keep stdout for a machine-readable result by sending every progress message to stderr
+function keepStdoutForResult() {
+  console.log = console.error;
+  console.info = console.error;
+}
+
+function printJson(result) {
+  process.stdout.write(`${JSON.stringify(result, null, 2)}\n`);
+}
+
+// Write everything a run staged, or only show it for --dry-run
+async function finishRun(options) {
+  if (options.dryRun) {
+    const changes = await previewChanges(options.path, { patchFile: options.patch });
+    return {
+      dryRun: true,
+      files: changes.map(({ file }) => path.relative(path.resolve(options.path), file).split(path.sep).join('/'))
+    };
+  }
+
+  const manifest = await commitRun(options.path, { command: process.argv.slice(2).join(' '), keep: options.keepRuns });
+  return manifest && { runId: manifest.runId, files: manifest.files.map(entry => entry.file) };
+}
+
+// Wrap a command handler: load the config, stage its writes, apply them and report the result
+function runCommand(handler, { writes = true, done = null } = {}) {
+  return async (...args) => {
+    const command = args[args.length - 1];
+    const cliOptions = command.opts();
+    if (cliOptions.json || (cliOptions.format && cliOptions.format !== 'text' && !cliOptions.output)) {
+      keepStdoutForResult();
+    }
+
+    try {
+      console.log(chalk.blue('🌍 i18n-adapt - Internationalization Automation Tool'));
+
+      // Config file settings, overridden by any flag given on the command line
+      const { config } = await loadConfig(cliOptions.path, cliOptions.config);
+      const options = resolveOptions(config, cliOptions);
+
+      // Every write is staged and applied together at the end, or only shown for a dry run
+      beginRun();
+      const result = await handler(options, { config, cliOptions, args: args.slice(0, -2) });
+
+      let run = null;
+      if (writes) {
+        run = await finishRun(options);
+      } else {
+        discardRun();
+      }
+
+      if (done && !options.dryRun) {
+        if (process.exitCode) {
+          console.log(chalk.yellow('\n⚠️ Internationalization finished with errors'));
+        } else {
+          console.log(chalk.green(`\n✅ ${done}`));
+        }
+      }
+
+      if (cliOptions.json) {
+        printJson({ command: command.name(), ...result, run, ok: !process.exitCode });
+      }
+    } catch (err) {
+      if (cliOptions.json) {
+        printJson({ command: command.name(), ok: false, error: err.message });
+      }
+      console.error(chalk.red(`❌ Error: ${err.message}`));
+      process.exit(1);
+    }
+  };
+}
+
+// Translate the source catalog, marking the run failed if any language failed
+async function translateCatalog(project, options) {
+  const keys = await readCatalog(project);
+  if (keys.length === 0) {
+    console.warn(chalk.yellow('⚠️ The source catalog is empty. Run i18n-adapt extract first.'));
+    return { languages: {}, failed: [] };
+  }
+
+  const { summary, failed } = await generateTranslations({ ...project, keys }, options.languages, options.key, options.service, options.forceAll, options.providerOption);
+  if (failed.length > 0) {
+    console.error(chalk.red(`❌ Translation failed for ${failed.map(({ language }) => language).join(', ')}`));
+    process.exitCode = 1;
+  }
+
+  return {
+    languages: summary,
+    failed: failed.map(({ language, error }) => ({ language, error: error.message }))
+  };
+}
+
+// Extract strings into the source catalog, optionally rewriting them to t() calls
+async function extractStrings(options) {
+  const analysis = await analyze(options.path, options);
+  console.log(chalk.blue(`📊 Analysis complete: Found ${analysis.strings.length} strings, framework: ${analysis.framework}`));
+
+  const catalog = await extractCatalog(analysis);
+
+  let replaced = [];
+  if (options.replaceStrings) {
+    replaced = await replaceStrings(analysis);
+    console.log(chalk.green(`✓ Replaced ${replaced.length} hardcoded strings with translation keys`));
+  }
+
+  return {
+    analysis,
+    result: {
+      framework: analysis.framework,
+      strings: analysis.strings.length,
+      keys: catalog.keys,
+      updated: catalog.updated,
+      replaced: replaced.map(entry => entry.key)
+    }
+  };
+}
+
+function printStatus(status) {
+  console.log(chalk.bold(`\nSource catalog (${status.sourceLocale}): ${status.keys} keys\n`));
+  if (status.locales.length === 0) {
+    console.log(chalk.blue('ℹ️ No target locales yet. Run i18n-adapt translate --languages <codes>'));
+    return;
+  }
+
+  const header = ['Locale', 'Translated', 'Missing', 'Outdated', 'Orphaned', 'Coverage'];
+  const rows = status.locales.map(locale => [
+    locale.language,
+    String(locale.translated),
+    String(locale.missing),
+    String(locale.outdated),
+    String(locale.orphaned),
+    `${locale.coverage}%`
+  ]);
+  const widths = header.map((title, idx) => Math.max(title.length, ...rows.map(row => row[idx].length)));
+  const format = row => row.map((cell, idx) => cell.padEnd(widths[idx])).join('  ').trimEnd();
+
+  console.log(chalk.bold(format(header)));
+  rows.forEach((row, idx) => {
+    const { coverage } = status.locales[idx];
+    const color = coverage === 100 ? chalk.green : coverage >= 80 ? chalk.yellow : chalk.red;
+    console.log(color(format(row)));
+  });
+}
 
 program
   .name('i18n-adapt')
   .description('Automatically internationalize and adapt UI for multiple languages')
   .version('1.0.0')
-  .option('-l, --language <code>', 'target language code (es, zh, hi, etc.)', 'es')
+  .enablePositionalOptions();
+
+const initCommand = program
+  .command('init')
+  .description('set up the i18n library files and the responsive stylesheet');
+addProjectOptions(initCommand);
+addStructureOptions(initCommand);
+addWriteOptions(initCommand);
+initCommand.action(runCommand(async options => init(options.path, options), {
+  done: 'Project initialized for internationalization'
+}));
+
+const extractCommand = program
+  .command('extract')
+  .description('extract hardcoded strings into the source locale catalog');
+addProjectOptions(extractCommand);
+addStructureOptions(extractCommand);
+addWriteOptions(extractCommand);
+extractCommand
+  .option('--key-scope <scope>', 'share keys per text, file or component (global, file, component)')
+  .option('--replace-strings', 'also replace hardcoded strings with t() calls', false)
+  .action(runCommand(async options => (await extractStrings(options)).result, {
+    done: 'Source catalog updated'
+  }));
+
+const translateCommand = program
+  .command('translate')
+  .description('translate new and changed keys of the source catalog into the target locales');
+addProjectOptions(translateCommand);
+addStructureOptions(translateCommand);
+addWriteOptions(translateCommand);
+addTranslationOptions(translateCommand);
+translateCommand.action(runCommand(async options => {
+  const project = await loadProject(options.path, options);
+  return { framework: project.framework, ...await translateCatalog(project, options) };
+}, { done: 'Translations updated' }));
+
+const syncCommand = program
+  .command('sync')
+  .description('extract, remove keys the code no longer uses, and translate what changed');
+addProjectOptions(syncCommand);
+addStructureOptions(syncCommand);
+addWriteOptions(syncCommand);
+addTranslationOptions(syncCommand);
+syncCommand
+  .option('--key-scope <scope>', 'share keys per text, file or component (global, file, component)')
+  .option('--no-prune', 'keep keys the code no longer uses')
+  .action(runCommand(async options => {
+    const { analysis, result } = await extractStrings(options);
+    const pruned = options.prune ? await pruneCatalog(analysis) : [];
+    return { ...result, pruned, ...await translateCatalog(analysis, options) };
+  }, { done: 'Catalog and translations in sync' }));
+
+const statusCommand = program
+  .command('status')
+  .description('show translation coverage of every locale');
+addProjectOptions(statusCommand);
+addStructureOptions(statusCommand);
+statusCommand
+  .option('--languages <codes>', 'also list these locales, even before they have translations', collectList)
+  .action(runCommand(async (options, { config, cliOptions }) => {
+    const project = await loadProject(options.path, options);
+    const status = await getStatus(project, cliOptions.languages || config.targetLocales || []);
+    if (!cliOptions.json) printStatus(status);
+    return status;
+  }, { writes: false }));
+
+const checkCommand = program
+  .command('check')
+  .description('report missing, stale and untranslated keys and hardcoded strings; fails below the coverage threshold');
+addProjectOptions(checkCommand);
+addStructureOptions(checkCommand);
+checkCommand
+  .option('--languages <codes>', 'also check these locales, even before they have translations', collectList)
+  .option('--threshold <percent>', 'minimum coverage every locale needs, default 100', parseFloat)
+  .option('--fail-on-hardcoded', 'also fail when hardcoded strings are left in the UI')
+  .option('--format <format>', `report format (${REPORT_FORMATS.join(', ')})`, 'text')
+  .option('--output <file>', 'write the report to a file instead of stdout')
+  .option('--key-scope <scope>', 'share keys per text, file or component (global, file, component)')
+  .action(runCommand(check, { writes: false }));
+
+const uiFixCommand = program
+  .command('ui-fix')
+  .description('adapt UI components and styles to longer or shorter translations');
+addProjectOptions(uiFixCommand);
+addWriteOptions(uiFixCommand);
+uiFixCommand
+  .option('--logical-css', 'rewrite physical left/right CSS to logical properties so layouts flip for right-to-left languages', false)
+  .action(runCommand(async options => {
+    const project = await loadProject(options.path, options);
+    const { logicalCss } = await updateUI(project, { logicalCss: options.logicalCss });
+    return { framework: project.framework, uiFiles: project.uiFiles.length, logicalCss };
+  }, { done: 'UI updated for language responsiveness' }));
+
+const exportCommand = program
+  .command('export')
+  .description('write a language\'s messages with their state and notes to a file for translators');
+addProjectOptions(exportCommand);
+addStructureOptions(exportCommand);
+exportCommand
+  .requiredOption('--lang <code>', 'language to export')
+  .option('--format <format>', `file format (${EXCHANGE_FORMATS.join(', ')})`, 'xliff')
+  .option('--output <file>', 'write the file instead of printing it to stdout')
+  .action(runCommand(exportMessages, { writes: false }));
+
+const importCommand = program
+  .command('import <file>')
+  .description('merge reviewed translations from a translator\'s XLIFF, PO or CSV file into the locale files');
+addProjectOptions(importCommand);
+addStructureOptions(importCommand);
+addWriteOptions(importCommand);
+importCommand
+  .option('--lang <code>', 'language of the file, read from XLIFF and PO files by default')
+  .option('--format <format>', `file format (${EXCHANGE_FORMATS.join(', ')}), detected from the extension by default`)
+  .action(runCommand(importMessages, { done: 'Translations imported' }));
+
+const memoryCommand = program
+  .command('memory')
+  .description('import and export the translation memory shared by every project, as TMX');
+
+const memoryImportCommand = memoryCommand
+  .command('import <file>')
+  .description('seed the translation memory from a TMX file, such as translators\' past work');
+addProjectOptions(memoryImportCommand);
+memoryImportCommand.action(runCommand(async (options, { args: [file] }) => {
+  const dir = getMemoryDir(options.providerOption.translationMemory);
+  const result = await importTmx(dir, await fs.readFile(file, 'utf8'), { sourceLang: options.sourceLocale });
+  const counts = Object.keys(result.imported).map(language => `${language}: ${result.imported[language]}`);
+  console.log(chalk.green(`✓ Imported ${result.units} translation units from ${file} into ${dir}${counts.length > 0 ? ` (${counts.join(', ')})` : ''}`));
+  return { file, dir, ...result };
+}));
+
+const memoryExportCommand = memoryCommand
+  .command('export <file>')
+  .description('write the translation memory to a TMX file');
+addProjectOptions(memoryExportCommand);
+memoryExportCommand
+  .option('--languages <codes>', 'only export these target languages', collectList)
+  .action(runCommand(async (options, { cliOptions, args: [file] }) => {
+    const dir = getMemoryDir(options.providerOption.translationMemory);
+    const result = await exportTmx(dir, { sourceLang: options.sourceLocale, languages: cliOptions.languages });
+    // Like check reports, exports are written straight away rather than staged as project changes
+    await fs.outputFile(file, result.content);
+    console.log(chalk.green(`✓ Exported ${result.units} translation units (${result.languages.join(', ') || 'no languages'}) to ${file}`));
+    return { file, dir, languages: result.languages, units: result.units };
+  }, { writes: false }));
+
+program
+  .command('rollback [runId]')
+  .description('restore every file changed by a run (the latest one by default)')
+  .option('-p, --path <projectPath>', 'path to project root', '.')
+  .option('--list', 'list recorded runs instead of rolling back', false)
+  .option('--force', 'restore files even if they changed after the run', false)
+  .option('--json', 'print the result as JSON on stdout', false)
+  .action(rollback);
+
+// Running without a command keeps the original all-in-one pipeline
+program
+  .option('-l, --language <code>', 'target language code (es, zh, hi, etc.), default es')
+  .option('--languages <codes>', 'comma-separated target languages translated in one run (es,fr,de,ja)', collectList)
   .option('-k, --key <apiKey>', 'Translation API key')
   .option('-p, --path <projectPath>', 'path to project root', '.')
-  .option('-f, --force-all', 'force retranslation of all strings', false)
+  .option('-c, --config <file>', 'config file, default i18n-adapt.config.js or .i18n-adaptrc.json in the project root')
+  .option('-f, --force-all', 'retranslate every string, not only new or changed ones', false)
   .option('--no-ui-fix', 'skip UI responsiveness fixes', false)
-  .option('--service <service>', 'translation service (gemini, google, azure)', 'gemini')
-  .option('--extract-only', 'only extract strings, no translation', false)
-  .option('--init-only', 'only initialize i18n structure', false);
+  .option('--service <service>', `translation service (${listProviders().join(', ')}) or path to a provider module, default gemini`)
+  .option('-o, --provider-option <key=value>', 'option passed to the translation provider (repeatable)', collectOption, {})
+  .option('--extract-only', 'deprecated, use `i18n-adapt extract`', false)
+  .option('--replace-strings', 'replace hardcoded strings with t() calls', false)
+  .option('--init-only', 'deprecated, use `i18n-adapt init`', false)
+  .option('--dry-run', 'show a diff of every change instead of writing files', false)
+  .option('--patch <file>', 'with --dry-run, write the changes to a patch file instead of printing them')
+  .option('--key-scope <scope>', 'share keys per text, file or component (global, file, component)')
+  .option('--storage <mode>', 'React translation storage (inline, json), detected by default')
+  .option('--loader <loader>', 'how i18next loads JSON resources (static, http)')
+  .option('--angular-i18n <mode>', 'Angular i18n flavor (ngx-translate, localize), detected by default')
+  .action(runCommand(main, { done: 'Internationalization complete!' }));
 
-program.parse();
+function printCheck(report) {
+  console.log(chalk.bold(`\nSource catalog (${report.sourceLocale}): ${report.keys} keys, threshold ${report.threshold}%\n`));
+
+  const listKeys = (label, keys, color) => {
+    if (keys.length === 0) return;
+    console.log(color(`  ${label} (${keys.length}): ${keys.slice(0, 10).join(', ')}${keys.length > 10 ? ', ...' : ''}`));
+  };
+
+  report.locales.forEach(locale => {
+    const mark = locale.passed ? chalk.green('✓') : chalk.red('✗');
+    console.log(`${mark} ${chalk.bold(locale.language)} ${locale.coverage}%`);
+    listKeys('missing', locale.missing, chalk.red);
+    listKeys('empty', locale.empty, chalk.red);
+    listKeys('stale', locale.stale, chalk.yellow);
+    listKeys('identical to source', locale.untranslated, chalk.gray);
+    listKeys('not in source catalog', locale.extra, chalk.gray);
+  });
+
+  if (report.hardcoded.length > 0) {
+    const color = report.failOnHardcoded ? chalk.red : chalk.yellow;
+    console.log(color(`\n${report.hardcoded.length} hardcoded strings left in the UI:`));
+    report.hardcoded.slice(0, 20).forEach(entry => {
+      console.log(color(`  ${entry.file}:${entry.line}  "${entry.text}"`));
+    });
+    if (report.hardcoded.length > 20) {
+      console.log(color(`  ... and ${report.hardcoded.length - 20} more`));
+    }
+  }
+}
+
+async function check(options, { config, cliOptions }) {
+  if (!REPORT_FORMATS.includes(options.format)) {
+    throw new Error(`Unsupported report format: ${options.format}. Use one of ${REPORT_FORMATS.join(', ')}`);
+  }
+  const threshold = options.threshold === undefined ? 100 : options.threshold;
+  if (Number.isNaN(threshold) || threshold < 0 || threshold > 100) {
+    throw new Error('--threshold should be a percentage between 0 and 100');
+  }
+
+  const analysis = await analyze(options.path, options);
+  const report = await checkProject(analysis, {
+    languages: cliOptions.languages || config.targetLocales || [],
+    threshold,
+    failOnHardcoded: Boolean(options.failOnHardcoded)
+  });
+
+  if (options.format === 'text') {
+    printCheck(report);
+  } else {
+    const content = options.format === 'junit'
+      ? buildJUnitReport(report)
+      : options.format === 'sarif'
+        ? buildSarifReport(report)
+        : `${JSON.stringify(report, null, 2)}\n`;
+
+    // Reports are build output, not project changes, so they skip the run's staging
+    if (options.output) {
+      await fs.outputFile(options.output, content);
+      console.log(chalk.green(`✓ Wrote ${options.format} report to ${options.output}`));
+    } else if (!cliOptions.json) {
+      process.stdout.write(content);
+    }
+  }
 
-const options = program.opts();
+  if (report.passed) {
+    console.log(chalk.green('\n✅ Check passed'));
+  } else {
+    console.error(chalk.red('\n❌ Check failed'));
+    process.exitCode = 1;
+  }
+  return report;
+}
+
+async function exportMessages(options, { cliOptions }) {
+  if (!EXCHANGE_FORMATS.includes(options.format)) {
+    throw new Error(`Unsupported translation file format: ${options.format}. Use one of ${EXCHANGE_FORMATS.join(', ')}`);
+  }
+  const project = await loadProject(options.path, options);
+  const units = await exportTranslations(project, options.lang);
+  const content = buildExchangeFile(options.format, {
+    sourceLanguage: project.structure.sourceLocale,
+    language: options.lang,
+    units
+  });
+
+  const states = units.reduce((counts, unit) => ({ ...counts, [unit.state]: (counts[unit.state] || 0) + 1 }), {});
+  const counts = ['untranslated', 'stale', 'machine-translated', 'reviewed']
+    .filter(state => states[state])
+    .map(state => `${states[state]} ${state}`);
+
+  // Like check reports, translation files are handed out rather than staged as project changes
+  if (options.output) {
+    await fs.outputFile(options.output, content);
+    console.log(chalk.green(`✓ Exported ${units.length} ${options.lang} messages (${counts.join(', ') || 'none'}) to ${options.output}`));
+  } else if (!cliOptions.json) {
+    process.stdout.write(content);
+  }
+  return { language: options.lang, format: options.format, file: options.output || null, messages: units.length, states };
+}
+
+function listSkipped(reason, keys) {
+  if (keys.length === 0) return;
+  console.warn(chalk.yellow(`⚠️ Skipped ${keys.length} ${reason}: ${keys.slice(0, 10).join(', ')}${keys.length > 10 ? ', ...' : ''}`));
+}
+
+async function importMessages(options, { args: [file] }) {
+  const format = options.format || detectExchangeFormat(file);
+  if (!format) {
+    throw new Error(`Could not tell the format of ${file}. Pass --format (${EXCHANGE_FORMATS.join(', ')})`);
+  }
+  const parsed = parseExchangeFile(format, await fs.readFile(file, 'utf8'));
+  const language = options.lang || parsed.language;
+  if (!language) {
+    throw new Error(`${file} doesn't name its language. Pass --lang`);
+  }
+  if (options.lang && parsed.language && options.lang.toLowerCase() !== parsed.language.toLowerCase()) {
+    throw new Error(`${file} holds ${parsed.language} translations, not ${options.lang}`);
+  }
+
+  const project = await loadProject(options.path, options);
+  const result = await importTranslations(project, language, parsed.units);
+
+  console.log(chalk.green(`✓ ${language}: ${result.imported.length} translations imported, ${result.reviewed.length} marked reviewed, ${result.unchanged.length} unchanged`));
+  listSkipped('units the file doesn\'t mark as translated', result.untranslated);
+  listSkipped('units whose key is not in the source catalog', result.unknown);
+  listSkipped('units translated from an older source text (export them again)', result.outdated);
+  if (result.rejected.length > 0) {
+    console.error(chalk.red(`❌ ${result.rejected.length} translations failed placeholder validation and were not imported:`));
+    result.rejected.forEach(({ key, translation, problems }) => {
+      console.error(chalk.red(`   ${key}: ${problems.join(', ')} in "${translation}"`));
+    });
+    process.exitCode = 1;
+  }
+
+  return { file, format, language, ...result };
+}
+
+async function rollback(runId, rollbackOptions) {
+  if (rollbackOptions.json) keepStdoutForResult();
 
-async function main() {
   try {
-    console.log(chalk.blue('🌍 i18n-adapt - Internationalization Automation Tool'));
-    
-    if (options.initOnly) {
-      await init(options.path);
-      console.log(chalk.green('✅ Project initialized for internationalization'));
+    if (rollbackOptions.list) {
+      const runs = await listRuns(rollbackOptions.path);
+      if (rollbackOptions.json) {
+        printJson({ command: 'rollback', ok: true, runs });
+        return;
+      }
+      if (runs.length === 0) {
+        console.log(chalk.blue('ℹ️ No runs recorded'));
+      }
+      runs.forEach(run => {
+        console.log(`${chalk.bold(run.runId)}  ${run.status.padEnd(11)}  ${run.files.length} files  ${chalk.gray(run.command || '')}`);
+      });
       return;
     }
-    
-    const analysis = await analyze(options.path);
-    console.log(chalk.blue(`📊 Analysis complete: Found ${analysis.strings.length} strings, framework: ${analysis.framework}`));
-    
-    if (!options.extractOnly) {
-      await generateTranslations(analysis, options.language, options.key, options.service, options.forceAll);
-    }
-    
-    if (options.uiFix) {
-      await updateUI(analysis);
-      console.log(chalk.green('✓ UI updated for language responsiveness'));
+
+    const manifest = await rollbackRun(rollbackOptions.path, runId, { force: rollbackOptions.force });
+    if (rollbackOptions.json) {
+      printJson({ command: 'rollback', ok: true, run: manifest });
     }
-    
-    console.log(chalk.green('\n✅ Internationalization complete!'));
   } catch (err) {
+    if (rollbackOptions.json) {
+      printJson({ command: 'rollback', ok: false, error: err.message });
+    }
     console.error(chalk.red(`❌ Error: ${err.message}`));
     process.exit(1);
   }
 }
 
-main();
\ No newline at end of file
+async function main(options) {
+  if (options.initOnly) {
+    console.warn(chalk.yellow('⚠️ --init-only is deprecated, use: i18n-adapt init'));
+    return init(options.path, options);
+  }
+  if (options.extractOnly) {
+    console.warn(chalk.yellow('⚠️ --extract-only is deprecated, use: i18n-adapt extract'));
+  }
+
+  const analysis = await analyze(options.path, options);
+  console.log(chalk.blue(`📊 Analysis complete: Found ${analysis.strings.length} strings, framework: ${analysis.framework}`));
+
+  if (options.replaceStrings) {
+    const replaced = await replaceStrings(analysis);
+    console.log(chalk.green(`✓ Replaced ${replaced.length} hardcoded strings with translation keys`));
+  }
+
+  if (!options.extractOnly) {
+    const { failed } = await generateTranslations(analysis, options.languages, options.key, options.service, options.forceAll, options.providerOption);
+
+    if (failed.length > 0) {
+      console.error(chalk.red(`❌ Translation failed for ${failed.map(({ language }) => language).join(', ')}`));
+      process.exitCode = 1;
+    }
+  }
+
+  if (options.uiFix) {
+    await updateUI(analysis);
+    console.log(chalk.green('✓ UI updated for language responsiveness'));
+  }
+
+  return { framework: analysis.framework };
+}
+
+program.parse();
@@ -0,0 +1,266 @@
+const fs = require('fs-extra');
+const path = require('path');
+const chalk = require('chalk');
+const _ = require('lodash');
+
+// Config files looked up in the project root, first match wins
+const CONFIG_FILES = ['i18n-adapt.config.js', '.i18n-adaptrc.json'];
+
+const stringList = { type: 'array', items: { type: 'string' } };
+
+// Schema every config file is validated against
+const CONFIG_SCHEMA = {
+  type: 'object',
+  properties: {
+    sourceLocale: { type: 'string' },
+    targetLocales: stringList,
+    include: stringList,
+    exclude: stringList,
+    output: {
+      type: 'object',
+      properties: {
+        i18nFile: { type: 'string' },
+        localesDir: { type: 'string' },
+        storage: { type: 'string', enum: ['inline', 'json'] },
+        loader: { type: 'string', enum: ['static', 'http'] },
+        angularI18n: { type: 'string', enum: ['ngx-translate', 'localize'] },
+        responsiveCss: { type: 'string' }
+      }
+    },
+    provider: {
+      type: 'object',
+      properties: {
+        service: { type: 'string' },
+        options: { type: 'object', additionalProperties: true },
+        batchSize: { type: 'number', minimum: 1 },
+        requestsPerMinute: { type: 'number', minimum: 0 },
+        delayMs: { type: 'number', minimum: 0 },
+        maxRetries: { type: 'number', minimum: 0 },
+        languageNames: { type: 'object', additionalProperties: { type: 'string' } }
+      }
+    },
+    glossary: {
+      type: 'object',
+      properties: {
+        file: { type: 'string' },
+        doNotTranslate: stringList
+      }
+    },
+    translationMemory: {
+      type: 'object',
+      properties: {
+        enabled: { type: 'boolean' },
+        path: { type: 'string' }
+      }
+    },
+    keys: {
+      type: 'object',
+      properties: {
+        scope: { type: 'string', enum: ['global', 'file', 'component'] }
+      }
+    },
+    check: {
+      type: 'object',
+      properties: {
+        threshold: { type: 'number', minimum: 0, maximum: 100 },
+        failOnHardcoded: { type: 'boolean' }
+      }
+    },
+    backups: {
+      type: 'object',
+      properties: {
+        keep: { type: 'number', minimum: 1 }
+      }
+    },
+    namespaces: {
+      type: 'object',
+      properties: {
+        rules: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['namespace'],
+            properties: {
+              namespace: { type: 'string' },
+              keywords: stringList,
+              pattern: { type: 'string' },
+              maxLength: { type: 'number', minimum: 1 }
+            }
+          }
+        },
+        fallback: { type: 'string' }
+      }
+    }
+  }
+};
+
+function getType(value) {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  return typeof value;
+}
+
+// Check a value against a schema node, collecting readable errors
+function validateSchema(value, schema, at, errors) {
+  const type = getType(value);
+  if (type !== schema.type) {
+    errors.push(`${at} should be ${schema.type === 'array' ? 'an array' : `a ${schema.type}`}, got ${type}`);
+    return errors;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${at} should be one of ${schema.enum.join(', ')}, got ${value}`);
+  }
+  if (schema.minimum !== undefined && value < schema.minimum) {
+    errors.push(`${at} should be at least ${schema.minimum}`);
+  }
+  if (schema.maximum !== undefined && value > schema.maximum) {
+    errors.push(`${at} should be at most ${schema.maximum}`);
+  }
+  if (type === 'array' && schema.items) {
+    value.forEach((item, idx) => validateSchema(item, schema.items, `${at}[${idx}]`, errors));
+  }
+  if (type === 'object') {
+    (schema.required || []).forEach(name => {
+      if (value[name] === undefined) errors.push(`${at}.${name} is required`);
+    });
+    Object.keys(value).forEach(name => {
+      const property = schema.properties && schema.properties[name];
+      if (property) {
+        validateSchema(value[name], property, `${at}.${name}`, errors);
+      } else if (_.isPlainObject(schema.additionalProperties)) {
+        validateSchema(value[name], schema.additionalProperties, `${at}.${name}`, errors);
+      } else if (!schema.additionalProperties) {
+        errors.push(`${at}.${name} is not a known option`);
+      }
+    });
+  }
+  return errors;
+}
+
+// Errors in a config object, empty when it is valid
+function validateConfig(config) {
+  const errors = validateSchema(config, CONFIG_SCHEMA, 'config', []);
+
+  const rules = _.get(config, 'namespaces.rules', []);
+  rules.forEach((rule, idx) => {
+    if (typeof rule.pattern !== 'string') return;
+    try {
+      new RegExp(rule.pattern, 'i');
+    } catch (err) {
+      errors.push(`config.namespaces.rules[${idx}].pattern is not a valid regular expression: ${err.message}`);
+    }
+  });
+
+  return errors;
+}
+
+// Find and load the project's config file, or an explicit one
+async function loadConfig(projectRoot, configFile = null) {
+  const candidates = configFile
+    ? [path.resolve(configFile)]
+    : CONFIG_FILES.map(file => path.join(path.resolve(projectRoot), file));
+
+  let file = null;
+  for (const candidate of candidates) {
+    if (await fs.pathExists(candidate)) {
+      file = candidate;
+      break;
+    }
+  }
+
+  if (!file) {
+    if (configFile) throw new Error(`Config file not found: ${candidates[0]}`);
+    return { file: null, config: {} };
+  }
+
+  let config;
+  try {
+    config = file.endsWith('.js') ? require(file) : await fs.readJson(file);
+  } catch (err) {
+    throw new Error(`Could not read config file ${file}: ${err.message}`);
+  }
+
+  const errors = validateConfig(config);
+  if (errors.length > 0) {
+    throw new Error(`Invalid config file ${file}:\n  ${errors.join('\n  ')}`);
+  }
+
+  console.log(chalk.blue(`⚙️ Using config from ${file}`));
+  return { file, config };
+}
+
+// Options the rest of the tool uses, from the config file with CLI flags taking precedence
+function resolveOptions(config, cliOptions) {
+  const output = config.output || {};
+  const provider = config.provider || {};
+  const glossary = config.glossary || {};
+
+  const fromConfig = _.omitBy({
+    sourceLocale: config.sourceLocale,
+    languages: config.targetLocales,
+    include: config.include,
+    exclude: config.exclude,
+    i18nFile: output.i18nFile,
+    localesDir: output.localesDir,
+    storage: output.storage,
+    loader: output.loader,
+    angularI18n: output.angularI18n,
+    responsiveCss: output.responsiveCss,
+    service: provider.service,
+    keyScope: config.keys && config.keys.scope,
+    namespaces: config.namespaces,
+    keepRuns: config.backups && config.backups.keep,
+    threshold: config.check && config.check.threshold,
+    failOnHardcoded: config.check && config.check.failOnHardcoded
+  }, _.isUndefined);
+
+  const fromCli = _.omitBy(cliOptions, _.isUndefined);
+
+  // A single --language on the command line replaces the configured target list
+  if (fromCli.language && !fromCli.languages) {
+    delete fromConfig.languages;
+  }
+
+  const options = {
+    sourceLocale: 'en',
+    language: 'es',
+    service: 'gemini',
+    ...fromConfig,
+    ...fromCli
+  };
+
+  options.languages = options.languages || [options.language];
+  options.providerOption = {
+    ...provider.options,
+    ..._.omitBy({
+      sourceLang: options.sourceLocale,
+      batchSize: provider.batchSize,
+      requestsPerMinute: provider.requestsPerMinute,
+      delayMs: provider.delayMs,
+      maxRetries: provider.maxRetries,
+      languageNames: provider.languageNames,
+      // A glossary file in the config is relative to the project root, --glossary to the working directory
+      glossaryFile: fromCli.glossary
+        ? path.resolve(fromCli.glossary)
+        : glossary.file && path.resolve(options.path || '.', glossary.file),
+      doNotTranslate: glossary.doNotTranslate
+    }, _.isUndefined),
+    // --no-translation-memory turns off a memory the config file enables
+    translationMemory: {
+      ...config.translationMemory,
+      ...(fromCli.translationMemory === false ? { enabled: false } : {})
+    },
+    ...fromCli.providerOption
+  };
+
+  return options;
+}
+
+module.exports = {
+  CONFIG_FILES,
+  CONFIG_SCHEMA,
+  validateConfig,
+  loadConfig,
+  resolveOptions
+};
@@ -1,4 +1,4 @@
-const fs = require('fs-extra');
+const fs = require('./utils/staging');
 const path = require('path');
 const glob = require('glob');
 const chalk = require('chalk');
@@ -39,8 +39,44 @@ async function detectFramework(projectRoot) {
   return 'react';
 }
 
+// Whether an Angular project uses the built-in @angular/localize instead of ngx-translate
+async function usesAngularLocalize(projectRoot) {
+  try {
+    const pkg = await fs.readJson(path.join(projectRoot, 'package.json'));
+    const deps = { ...pkg.dependencies, ...pkg.devDependencies };
+    return Boolean(deps['@angular/localize']);
+  } catch (err) {
+    return false;
+  }
+}
+
+// How React messages write plurals and values: i18next's own key_one/{{value}} format, or ICU with i18next-icu
+async function detectMessageFormat(projectRoot) {
+  try {
+    const pkg = await fs.readJson(path.join(projectRoot, 'package.json'));
+    const deps = { ...pkg.dependencies, ...pkg.devDependencies };
+    return deps['i18next-icu'] ? 'icu' : 'i18next';
+  } catch (err) {
+    return 'i18next';
+  }
+}
+
+// Whether React translations live inline in i18n.js or in locales/<lang>/<namespace>.json files
+function detectReactStorage(projectRoot, options = {}) {
+  if (glob.sync('public/locales/*/*.json', { cwd: projectRoot }).length > 0) {
+    return { storage: options.storage || 'json', loader: options.loader || 'http' };
+  }
+  if (glob.sync('src/locales/*/*.json', { cwd: projectRoot }).length > 0) {
+    return { storage: options.storage || 'json', loader: options.loader || 'static' };
+  }
+  if (options.storage === 'json' || options.loader) {
+    return { storage: 'json', loader: options.loader || 'static' };
+  }
+  return { storage: 'inline', loader: null };
+}
+
 // Detect project structure based on framework
-async function detectStructure(projectRoot, framework) {
+async function detectStructure(projectRoot, framework, options = {}) {
   console.log(chalk.blue('🔍 Detecting project structure...'));
   
   // Common patterns for i18n files
@@ -63,9 +99,9 @@ async function detectStructure(projectRoot, framework) {
     ]
   };
   
-  // Find i18n file
-  let i18nFile = null;
-  for (const pattern of i18nPatterns[framework]) {
+  // Find i18n file, unless the config names one
+  let i18nFile = options.i18nFile ? path.resolve(projectRoot, options.i18nFile) : null;
+  for (const pattern of i18nFile ? [] : i18nPatterns[framework]) {
     const filePath = path.join(projectRoot, pattern);
     if (await fs.pathExists(filePath)) {
       i18nFile = filePath;
@@ -97,25 +133,53 @@ async function detectStructure(projectRoot, framework) {
     angular: ['src/**/*.html', 'src/**/*.ts']
   };
   
+  // Configured include/exclude globs replace the defaults
   const uiFiles = [];
-  for (const pattern of uiPatterns[framework]) {
-    const files = glob.sync(pattern, { cwd: projectRoot });
+  for (const pattern of options.include || uiPatterns[framework]) {
+    const files = glob.sync(pattern, { cwd: projectRoot, ignore: options.exclude || [], nodir: true });
     files.forEach(file => {
-      uiFiles.push(path.join(projectRoot, file));
+      const filePath = path.join(projectRoot, file);
+      if (!uiFiles.includes(filePath)) uiFiles.push(filePath);
     });
   }
   
   console.log(chalk.green(`✓ Found ${uiFiles.length} UI files to analyze`));
   
+  // Project stylesheets, for the RTL pass; the generated responsive stylesheet is left alone
+  const responsiveCssFile = path.resolve(projectRoot, options.responsiveCss || 'src/ResponsiveLanguage.css');
+  const styleFiles = glob.sync('src/**/*.{css,scss,less}', { cwd: projectRoot, ignore: options.exclude || [], nodir: true })
+    .map(file => path.join(projectRoot, file))
+    .filter(file => file !== responsiveCssFile);
+  
+  // Angular translations are either ngx-translate JSON or @angular/localize XLIFF
+  let i18nMode = null;
+  if (framework === 'angular') {
+    i18nMode = options.angularI18n || (await usesAngularLocalize(projectRoot) ? 'localize' : 'ngx-translate');
+  }
+  
+  const { storage, loader } = framework === 'react'
+    ? detectReactStorage(projectRoot, options)
+    : { storage: null, loader: null };
+  const messageFormat = framework === 'react' ? await detectMessageFormat(projectRoot) : null;
+  
   return {
     i18nFile,
-    responsiveCssFile: path.join(projectRoot, 'src/ResponsiveLanguage.css'),
+    i18nMode,
+    storage,
+    loader,
+    messageFormat,
+    localesDir: options.localesDir ? path.resolve(projectRoot, options.localesDir) : null,
+    sourceLocale: options.sourceLocale || 'en',
+    responsiveCssFile,
     uiFiles,
+    styleFiles,
     rootDir: projectRoot
   };
 }
 
 module.exports = {
+  usesAngularLocalize,
+  detectReactStorage,
   detectFramework,
   detectStructure
 };
\ No newline at end of file
@@ -0,0 +1,296 @@
+const { parseFragment } = require('parse5');
+const traverse = require('@babel/traverse').default;
+const {
+  TRANSLATABLE_ATTRIBUTES,
+  NON_TRANSLATABLE_ELEMENTS,
+  parseSource,
+  normalizeText,
+  isTranslatableText,
+  getValueName
+} = require('./javascript');
+const { addTranslationContext } = require('./context');
+
+// Interpolations and control-flow blocks that split template text into static segments
+const TEMPLATE_SYNTAX = /\{\{[\s\S]*?\}\}|@(?:else\s+if|if|else|for|switch|case|default|defer|placeholder|loading|error|empty)\b[^{]*\{|@let\b[^;]*;|\}/g;
+
+// A bound expression that is nothing but a string literal: 'Text' or "Text"
+const STRING_EXPRESSION = /^\s*(['"])((?:\\.|(?!\1).)*)\1\s*$/;
+
+// {{ expression }} interpolations in template text
+const INTERPOLATION = /\{\{([\s\S]*?)\}\}/g;
+
+// A plain value reference: total, user.name
+const VALUE_PATH = /^[A-Za-z_$][\w$]*(\.[A-Za-z_$][\w$]*)*$/;
+
+// 1-based line and column of an offset
+function getLocation(code, offset) {
+  const before = code.slice(0, offset);
+  const lines = before.split('\n');
+  return { line: lines.length, column: lines[lines.length - 1].length + 1 };
+}
+
+// Static text segments of a raw text node, with their offsets
+function splitTextSegments(raw, offset) {
+  const segments = [];
+  let lastIndex = 0;
+  let match;
+
+  TEMPLATE_SYNTAX.lastIndex = 0;
+  while ((match = TEMPLATE_SYNTAX.exec(raw)) !== null) {
+    segments.push({ raw: raw.slice(lastIndex, match.index), start: offset + lastIndex });
+    lastIndex = match.index + match[0].length;
+  }
+  segments.push({ raw: raw.slice(lastIndex), start: offset + lastIndex });
+
+  return segments.filter(segment => normalizeText(segment.raw));
+}
+
+// <p>Hello {{ user.name }}, welcome back</p>: the element's text with {{name}} placeholders and the values
+// they stand for. Null unless the element holds only text whose interpolations are plain value references.
+function buildTemplateMessage(raw) {
+  const withoutInterpolations = raw.replace(INTERPOLATION, '');
+  TEMPLATE_SYNTAX.lastIndex = 0;
+  if (withoutInterpolations === raw || TEMPLATE_SYNTAX.test(withoutInterpolations)) return null;
+
+  const values = [];
+  let valid = true;
+  const text = normalizeText(raw.replace(INTERPOLATION, (match, expression) => {
+    const source = expression.trim();
+    if (!VALUE_PATH.test(source)) valid = false;
+
+    let value = values.find(candidate => candidate.source === source);
+    if (!value) {
+      const baseName = getValueName(source);
+      let name = baseName;
+      for (let suffix = 2; values.some(candidate => candidate.name === name); suffix++) {
+        name = `${baseName}${suffix}`;
+      }
+      value = { name, source };
+      values.push(value);
+    }
+    return `{{${value.name}}}`;
+  }));
+
+  if (!valid || !isTranslatableText(text.replace(/\{\{\w+\}\}/g, '').trim())) return null;
+  return { text, values, plural: null };
+}
+
+// Walk parse5 nodes and collect text, static attributes and string-bound attributes
+function walkTemplate(node, context, strings) {
+  const { code, file, component } = context;
+  const location = node.sourceCodeLocation;
+
+  if (node.nodeName === '#text' && location) {
+    const parent = node.parentNode;
+    const element = parent && parent.tagName ? parent.tagName : null;
+    const raw = code.slice(context.offset + location.startOffset, context.offset + location.endOffset);
+    const segments = splitTextSegments(raw, context.offset + location.startOffset);
+
+    // i18n="..." can only mark an element whose whole content is this one piece of text
+    const siblings = parent ? parent.childNodes.filter(child =>
+      child.nodeName !== '#comment' && (child.nodeName !== '#text' || normalizeText(child.value))
+    ) : [];
+    const soleContent = segments.length === 1 && siblings.length === 1 && segments[0].raw.trim() === raw.trim();
+
+    segments.forEach(segment => {
+      const text = normalizeText(segment.raw);
+      strings.push({
+        text,
+        file,
+        ...getLocation(code, segment.start),
+        start: segment.start,
+        end: segment.start + segment.raw.length,
+        kind: 'template-text',
+        element,
+        attribute: null,
+        component,
+        elementInsertAt: context.parentInsertAt,
+        soleContent,
+        hasI18n: Boolean(context.parentI18n && context.parentI18n.includes('i18n')),
+        inlineQuote: context.inlineQuote,
+        userFacing: isTranslatableText(text) && !NON_TRANSLATABLE_ELEMENTS.includes(element)
+      });
+    });
+    return;
+  }
+
+  let childContext = context;
+
+  if (node.tagName && location) {
+    const startTag = location.startTag || location;
+    const elementInsertAt = context.offset + startTag.startOffset + 1 + node.tagName.length;
+    const rawNames = Object.keys(location.attrs || {}).map(name => {
+      const attrLocation = location.attrs[name];
+      const rawAttr = code.slice(context.offset + attrLocation.startOffset, context.offset + attrLocation.endOffset);
+      return rawAttr.split('=')[0].trim();
+    });
+
+    Object.keys(location.attrs || {}).forEach(name => {
+      const attrLocation = location.attrs[name];
+      const start = context.offset + attrLocation.startOffset;
+      const end = context.offset + attrLocation.endOffset;
+      const rawAttr = code.slice(start, end);
+      const equals = rawAttr.indexOf('=');
+      if (equals === -1) return;
+
+      const rawName = rawAttr.slice(0, equals).trim();
+      const rawValue = rawAttr.slice(equals + 1).trim();
+      const quoted = /^['"]/.test(rawValue);
+      const value = quoted ? rawValue.slice(1, -1) : rawValue;
+      const valueStart = end - (quoted ? 1 : 0) - value.length;
+
+      const binding = rawName.match(/^\[(?:attr\.)?([^\]]+)\]$/);
+      if (binding) {
+        // [title]="'Text'" only has its expression rewritten
+        const match = value.match(STRING_EXPRESSION);
+        if (!match || !match[2].trim()) return;
+
+        const text = match[2].trim();
+        strings.push({
+          text,
+          file,
+          ...getLocation(code, start),
+          start: valueStart,
+          end: valueStart + value.length,
+          kind: 'template-binding',
+          element: node.tagName,
+          attribute: binding[1],
+          component,
+          elementInsertAt,
+          hasI18n: rawNames.includes(`i18n-${binding[1]}`),
+          inlineQuote: context.inlineQuote,
+          userFacing: TRANSLATABLE_ATTRIBUTES.includes(binding[1]) && isTranslatableText(text)
+        });
+        return;
+      }
+
+      // Static title="Text" is rewritten as a whole
+      const text = value.trim();
+      if (!text || /^[\[(*#@]/.test(rawName)) return;
+
+      strings.push({
+        text,
+        file,
+        ...getLocation(code, start),
+        start,
+        end,
+        kind: 'template-attribute',
+        element: node.tagName,
+        attribute: rawName,
+        component,
+        elementInsertAt,
+        hasI18n: rawNames.includes(`i18n-${rawName}`),
+        inlineQuote: context.inlineQuote,
+        userFacing: TRANSLATABLE_ATTRIBUTES.includes(rawName) && isTranslatableText(text)
+      });
+    });
+
+    childContext = {
+      ...context,
+      parentInsertAt: elementInsertAt,
+      parentI18n: rawNames.filter(name => name === 'i18n')
+    };
+
+    // Text around {{ }} interpolations is one message, so translators see the whole sentence
+    const content = (node.content ? node.content.childNodes : node.childNodes)
+      .filter(child => child.nodeName !== '#comment');
+    if (content.length > 0 && content.every(child => child.nodeName === '#text' && child.sourceCodeLocation) &&
+        !NON_TRANSLATABLE_ELEMENTS.includes(node.tagName)) {
+      const start = context.offset + content[0].sourceCodeLocation.startOffset;
+      const end = context.offset + content[content.length - 1].sourceCodeLocation.endOffset;
+      const message = buildTemplateMessage(code.slice(start, end));
+      if (message) {
+        strings.push({
+          ...message,
+          file,
+          ...getLocation(code, start),
+          start,
+          end,
+          kind: 'template-message',
+          element: node.tagName,
+          attribute: null,
+          component,
+          elementInsertAt,
+          soleContent: true,
+          hasI18n: rawNames.includes('i18n'),
+          inlineQuote: context.inlineQuote,
+          userFacing: true
+        });
+        return;
+      }
+    }
+  }
+
+  const children = node.content ? node.content.childNodes : node.childNodes;
+  (children || []).forEach(child => walkTemplate(child, childContext, strings));
+}
+
+// Extract strings from template markup starting at `offset` within `code`
+function extractTemplateStrings(code, file, offset = 0, end = code.length, inlineQuote = null) {
+  const template = code.slice(offset, end);
+  const fragment = parseFragment(template, { sourceCodeLocationInfo: true });
+  const strings = [];
+
+  walkTemplate(fragment, {
+    code,
+    file,
+    offset,
+    inlineQuote,
+    component: null,
+    parentInsertAt: null,
+    parentI18n: []
+  }, strings);
+
+  return strings;
+}
+
+// Inline `template:` strings of @Component decorators in a TypeScript file
+function findInlineTemplates(code, file) {
+  const ast = parseSource(code, file.endsWith('.ts') ? file : `${file}.ts`);
+  const templates = [];
+
+  traverse(ast, {
+    Decorator(decoratorPath) {
+      const expression = decoratorPath.node.expression;
+      if (expression.type !== 'CallExpression' || expression.callee.name !== 'Component') return;
+
+      const options = expression.arguments[0];
+      if (!options || options.type !== 'ObjectExpression') return;
+
+      const classNode = decoratorPath.parent;
+      const name = classNode && classNode.id ? classNode.id.name : null;
+
+      options.properties.forEach(property => {
+        if (!property.key || property.key.name !== 'template') return;
+
+        const value = property.value;
+        if (value.type === 'TemplateLiteral' && value.expressions.length === 0) {
+          const quasi = value.quasis[0];
+          templates.push({ name, start: quasi.start, end: quasi.end, quote: '`' });
+        } else if (value.type === 'StringLiteral') {
+          templates.push({ name, start: value.start + 1, end: value.end - 1, quote: code[value.start] });
+        }
+      });
+    }
+  });
+
+  return templates;
+}
+
+// Extract every string from an Angular template or component file
+function extractStrings(code, file = '') {
+  if (file.endsWith('.html')) {
+    return addTranslationContext(extractTemplateStrings(code, file), code);
+  }
+
+  const strings = findInlineTemplates(code, file).reduce((found, template) => {
+    const templateStrings = extractTemplateStrings(code, file, template.start, template.end, template.quote)
+      .map(entry => ({ ...entry, component: { name: template.name, kind: 'component' } }));
+    return found.concat(templateStrings);
+  }, []);
+  return addTranslationContext(strings, code);
+}
+
+module.exports = {
+  extractStrings
+};
@@ -0,0 +1,101 @@
+// Notes for translators: // i18n: ..., /* i18n: ... */ (also inside JSX braces) and <!-- i18n: ... -->
+const NOTE_PATTERN = /\/\/[ \t]*i18n:[ \t]*([^\n]*)|\/\*\s*i18n:\s*([\s\S]*?)\s*\*\/|<!--\s*i18n:\s*([\s\S]*?)\s*-->/g;
+
+// A note above an element still reaches text inside it that starts a line or two further down
+const NOTE_REACH = 2;
+
+// Other strings shown close by, listed as context
+const NEARBY_COUNT = 3;
+const NEARBY_LINES = 3;
+
+function findNotes(code) {
+  const notes = [];
+  let match;
+  NOTE_PATTERN.lastIndex = 0;
+  while ((match = NOTE_PATTERN.exec(code)) !== null) {
+    const text = (match[1] || match[2] || match[3] || '').replace(/\s+/g, ' ').trim();
+    if (text) notes.push({ start: match.index, end: match.index + match[0].length, text });
+  }
+  return notes;
+}
+
+// Give every user-facing string its developer note, if one is written next to it, and the user-facing
+// text around it in the same component. A note at the end of a line describes the string before it on
+// that line; anywhere else it describes the string that follows.
+function addTranslationContext(strings, code) {
+  const lineAt = offset => code.slice(0, offset).split('\n').length;
+  const shown = strings.filter(entry => entry.userFacing).sort((a, b) => a.start - b.start);
+
+  strings.forEach(entry => {
+    entry.note = null;
+    entry.nearby = [];
+  });
+
+  findNotes(code).forEach(note => {
+    const before = shown.filter(entry => entry.end <= note.start).pop();
+    if (before && !code.slice(before.end, note.start).includes('\n')) {
+      before.note = note.text;
+      return;
+    }
+    const after = shown.find(entry => entry.start >= note.end);
+    if (after && lineAt(after.start) - lineAt(note.end) <= NOTE_REACH) {
+      after.note = note.text;
+    }
+  });
+
+  const componentOf = entry => (entry.component && entry.component.name) || null;
+  shown.forEach(entry => {
+    entry.nearby = shown
+      .filter(other => other !== entry && other.text !== entry.text &&
+        componentOf(other) === componentOf(entry) && Math.abs(other.line - entry.line) <= NEARBY_LINES)
+      .sort((a, b) => Math.abs(a.line - entry.line) - Math.abs(b.line - entry.line))
+      .map(other => other.text)
+      .filter((text, idx, texts) => texts.indexOf(text) === idx)
+      .slice(0, NEARBY_COUNT);
+  });
+
+  return strings;
+}
+
+// Elements whose text is an action: "Open" on a button is a verb, "Open" in a status label is not
+const ACTION_ELEMENT = /^(a|button|summary)$|(Button|Link|MenuItem)$/;
+
+// What tells two uses of the same text apart: the developer's note, else the attribute it sits in,
+// else whether it labels an action. The component doesn't, unless keys are scoped per component.
+function getSense(occurrence) {
+  if (!occurrence) return '';
+  if (occurrence.note || occurrence.attribute) return occurrence.note || occurrence.attribute;
+  return occurrence.element && ACTION_ELEMENT.test(occurrence.element) ? 'action' : '';
+}
+
+// Context for translators and providers, e.g.
+// Note: button to close dialog; text of <button> in ConfirmDialog; near "Delete this file?"
+function describeContext(occurrence) {
+  if (!occurrence) return '';
+  const parts = [];
+  if (occurrence.note) parts.push(`Note: ${occurrence.note}`);
+
+  const place = occurrence.attribute
+    ? `${occurrence.attribute} attribute of <${occurrence.element}>`
+    : occurrence.element ? `text of <${occurrence.element}>` : '';
+  const component = occurrence.component && occurrence.component.name ? `in ${occurrence.component.name}` : '';
+  if (place || component) parts.push([place, component].filter(Boolean).join(' '));
+
+  if (occurrence.nearby && occurrence.nearby.length > 0) {
+    parts.push(`near ${occurrence.nearby.map(text => JSON.stringify(text)).join(', ')}`);
+  }
+  return parts.join('; ');
+}
+
+// Short context shared by every text used in one sense, for providers that take one context per request
+function describeSense(sense) {
+  if (!sense) return '';
+  return sense === 'action' ? 'Label of a button or link' : `Used as: ${sense}`;
+}
+
+module.exports = {
+  addTranslationContext,
+  getSense,
+  describeContext,
+  describeSense
+};
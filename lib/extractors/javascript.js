@@ -0,0 +1,437 @@
+const { parse } = require('@babel/parser');
+const traverse = require('@babel/traverse').default;
+const _ = require('lodash');
+const { addTranslationContext } = require('./context');
+
+// JSX attributes whose values are shown to the user
+const TRANSLATABLE_ATTRIBUTES = ['placeholder', 'title', 'alt', 'aria-label'];
+
+// Elements whose text content is code, not copy
+const NON_TRANSLATABLE_ELEMENTS = ['code', 'pre', 'script', 'style'];
+
+// Calls whose string arguments end up in front of the user
+const USER_FACING_CALLS = ['alert', 'confirm', 'prompt'];
+
+// Placeholder syntax of the library messages are written for: i18next {{name}}, vue-i18n {name}
+const PLACEHOLDER_FORMATS = {
+  i18next: name => `{{${name}}}`,
+  'vue-i18n': name => `{${name}}`
+};
+
+// Variable names that usually hold how many of something there are
+const COUNT_NAME = /^(n|num|count|total|amount|quantity|qty)$|(Count|Total|Number|Num|Length|Size)$|^(length|size)$/;
+
+// Parse JS/TS/JSX source into a Babel AST
+function parseSource(code, file = '') {
+  const plugins = ['jsx', 'classProperties', 'decorators-legacy', 'dynamicImport', 'optionalChaining'];
+  if (/\.tsx?$/.test(file)) {
+    plugins.push('typescript');
+  }
+
+  return parse(code, {
+    sourceType: 'unambiguous',
+    allowReturnOutsideFunction: true,
+    errorRecovery: true,
+    plugins
+  });
+}
+
+// Collapse JSX whitespace the way React renders it
+function normalizeText(text) {
+  return text.replace(/\s+/g, ' ').trim();
+}
+
+// Whether a string contains anything worth translating
+function isTranslatableText(text) {
+  return text.length > 1 && !/^\d+$/.test(text) && /\p{L}/u.test(text);
+}
+
+// Readable name of a JSX element (div, Foo.Bar, svg:path)
+function getElementName(nameNode) {
+  switch (nameNode.type) {
+    case 'JSXIdentifier':
+      return nameNode.name;
+    case 'JSXMemberExpression':
+      return `${getElementName(nameNode.object)}.${nameNode.property.name}`;
+    case 'JSXNamespacedName':
+      return `${nameNode.namespace.name}:${nameNode.name.name}`;
+    default:
+      return null;
+  }
+}
+
+// Source of a plain value reference (count, user.name, this.props.total), or null for anything else
+function getValuePath(node) {
+  if (node.type === 'Identifier') return node.name;
+  if (node.type === 'MemberExpression' && !node.computed && node.property.type === 'Identifier') {
+    const object = node.object.type === 'ThisExpression' ? 'this' : getValuePath(node.object);
+    return object && `${object}.${node.property.name}`;
+  }
+  return null;
+}
+
+// Placeholder name of a value: user.name -> userName, this.props.total -> total
+function getValueName(valuePath) {
+  return _.camelCase(valuePath.replace(/^this\./, '').replace(/^(props|state)\./, ''));
+}
+
+// Text of a string literal or a template literal without expressions, else null
+function getStaticText(node) {
+  if (node.type === 'StringLiteral') return node.value;
+  if (node.type === 'TemplateLiteral' && node.expressions.length === 0) return node.quasis[0].value.cooked;
+  return null;
+}
+
+// `n === 1 ? 'file' : 'files'`, `n !== 1 ? 's' : ''`: the count and its singular and plural text
+function getPluralChoice(node) {
+  if (node.type !== 'ConditionalExpression' || node.test.type !== 'BinaryExpression') return null;
+
+  const { operator, left, right } = node.test;
+  const count = getValuePath(left);
+  const consequent = getStaticText(node.consequent);
+  const alternate = getStaticText(node.alternate);
+  if (!count || right.type !== 'NumericLiteral' || right.value !== 1 || consequent === null || alternate === null) return null;
+
+  if (['===', '=='].includes(operator)) return { count, one: consequent, other: alternate };
+  if (['!==', '!=', '>'].includes(operator)) return { count, one: alternate, other: consequent };
+  return null;
+}
+
+// English singular of the first plural-looking word after the count: "{{count}} new messages" -> "{{count}} new message"
+function singularizeAfterCount(text) {
+  const countEnd = text.indexOf('{{count}}') + '{{count}}'.length;
+  const rest = text.slice(countEnd);
+  const word = (rest.match(/[A-Za-z]+/g) || []).slice(0, 3).find(candidate => /^[A-Za-z]{2,}s$/.test(candidate) && !/(ss|us|is)$/i.test(candidate));
+  if (!word) return text;
+
+  const singular = word
+    .replace(/ies$/, 'y')
+    .replace(/(s|sh|ch|x)es$/, '$1')
+    .replace(/([^s])s$/, '$1');
+  return text.slice(0, countEnd) + rest.replace(new RegExp(`\\b${word}\\b`), singular);
+}
+
+// Text with {{value}} placeholders built from literal pieces and interpolated expressions. A plural
+// choice, or a value named like a count, makes it a plural message with one and other forms.
+// Returns null when an expression is anything else, which is left for the code to keep as is.
+// vue-i18n messages get {value} placeholders and no plural forms, so a plural choice stays in the code.
+function buildMessage(pieces, normalize, library = 'i18next') {
+  const choices = pieces.map(piece => (piece.node ? getPluralChoice(piece.node) : null));
+  const counts = _.uniq(choices.filter(Boolean).map(choice => choice.count));
+  if (counts.length > 1 || (library === 'vue-i18n' && counts.length > 0)) return null;
+
+  let count = counts[0] || null;
+  const explicit = Boolean(count);
+  if (!count && library === 'i18next') {
+    const counted = pieces.find(piece => piece.node && getValuePath(piece.node) && COUNT_NAME.test(getValuePath(piece.node).split('.').pop()));
+    count = counted ? getValuePath(counted.node) : null;
+  }
+
+  // i18next only picks plural forms from a value named count
+  const values = count ? [{ name: 'count', source: count }] : [];
+  const placeholderFor = valuePath => {
+    let value = values.find(candidate => candidate.source === valuePath);
+    if (!value) {
+      const baseName = getValueName(valuePath);
+      let name = baseName;
+      for (let suffix = 2; values.some(candidate => candidate.name === name); suffix++) {
+        name = `${baseName}${suffix}`;
+      }
+      value = { name, source: valuePath };
+      values.push(value);
+    }
+    return PLACEHOLDER_FORMATS[library](value.name);
+  };
+
+  const one = [];
+  const other = [];
+  for (let i = 0; i < pieces.length; i++) {
+    const { text, node } = pieces[i];
+    if (!node) {
+      one.push(text);
+      other.push(text);
+    } else if (choices[i]) {
+      one.push(choices[i].one);
+      other.push(choices[i].other);
+    } else if (getValuePath(node)) {
+      const placeholder = placeholderFor(getValuePath(node));
+      one.push(placeholder);
+      other.push(placeholder);
+    } else {
+      return null;
+    }
+  }
+
+  const otherText = normalize(other.join(''));
+  if (!isTranslatableText(otherText.replace(/\{\{?\w+\}\}?/g, '').trim())) return null;
+
+  let oneText = normalize(one.join(''));
+  if (count && !explicit && oneText.includes('{{count}}')) {
+    oneText = singularizeAfterCount(oneText);
+  }
+
+  return {
+    text: otherText,
+    values,
+    plural: count ? { one: oneText, other: otherText } : null
+  };
+}
+
+// Whether a class extends React.Component or React.PureComponent
+function isComponentClass(node) {
+  const superClass = node.superClass;
+  if (!superClass) return false;
+
+  const name = superClass.type === 'MemberExpression' ? superClass.property.name : superClass.name;
+  return name === 'Component' || name === 'PureComponent';
+}
+
+// Name of the variable a function is assigned to, looking through memo()/forwardRef() wrappers
+function getAssignedName(functionPath) {
+  let current = functionPath;
+  while (current.parentPath && current.parentPath.isCallExpression()) {
+    current = current.parentPath;
+  }
+
+  const parent = current.parentPath;
+  if (parent && parent.isVariableDeclarator() && parent.node.id.type === 'Identifier') {
+    return parent.node.id.name;
+  }
+  return null;
+}
+
+// Describe the component a node belongs to, so rewrites know where `t` can come from
+function describeComponent(componentPath, code) {
+  const { node } = componentPath;
+
+  if (componentPath.isClass()) {
+    const render = node.body.body.find(member =>
+      (member.type === 'ClassMethod' || member.type === 'ClassProperty') &&
+      member.key && member.key.name === 'render'
+    );
+    const renderBody = render && (render.body || (render.value && render.value.body));
+
+    return {
+      name: node.id ? node.id.name : null,
+      kind: 'class',
+      start: node.start,
+      end: node.end,
+      bodyStart: renderBody && renderBody.type === 'BlockStatement' ? renderBody.start + 1 : null
+    };
+  }
+
+  const name = node.id ? node.id.name : getAssignedName(componentPath);
+  const body = node.body;
+
+  if (body.type === 'BlockStatement') {
+    return { name, kind: 'function', start: node.start, end: node.end, bodyStart: body.start + 1 };
+  }
+
+  // Expression body (`() => (<div/>)`): the whole expression, parentheses included
+  let bodyStart = body.start;
+  let bodyEnd = body.end;
+  if (body.extra && body.extra.parenthesized) {
+    bodyStart = body.extra.parenStart;
+    bodyEnd = code.indexOf(')', body.end) + 1;
+  }
+
+  return { name, kind: 'function', start: node.start, end: node.end, bodyStart, bodyEnd, expressionBody: true };
+}
+
+// Find the React component enclosing a path
+function findComponent(nodePath, code) {
+  const componentPath = nodePath.findParent(parentPath => {
+    if (parentPath.isClass()) {
+      return isComponentClass(parentPath.node);
+    }
+    if (parentPath.isFunction() && !parentPath.isClassMethod() && !parentPath.isObjectMethod()) {
+      const name = parentPath.node.id ? parentPath.node.id.name : getAssignedName(parentPath);
+      return Boolean(name && /^[A-Z]/.test(name));
+    }
+    return false;
+  });
+
+  return componentPath ? describeComponent(componentPath, code) : null;
+}
+
+// Extract every string from a JS/TS/JSX source file, with its location and whether it is user-facing.
+// Interpolated messages are written for `library`, i18next or vue-i18n.
+function extractStrings(code, file = '', { library = 'i18next' } = {}) {
+  const ast = parseSource(code, file);
+  const strings = [];
+  // JSX text taken into an interpolated message isn't extracted on its own
+  const inMessages = new Set();
+
+  const addString = (nodePath, text, details) => {
+    const { start, end, loc } = nodePath.node;
+    strings.push({
+      text,
+      file,
+      line: loc.start.line,
+      column: loc.start.column + 1,
+      start,
+      end,
+      element: null,
+      attribute: null,
+      component: findComponent(nodePath, code),
+      ...details
+    });
+  };
+
+  traverse(ast, {
+    // <p>{count} items</p>, <p>Hello {user.name}</p>: text and values together as one message
+    JSXElement(nodePath) {
+      const { children, openingElement } = nodePath.node;
+      const element = getElementName(openingElement.name);
+      if (NON_TRANSLATABLE_ELEMENTS.includes(element) || !children.some(child => child.type === 'JSXExpressionContainer')) return;
+
+      const pieces = [];
+      for (const child of children) {
+        if (child.type === 'JSXText') {
+          pieces.push({ text: child.value });
+        } else if (child.type === 'JSXExpressionContainer' && child.expression.type !== 'JSXEmptyExpression') {
+          const text = getStaticText(child.expression);
+          pieces.push(text === null ? { node: child.expression } : { text });
+        } else {
+          return;
+        }
+      }
+
+      const message = buildMessage(pieces, normalizeText, library);
+      if (!message || message.values.length === 0) return;
+
+      children.filter(child => child.type === 'JSXText').forEach(child => inMessages.add(child));
+      const first = children[0];
+      strings.push({
+        ...message,
+        file,
+        line: first.loc.start.line,
+        column: first.loc.start.column + 1,
+        start: first.start,
+        end: children[children.length - 1].end,
+        kind: 'jsx-message',
+        element,
+        attribute: null,
+        component: findComponent(nodePath, code),
+        userFacing: true
+      });
+    },
+
+    // `${n} file${n === 1 ? '' : 's'}` shown in JSX, a translatable attribute or a dialog
+    TemplateLiteral(nodePath) {
+      const { node, parentPath } = nodePath;
+      if (node.expressions.length === 0) return;
+
+      let element = null;
+      let attribute = null;
+      let userFacing = false;
+      if (parentPath.isJSXExpressionContainer() && parentPath.parentPath.isJSXAttribute()) {
+        attribute = getElementName(parentPath.parent.name);
+        element = getElementName(parentPath.parentPath.parent.name);
+        userFacing = TRANSLATABLE_ATTRIBUTES.includes(attribute);
+      } else if (parentPath.isJSXExpressionContainer() && parentPath.parentPath.isJSXElement()) {
+        element = getElementName(parentPath.parent.openingElement.name);
+        userFacing = !NON_TRANSLATABLE_ELEMENTS.includes(element);
+      } else if (parentPath.isCallExpression() && parentPath.node.arguments[0] === node) {
+        const { callee } = parentPath.node;
+        userFacing = USER_FACING_CALLS.includes(callee.type === 'MemberExpression' ? callee.property.name : callee.name);
+      }
+      if (!userFacing) return;
+
+      const pieces = [];
+      node.quasis.forEach((quasi, idx) => {
+        pieces.push({ text: quasi.value.cooked });
+        if (node.expressions[idx]) pieces.push({ node: node.expressions[idx] });
+      });
+
+      const message = buildMessage(pieces, text => text.trim(), library);
+      if (!message || message.values.length === 0) return;
+
+      strings.push({
+        ...message,
+        file,
+        line: node.loc.start.line,
+        column: node.loc.start.column + 1,
+        start: node.start,
+        end: node.end,
+        kind: 'template',
+        element,
+        attribute,
+        component: findComponent(nodePath, code),
+        userFacing: true
+      });
+    },
+
+    JSXText(nodePath) {
+      if (inMessages.has(nodePath.node)) return;
+      const text = normalizeText(nodePath.node.value);
+      if (!text) return;
+
+      const opening = nodePath.parentPath.isJSXElement() ? nodePath.parent.openingElement : null;
+      const element = opening ? getElementName(opening.name) : null;
+
+      addString(nodePath, text, {
+        kind: 'jsx-text',
+        element,
+        userFacing: isTranslatableText(text) && !NON_TRANSLATABLE_ELEMENTS.includes(element)
+      });
+    },
+
+    StringLiteral(nodePath) {
+      const { parentPath } = nodePath;
+      const text = nodePath.node.value.trim();
+      if (!text) return;
+
+      // attr="..." or attr={'...'}
+      const attributePath = parentPath.isJSXAttribute()
+        ? parentPath
+        : parentPath.isJSXExpressionContainer() && parentPath.parentPath.isJSXAttribute()
+          ? parentPath.parentPath
+          : null;
+
+      if (attributePath) {
+        const attribute = getElementName(attributePath.node.name);
+        const valuePath = attributePath.get('value');
+
+        strings.push({
+          text,
+          file,
+          line: nodePath.node.loc.start.line,
+          column: nodePath.node.loc.start.column + 1,
+          // The whole attribute value, braces included, is what gets rewritten
+          start: valuePath.node.start,
+          end: valuePath.node.end,
+          kind: 'jsx-attribute',
+          element: getElementName(attributePath.parent.name),
+          attribute,
+          component: findComponent(nodePath, code),
+          userFacing: TRANSLATABLE_ATTRIBUTES.includes(attribute) && isTranslatableText(text)
+        });
+        return;
+      }
+
+      // Everything else is code unless it is handed straight to a dialog
+      const callee = parentPath.isCallExpression() && parentPath.node.arguments[0] === nodePath.node
+        ? parentPath.node.callee
+        : null;
+      const calleeName = callee && (callee.type === 'MemberExpression' ? callee.property.name : callee.name);
+
+      addString(nodePath, text, {
+        kind: 'literal',
+        userFacing: USER_FACING_CALLS.includes(calleeName) && isTranslatableText(text)
+      });
+    }
+  });
+
+  return addTranslationContext(strings, code);
+}
+
+module.exports = {
+  TRANSLATABLE_ATTRIBUTES,
+  NON_TRANSLATABLE_ELEMENTS,
+  parseSource,
+  normalizeText,
+  isTranslatableText,
+  getValueName,
+  extractStrings
+};
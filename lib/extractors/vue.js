@@ -0,0 +1,220 @@
+const path = require('path');
+const {
+  TRANSLATABLE_ATTRIBUTES,
+  NON_TRANSLATABLE_ELEMENTS,
+  normalizeText,
+  isTranslatableText,
+  getValueName,
+  extractStrings: extractScriptStrings
+} = require('./javascript');
+const { addTranslationContext } = require('./context');
+
+// The SFC compiler is loaded on first use, so React and Angular projects don't need it to load
+function parseSfc(code, file) {
+  let compiler;
+  try {
+    compiler = require('@vue/compiler-sfc');
+  } catch (err) {
+    if (err instanceof SyntaxError) {
+      throw new Error(`Vue single-file components need Node 14 or newer to parse (running ${process.version})`);
+    }
+    throw err;
+  }
+  return compiler.parse(code, { filename: file });
+}
+
+// Node types from @vue/compiler-core
+const NodeTypes = {
+  ELEMENT: 1,
+  TEXT: 2,
+  INTERPOLATION: 5,
+  ATTRIBUTE: 6,
+  DIRECTIVE: 7
+};
+
+// A bound expression that is nothing but a string literal: 'Text' or "Text"
+const STRING_EXPRESSION = /^\s*(['"])((?:\\.|(?!\1).)*)\1\s*$/;
+
+// A plain value reference: count, user.name
+const VALUE_PATH = /^[A-Za-z_$][\w$]*(\.[A-Za-z_$][\w$]*)*$/;
+
+// <p>Hello {{ user.name }}, welcome back</p>: text with {name} placeholders, as vue-i18n interpolates
+// them, and the values it needs. Null unless the children are only text and plain value references.
+function buildTemplateMessage(children) {
+  if (!children.some(child => child.type === NodeTypes.INTERPOLATION)) return null;
+
+  const values = [];
+  const parts = [];
+  for (const child of children) {
+    if (child.type === NodeTypes.TEXT) {
+      parts.push(child.content);
+    } else if (child.type === NodeTypes.INTERPOLATION && VALUE_PATH.test(child.content.content.trim())) {
+      const source = child.content.content.trim();
+      let value = values.find(candidate => candidate.source === source);
+      if (!value) {
+        const baseName = getValueName(source);
+        let name = baseName;
+        for (let suffix = 2; values.some(candidate => candidate.name === name); suffix++) {
+          name = `${baseName}${suffix}`;
+        }
+        value = { name, source };
+        values.push(value);
+      }
+      parts.push(`{${value.name}}`);
+    } else {
+      return null;
+    }
+  }
+
+  const text = normalizeText(parts.join(''));
+  if (!isTranslatableText(text.replace(/\{\w+\}/g, '').trim())) return null;
+  return { text, values, plural: null };
+}
+
+// Walk template nodes and collect text, static attributes and string-bound attributes
+function extractTemplateStrings(node, file, component, strings, element = null) {
+  if (node.type === NodeTypes.TEXT) {
+    const text = normalizeText(node.content);
+    if (!text) return;
+
+    strings.push({
+      text,
+      file,
+      line: node.loc.start.line,
+      column: node.loc.start.column,
+      start: node.loc.start.offset,
+      end: node.loc.end.offset,
+      kind: 'template-text',
+      block: 'template',
+      element,
+      attribute: null,
+      component,
+      userFacing: isTranslatableText(text) && !NON_TRANSLATABLE_ELEMENTS.includes(element)
+    });
+    return;
+  }
+
+  if (node.type === NodeTypes.ELEMENT) {
+    node.props.forEach(prop => {
+      if (prop.type === NodeTypes.ATTRIBUTE && prop.value) {
+        // title="Text" is rewritten as a whole into :title="$t('key')"
+        const text = prop.value.content.trim();
+        if (!text) return;
+
+        strings.push({
+          text,
+          file,
+          line: prop.loc.start.line,
+          column: prop.loc.start.column,
+          start: prop.loc.start.offset,
+          end: prop.loc.end.offset,
+          kind: 'template-attribute',
+          block: 'template',
+          element: node.tag,
+          attribute: prop.name,
+          component,
+          userFacing: TRANSLATABLE_ATTRIBUTES.includes(prop.name) && isTranslatableText(text)
+        });
+      } else if (prop.type === NodeTypes.DIRECTIVE && prop.name === 'bind' && prop.arg && prop.exp) {
+        // :title="'Text'" only has its expression rewritten
+        const match = prop.exp.loc.source.match(STRING_EXPRESSION);
+        if (!match || !match[2].trim()) return;
+
+        const text = match[2].trim();
+        strings.push({
+          text,
+          file,
+          line: prop.loc.start.line,
+          column: prop.loc.start.column,
+          start: prop.exp.loc.start.offset,
+          end: prop.exp.loc.end.offset,
+          kind: 'template-binding',
+          block: 'template',
+          element: node.tag,
+          attribute: prop.arg.content,
+          component,
+          userFacing: TRANSLATABLE_ATTRIBUTES.includes(prop.arg.content) && isTranslatableText(text)
+        });
+      }
+    });
+  }
+
+  // Text around {{ }} interpolations is one message, so translators see the whole sentence
+  const message = node.type === NodeTypes.ELEMENT && !NON_TRANSLATABLE_ELEMENTS.includes(node.tag)
+    ? buildTemplateMessage(node.children)
+    : null;
+  if (message) {
+    const first = node.children[0];
+    strings.push({
+      ...message,
+      file,
+      line: first.loc.start.line,
+      column: first.loc.start.column,
+      start: first.loc.start.offset,
+      end: node.children[node.children.length - 1].loc.end.offset,
+      kind: 'template-message',
+      block: 'template',
+      element: node.tag,
+      attribute: null,
+      component,
+      userFacing: true
+    });
+    return;
+  }
+
+  (node.children || []).forEach(child =>
+    extractTemplateStrings(child, file, component, strings, node.type === NodeTypes.ELEMENT ? node.tag : element)
+  );
+}
+
+// Extract every string from a Vue single-file component, with its location and whether it is user-facing
+function extractStrings(code, file = '') {
+  const { descriptor, errors } = parseSfc(code, file);
+  if (errors.length > 0) {
+    throw new Error(errors[0].message);
+  }
+
+  const strings = [];
+  const component = { name: path.basename(file, '.vue'), kind: 'sfc' };
+
+  if (descriptor.template && descriptor.template.ast) {
+    extractTemplateStrings(descriptor.template.ast, file, component, strings);
+  }
+
+  // Script blocks are plain JS/TS, shifted to their position in the SFC
+  [['script', descriptor.script], ['scriptSetup', descriptor.scriptSetup]].forEach(([block, descriptorBlock]) => {
+    if (!descriptorBlock) return;
+
+    const { start } = descriptorBlock.loc;
+    const scriptFile = descriptorBlock.lang === 'ts' ? `${file}.ts` : `${file}.js`;
+
+    extractScriptStrings(descriptorBlock.content, scriptFile, { library: 'vue-i18n' }).forEach(entry => {
+      strings.push({
+        ...entry,
+        file,
+        line: start.line + entry.line - 1,
+        column: entry.line === 1 ? start.column + entry.column - 1 : entry.column,
+        start: start.offset + entry.start,
+        end: start.offset + entry.end,
+        block,
+        component
+      });
+    });
+  });
+
+  return addTranslationContext(strings, code);
+}
+
+// Script blocks of an SFC, for rewrites that need to add imports
+function getScriptBlocks(code, file = '') {
+  const { descriptor } = parseSfc(code, file);
+  return {
+    script: descriptor.script,
+    scriptSetup: descriptor.scriptSetup
+  };
+}
+
+module.exports = {
+  extractStrings,
+  getScriptBlocks
+};
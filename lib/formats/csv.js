@@ -0,0 +1,69 @@
+// Rows of an RFC 4180 CSV document: quoted fields may hold commas, quotes ("") and line breaks
+function parseCsv(content) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  const text = content.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+}
+
+// CSV rows as objects keyed by the header row's column names
+function parseCsvRecords(content) {
+  const [header = [], ...rows] = parseCsv(content);
+  const columns = header.map(name => name.trim());
+  return {
+    columns,
+    records: rows.map(cells => columns.reduce((record, column, idx) => ({ ...record, [column]: cells[idx] || '' }), {}))
+  };
+}
+
+// A CSV document from a header and record objects; fields with commas, quotes, line breaks or
+// surrounding spaces are quoted
+function buildCsv(columns, records) {
+  const quote = value => {
+    const text = value === undefined || value === null ? '' : String(value);
+    return /[",\r\n]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return [columns, ...records.map(record => columns.map(column => record[column]))]
+    .map(cells => cells.map(quote).join(','))
+    .join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  parseCsv,
+  parseCsvRecords,
+  buildCsv
+};
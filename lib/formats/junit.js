@@ -0,0 +1,65 @@
+const { escapeXml } = require('./xliff');
+
+// Problem lists of a locale, as readable lines
+function describeLocale(locale) {
+  return [
+    ['missing', locale.missing],
+    ['empty', locale.empty],
+    ['stale', locale.stale],
+    ['identical to source', locale.untranslated],
+    ['not in source catalog', locale.extra]
+  ]
+    .filter(([, keys]) => keys.length > 0)
+    .map(([label, keys]) => `${label}: ${keys.join(', ')}`)
+    .join('\n');
+}
+
+function buildTestCase(name, className, failure, output) {
+  const lines = [`    <testcase name="${escapeXml(name)}" classname="${escapeXml(className)}">`];
+  if (failure) {
+    lines.push(`      <failure message="${escapeXml(failure.message)}">${escapeXml(failure.details)}</failure>`);
+  } else if (output) {
+    lines.push(`      <system-out>${escapeXml(output)}</system-out>`);
+  }
+  lines.push('    </testcase>');
+  return lines.join('\n');
+}
+
+// JUnit XML for CI test viewers: one suite per locale, whose coverage test fails below the threshold
+function buildJUnitReport(report) {
+  const suites = report.locales.map(locale => {
+    const details = describeLocale(locale);
+    const failure = locale.passed ? null : {
+      message: `${locale.language} coverage ${locale.coverage}% is below the ${report.threshold}% threshold`,
+      details
+    };
+    return [
+      `  <testsuite name="i18n.${escapeXml(locale.language)}" tests="1" failures="${failure ? 1 : 0}">`,
+      buildTestCase('coverage', `i18n.${locale.language}`, failure, details),
+      '  </testsuite>'
+    ].join('\n');
+  });
+
+  const hardcodedList = report.hardcoded.map(entry => `${entry.file}:${entry.line} "${entry.text}"`).join('\n');
+  const hardcodedFailure = report.failOnHardcoded && report.hardcoded.length > 0
+    ? { message: `${report.hardcoded.length} hardcoded strings left in the UI`, details: hardcodedList }
+    : null;
+  suites.push([
+    `  <testsuite name="i18n.hardcoded" tests="1" failures="${hardcodedFailure ? 1 : 0}">`,
+    buildTestCase('hardcoded strings', 'i18n.hardcoded', hardcodedFailure, hardcodedList),
+    '  </testsuite>'
+  ].join('\n'));
+
+  const failures = report.locales.filter(locale => !locale.passed).length + (hardcodedFailure ? 1 : 0);
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="i18n-adapt check" tests="${suites.length}" failures="${failures}">`,
+    ...suites,
+    '</testsuites>',
+    ''
+  ].join('\n');
+}
+
+module.exports = {
+  buildJUnitReport
+};
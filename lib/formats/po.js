@@ -0,0 +1,109 @@
+// Escapes of a PO string literal
+const PO_ESCAPES = { '\\': '\\\\', '"': '\\"', '\n': '\\n', '\t': '\\t', '\r': '\\r' };
+const PO_UNESCAPES = { n: '\n', t: '\t', r: '\r' };
+
+// Entry fields by keyword; a plural entry keeps its first form
+const PO_FIELDS = { msgctxt: 'context', msgid: 'id', msgid_plural: 'idPlural', msgstr: 'str', 'msgstr[0]': 'str' };
+
+function escapePo(text) {
+  return String(text).replace(/[\\"\n\t\r]/g, char => PO_ESCAPES[char]);
+}
+
+function unescapePo(text) {
+  return text.replace(/\\(.)/g, (match, char) => PO_UNESCAPES[char] || char);
+}
+
+// A keyword and its string, split after each line break the way gettext tools write them
+function formatPoString(keyword, text) {
+  const lines = String(text).split(/(?<=\n)/);
+  if (lines.length === 1) return [`${keyword} "${escapePo(text)}"`];
+  return [`${keyword} ""`, ...lines.map(line => `"${escapePo(line)}"`)];
+}
+
+// Build a gettext PO file: a header entry, then per entry its extracted comments (#.), references (#:),
+// flags (#,), msgctxt, msgid and msgstr
+function buildPo({ headers = {}, entries }) {
+  const headerText = Object.keys(headers).map(name => `${name}: ${headers[name]}\n`).join('');
+  const blocks = [['msgid ""', ...formatPoString('msgstr', headerText)]];
+
+  entries.forEach(entry => {
+    const lines = [];
+    (entry.comments || []).forEach(comment => {
+      comment.split('\n').forEach(line => lines.push(`#. ${line}`.trimEnd()));
+    });
+    if (entry.references && entry.references.length > 0) lines.push(`#: ${entry.references.join(' ')}`);
+    if (entry.flags && entry.flags.length > 0) lines.push(`#, ${entry.flags.join(', ')}`);
+    if (entry.context !== undefined) lines.push(...formatPoString('msgctxt', entry.context));
+    lines.push(...formatPoString('msgid', entry.id));
+    lines.push(...formatPoString('msgstr', entry.str || ''));
+    blocks.push(lines);
+  });
+
+  return `${blocks.map(lines => lines.join('\n')).join('\n\n')}\n`;
+}
+
+// Read the entries of a PO file and the header fields of its empty-msgid entry. Obsolete (#~) entries are
+// left out; for a plural entry `str` is its first msgstr[n].
+function parsePo(content) {
+  const entries = [];
+  let entry = null;
+  let field = null;
+
+  const finish = () => {
+    if (entry && entry.id !== undefined) entries.push(entry);
+    entry = null;
+    field = null;
+  };
+  const current = () => {
+    entry = entry || { comments: [], references: [], flags: [] };
+    return entry;
+  };
+
+  content.replace(/^\uFEFF/, '').split(/\r?\n/).forEach(rawLine => {
+    const line = rawLine.trim();
+    if (line === '' || line.startsWith('#~')) {
+      finish();
+      return;
+    }
+
+    // A comment after the strings of an entry starts the next one
+    if (line.startsWith('#') && field) finish();
+    if (line.startsWith('#.')) {
+      current().comments.push(line.slice(2).trim());
+    } else if (line.startsWith('#:')) {
+      current().references.push(...line.slice(2).trim().split(/\s+/).filter(Boolean));
+    } else if (line.startsWith('#,')) {
+      current().flags.push(...line.slice(2).split(',').map(flag => flag.trim()).filter(Boolean));
+    } else if (line.startsWith('#')) {
+      current();
+    } else {
+      const keyword = line.match(/^(msgctxt|msgid_plural|msgid|msgstr(?:\[\d+\])?)\s+"(.*)"$/);
+      const continuation = line.match(/^"(.*)"$/);
+      if (keyword) {
+        // A msgctxt or msgid after a msgstr starts the next entry
+        if (['msgctxt', 'msgid'].includes(keyword[1]) && field && field.startsWith('msgstr')) finish();
+        field = keyword[1];
+        if (PO_FIELDS[field]) current()[PO_FIELDS[field]] = unescapePo(keyword[2]);
+      } else if (continuation && field && PO_FIELDS[field]) {
+        entry[PO_FIELDS[field]] += unescapePo(continuation[1]);
+      }
+    }
+  });
+  finish();
+
+  const header = entries.find(candidate => candidate.id === '' && candidate.context === undefined);
+  const headers = {};
+  if (header) {
+    (header.str || '').split('\n').forEach(line => {
+      const separator = line.indexOf(':');
+      if (separator > 0) headers[line.slice(0, separator).trim()] = line.slice(separator + 1).trim();
+    });
+  }
+
+  return { headers, entries: entries.filter(candidate => candidate !== header) };
+}
+
+module.exports = {
+  buildPo,
+  parsePo
+};
@@ -0,0 +1,70 @@
+// Rules every SARIF result refers to
+const RULES = [
+  { id: 'i18n/missing-translation', text: 'A catalog key has no translation in a locale' },
+  { id: 'i18n/empty-translation', text: 'A catalog key has an empty translation in a locale' },
+  { id: 'i18n/stale-translation', text: 'The source text changed after a key was translated' },
+  { id: 'i18n/untranslated', text: 'A translation is identical to the source text' },
+  { id: 'i18n/extra-key', text: 'A locale has a key the source catalog does not' },
+  { id: 'i18n/hardcoded-string', text: 'User-facing text is not going through the translation function' }
+];
+
+function fileLocation(file, region = null) {
+  return {
+    physicalLocation: {
+      artifactLocation: { uri: file, uriBaseId: '%SRCROOT%' },
+      ...(region ? { region } : {})
+    }
+  };
+}
+
+// SARIF 2.1.0 log, for code scanning tools; findings that fail the check are errors
+function buildSarifReport(report) {
+  const results = [];
+
+  report.locales.forEach(locale => {
+    const gating = locale.passed ? 'warning' : 'error';
+    const add = (ruleId, keys, level, describe) => keys.forEach(key => {
+      results.push({
+        ruleId,
+        level,
+        message: { text: describe(key) },
+        locations: (report.keyFiles[key] || []).map(file => fileLocation(file)),
+        properties: { key, language: locale.language }
+      });
+    });
+
+    add('i18n/missing-translation', locale.missing, gating, key => `${key} has no ${locale.language} translation`);
+    add('i18n/empty-translation', locale.empty, gating, key => `${key} has an empty ${locale.language} translation`);
+    add('i18n/stale-translation', locale.stale, gating, key => `The ${locale.language} translation of ${key} was made from older source text`);
+    add('i18n/untranslated', locale.untranslated, 'note', key => `The ${locale.language} translation of ${key} is identical to the source text`);
+    add('i18n/extra-key', locale.extra, 'note', key => `${locale.language} has ${key}, which is not in the source catalog`);
+  });
+
+  report.hardcoded.forEach(entry => {
+    results.push({
+      ruleId: 'i18n/hardcoded-string',
+      level: report.failOnHardcoded ? 'error' : 'warning',
+      message: { text: `Hardcoded string "${entry.text}"${entry.key ? ` (key ${entry.key})` : ''}` },
+      locations: [fileLocation(entry.file, entry.line ? { startLine: entry.line, startColumn: entry.column || 1 } : null)]
+    });
+  });
+
+  return `${JSON.stringify({
+    $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+    version: '2.1.0',
+    runs: [{
+      tool: {
+        driver: {
+          name: 'i18n-adapt',
+          informationUri: 'https://github.com/joel0x/i18n-adapt',
+          rules: RULES.map(rule => ({ id: rule.id, shortDescription: { text: rule.text } }))
+        }
+      },
+      results
+    }]
+  }, null, 2)}\n`;
+}
+
+module.exports = {
+  buildSarifReport
+};
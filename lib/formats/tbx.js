@@ -0,0 +1,32 @@
+const { unescapeXml } = require('./xliff');
+
+// Concepts of a TBX termbase (TBX 2 <termEntry> or TBX 3 <conceptEntry>), with the first term of each language.
+// A concept is marked do-not-translate by any element with type="doNotTranslate", unless its value is no/false.
+function parseTbx(content) {
+  const concepts = [];
+  const conceptRegex = /<(termEntry|conceptEntry)\b[^>]*>([\s\S]*?)<\/\1>/g;
+  let match;
+
+  while ((match = conceptRegex.exec(content)) !== null) {
+    const terms = {};
+    const langSetRegex = /<langSec\b[^>]*\bxml:lang="([^"]*)"[^>]*>([\s\S]*?)<\/langSec>|<langSet\b[^>]*\bxml:lang="([^"]*)"[^>]*>([\s\S]*?)<\/langSet>/g;
+    let langSet;
+    while ((langSet = langSetRegex.exec(match[2])) !== null) {
+      const language = langSet[1] || langSet[3];
+      const term = (langSet[2] || langSet[4]).match(/<term\b[^>]*>([\s\S]*?)<\/term>/);
+      if (term && !terms[language]) terms[language] = unescapeXml(term[1].replace(/<[^>]+>/g, '')).trim();
+    }
+
+    const restriction = match[2].match(/<(\w+)\b[^>]*\btype="doNotTranslate"[^>]*>([\s\S]*?)<\/\1>/);
+    concepts.push({
+      terms,
+      doNotTranslate: Boolean(restriction) && !/^\s*(no|false)\s*$/i.test(restriction[2])
+    });
+  }
+
+  return concepts;
+}
+
+module.exports = {
+  parseTbx
+};
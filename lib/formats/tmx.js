@@ -0,0 +1,84 @@
+const { escapeXml, unescapeXml } = require('./xliff');
+
+// Inline markup a <seg> may wrap native codes in; their content is the escaped original markup
+const INLINE_TAGS = /<\/?(bpt|ept|ph|it|ut|hi|sub)\b[^>]*>/g;
+
+function getProps(content) {
+  const props = {};
+  const propRegex = /<prop\b[^>]*\btype="([^"]*)"[^>]*>([\s\S]*?)<\/prop>/g;
+  let match;
+  while ((match = propRegex.exec(content)) !== null) {
+    props[unescapeXml(match[1])] = unescapeXml(match[2]);
+  }
+  return props;
+}
+
+// Build a TMX 1.4 document: one <tu> per source text, context and provider, with a <tuv> per language
+function buildTmx({ sourceLanguage = 'en', units }) {
+  const body = units.map(unit => {
+    const lines = ['    <tu>'];
+    if (unit.context) lines.push(`      <prop type="x-context">${escapeXml(unit.context)}</prop>`);
+    if (unit.provider) lines.push(`      <prop type="x-provider">${escapeXml(unit.provider)}</prop>`);
+    lines.push(`      <tuv xml:lang="${escapeXml(sourceLanguage)}"><seg>${escapeXml(unit.source)}</seg></tuv>`);
+    Object.keys(unit.targets).sort().forEach(language => {
+      lines.push(`      <tuv xml:lang="${escapeXml(language)}"><seg>${escapeXml(unit.targets[language])}</seg></tuv>`);
+    });
+    lines.push('    </tu>');
+    return lines.join('\n');
+  }).join('\n');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<tmx version="1.4">
+  <header creationtool="i18n-adapt" creationtoolversion="1.0.0" segtype="sentence" o-tmf="i18n-adapt" adminlang="en" srclang="${escapeXml(sourceLanguage)}" datatype="plaintext"/>
+  <body>
+${body}
+  </body>
+</tmx>
+`;
+}
+
+// Read the translation units of a TMX document. The source language comes from the header,
+// or `sourceLanguage` when the header says *all*; every other <tuv> is a target.
+function parseTmx(content, { sourceLanguage = 'en' } = {}) {
+  const header = content.match(/<header\b[^>]*\bsrclang="([^"]*)"/);
+  const srclang = header && header[1] !== '*all*' ? header[1] : sourceLanguage;
+  const sameLanguage = (a, b) => a.toLowerCase() === b.toLowerCase();
+
+  const units = [];
+  const unitRegex = /<tu\b[^>]*>([\s\S]*?)<\/tu>/g;
+  let match;
+
+  while ((match = unitRegex.exec(content)) !== null) {
+    const props = getProps(match[1]);
+    const variants = {};
+    const variantRegex = /<tuv\b[^>]*\b(?:xml:)?lang="([^"]*)"[^>]*>[\s\S]*?<seg>([\s\S]*?)<\/seg>[\s\S]*?<\/tuv>/g;
+    let variant;
+    while ((variant = variantRegex.exec(match[1])) !== null) {
+      variants[variant[1]] = unescapeXml(variant[2].replace(INLINE_TAGS, ''));
+    }
+
+    const sourceKey = Object.keys(variants).find(language => sameLanguage(language, srclang));
+    if (!sourceKey || !variants[sourceKey]) continue;
+
+    const targets = {};
+    Object.keys(variants)
+      .filter(language => language !== sourceKey && variants[language])
+      .forEach(language => {
+        targets[language] = variants[language];
+      });
+
+    units.push({
+      source: variants[sourceKey],
+      targets,
+      context: props['x-context'] || '',
+      provider: props['x-provider'] || null
+    });
+  }
+
+  return { sourceLanguage: srclang, units };
+}
+
+module.exports = {
+  buildTmx,
+  parseTmx
+};
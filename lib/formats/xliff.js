@@ -0,0 +1,190 @@
+// XML escaping for element content and attribute values
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function unescapeXml(text) {
+  return String(text)
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+// {{name}} placeholders of a message
+const INTERPOLATION = /(\{\{[^{}]*\}\})/;
+
+// Message text with each {{name}} placeholder as the <x id="INTERPOLATION"/> element Angular expects.
+// Placeholders are numbered INTERPOLATION, INTERPOLATION_1, ... in the order the source text uses them.
+function formatXliff12Text(text, placeholderIds) {
+  return String(text).split(INTERPOLATION).map((part, index) => {
+    if (index % 2 === 0) return escapeXml(part);
+    if (!placeholderIds[part]) {
+      const count = Object.keys(placeholderIds).length;
+      placeholderIds[part] = count === 0 ? 'INTERPOLATION' : `INTERPOLATION_${count}`;
+    }
+    return `<x id="${placeholderIds[part]}" equiv-text="${escapeXml(part)}"/>`;
+  }).join('');
+}
+
+// Element content of an XLIFF 1.2 source or target, with <x/> placeholders back as their equiv-text
+function readXliff12Text(content) {
+  return content.split(/(<x\b[^>]*\/>)/).map((part, index) => {
+    if (index % 2 === 0) return unescapeXml(part);
+    const equivText = part.match(/\bequiv-text="([^"]*)"/);
+    const id = part.match(/\bid="([^"]*)"/);
+    return equivText ? unescapeXml(equivText[1]) : `{{${id ? unescapeXml(id[1]) : ''}}}`;
+  }).join('');
+}
+
+// Build an XLIFF 1.2 document in the layout `ng extract-i18n` produces
+function buildXliff12({ sourceLanguage = 'en', targetLanguage = null, units }) {
+  const targetAttribute = targetLanguage ? ` target-language="${escapeXml(targetLanguage)}"` : '';
+
+  const body = units.map(unit => {
+    const placeholderIds = {};
+    const lines = [
+      `      <trans-unit id="${escapeXml(unit.id)}" datatype="html">`,
+      `        <source>${formatXliff12Text(unit.source, placeholderIds)}</source>`
+    ];
+    if (targetLanguage && unit.target !== undefined) {
+      lines.push(`        <target state="${unit.state || 'translated'}">${formatXliff12Text(unit.target, placeholderIds)}</target>`);
+    }
+    if (unit.note) {
+      lines.push(`        <note priority="1" from="description">${escapeXml(unit.note)}</note>`);
+    }
+    lines.push('      </trans-unit>');
+    return lines.join('\n');
+  }).join('\n');
+
+  return `<?xml version="1.0" encoding="UTF-8" ?>
+<xliff version="1.2" xmlns="urn:oasis:names:tc:xliff:document:1.2">
+  <file source-language="${escapeXml(sourceLanguage)}"${targetAttribute} datatype="plaintext" original="ng2.template">
+    <body>
+${body}
+    </body>
+  </file>
+</xliff>
+`;
+}
+
+// Read the trans-units of an XLIFF 1.2 document
+function parseXliff12(content) {
+  const units = [];
+  const unitRegex = /<trans-unit\b[^>]*\bid="([^"]*)"[^>]*>([\s\S]*?)<\/trans-unit>/g;
+  let match;
+
+  while ((match = unitRegex.exec(content)) !== null) {
+    const source = match[2].match(/<source>([\s\S]*?)<\/source>/);
+    const target = match[2].match(/<target(?:\s+state="([^"]*)")?[^>]*>([\s\S]*?)<\/target>/);
+    const note = match[2].match(/<note\b[^>]*>([\s\S]*?)<\/note>/);
+
+    units.push({
+      id: unescapeXml(match[1]),
+      source: source ? readXliff12Text(source[1]) : '',
+      target: target ? readXliff12Text(target[2]) : undefined,
+      state: target ? target[1] : undefined,
+      note: note ? unescapeXml(note[1]) : undefined
+    });
+  }
+
+  return units;
+}
+
+// Build an XLIFF 2.0 document with one <unit> per message: notes (category and text), then a segment
+// whose state is initial, translated, reviewed or final, with an optional `prefix:value` subState
+function buildXliff20({ sourceLanguage = 'en', targetLanguage, units }) {
+  const body = units.map(unit => {
+    const lines = [`    <unit id="${escapeXml(unit.id)}">`];
+    if (unit.notes && unit.notes.length > 0) {
+      lines.push('      <notes>');
+      unit.notes.forEach(note => {
+        const category = note.category ? ` category="${escapeXml(note.category)}"` : '';
+        lines.push(`        <note${category}>${escapeXml(note.text)}</note>`);
+      });
+      lines.push('      </notes>');
+    }
+    const subState = unit.subState ? ` subState="${escapeXml(unit.subState)}"` : '';
+    lines.push(`      <segment state="${unit.state || 'initial'}"${subState}>`);
+    lines.push(`        <source>${escapeXml(unit.source)}</source>`);
+    if (unit.target !== undefined) {
+      lines.push(`        <target>${escapeXml(unit.target)}</target>`);
+    }
+    lines.push('      </segment>', '    </unit>');
+    return lines.join('\n');
+  }).join('\n');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<xliff xmlns="urn:oasis:names:tc:xliff:document:2.0" version="2.0" srcLang="${escapeXml(sourceLanguage)}" trgLang="${escapeXml(targetLanguage)}">
+  <file id="messages">
+${body}
+  </file>
+</xliff>
+`;
+}
+
+// Read the units of an XLIFF 2.0 document; a unit split into several segments is joined back together
+function parseXliff20(content) {
+  const root = content.match(/<xliff\b[^>]*>/);
+  const attribute = name => {
+    const match = root && root[0].match(new RegExp(`\\b${name}="([^"]*)"`));
+    return match ? unescapeXml(match[1]) : undefined;
+  };
+
+  const units = [];
+  const unitRegex = /<unit\b[^>]*\bid="([^"]*)"[^>]*>([\s\S]*?)<\/unit>/g;
+  let match;
+
+  while ((match = unitRegex.exec(content)) !== null) {
+    const notes = [];
+    const noteRegex = /<note\b([^>]*)>([\s\S]*?)<\/note>/g;
+    let note;
+    while ((note = noteRegex.exec(match[2])) !== null) {
+      const category = note[1].match(/\bcategory="([^"]*)"/);
+      notes.push({ category: category ? unescapeXml(category[1]) : undefined, text: unescapeXml(note[2]) });
+    }
+
+    const segments = [];
+    const segmentRegex = /<segment\b([^>]*)>([\s\S]*?)<\/segment>/g;
+    let segment;
+    while ((segment = segmentRegex.exec(match[2])) !== null) {
+      const state = segment[1].match(/\bstate="([^"]*)"/);
+      const subState = segment[1].match(/\bsubState="([^"]*)"/);
+      const source = segment[2].match(/<source\b[^>]*>([\s\S]*?)<\/source>/);
+      const target = segment[2].match(/<target\b[^>]*>([\s\S]*?)<\/target>|<target\b[^>]*\/>/);
+      segments.push({
+        state: state ? state[1] : 'initial',
+        subState: subState ? unescapeXml(subState[1]) : undefined,
+        source: source ? unescapeXml(source[1]) : '',
+        target: target ? unescapeXml(target[1] || '') : undefined
+      });
+    }
+    if (segments.length === 0) continue;
+
+    units.push({
+      id: unescapeXml(match[1]),
+      notes,
+      source: segments.map(part => part.source).join(''),
+      target: segments.every(part => part.target === undefined) ? undefined : segments.map(part => part.target || '').join(''),
+      state: segments[0].state,
+      subState: segments[0].subState
+    });
+  }
+
+  return { sourceLanguage: attribute('srcLang'), targetLanguage: attribute('trgLang'), units };
+}
+
+module.exports = {
+  escapeXml,
+  unescapeXml,
+  buildXliff12,
+  parseXliff12,
+  buildXliff20,
+  parseXliff20
+};
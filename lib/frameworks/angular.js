@@ -1,32 +1,452 @@
-const fs = require('fs-extra');
+const fs = require('../utils/staging');
 const path = require('path');
 const chalk = require('chalk');
+const _ = require('lodash');
+const { extractStrings } = require('../extractors/angular');
+const { addImport, applyEdits } = require('../utils/source');
+const { flattenMessages } = require('../utils/messages');
+const { buildXliff12, parseXliff12 } = require('../formats/xliff');
+
+// Default source-language messages for a fresh ngx-translate setup
+const defaultMessages = {
+  common: {
+    loading: 'Loading',
+    error: 'Error',
+    retry: 'Retry'
+  },
+  navigation: {
+    home: 'Home',
+    about: 'About',
+    contact: 'Contact'
+  }
+};
+
+// ngx-translate loader registration for app.module.ts / app.config.ts
+const loaderFactory = `
+export function HttpLoaderFactory(http: HttpClient) {
+  return new TranslateHttpLoader(http, './assets/i18n/', '.json');
+}
+`;
+const getTranslateModuleConfig = sourceLocale => `TranslateModule.forRoot({
+      defaultLanguage: '${sourceLocale}',
+      loader: {
+        provide: TranslateLoader,
+        useFactory: HttpLoaderFactory,
+        deps: [HttpClient]
+      }
+    })`;
+
+// @angular/localize keeps its XLIFF files in src/locale
+function getLocaleDir(structure) {
+  return structure.localesDir || path.join(structure.rootDir, 'src/locale');
+}
+
+// messages.xlf for the source language, messages.<lang>.xlf for translations
+function getXliffFile(structure, language) {
+  const fileName = language === structure.sourceLocale ? 'messages.xlf' : `messages.${language}.xlf`;
+  return path.join(getLocaleDir(structure), fileName);
+}
+
+// Read the trans-units of an XLIFF file, keyed by id
+async function readXliffUnits(file) {
+  if (!await fs.pathExists(file)) return {};
+  const content = await fs.readFile(file, 'utf8');
+  return _.keyBy(parseXliff12(content), 'id');
+}
+
+// Wire ngx-translate into app.module.ts or the standalone app.config.ts
+async function registerTranslateModule(projectRoot, sourceLocale) {
+  const moduleFile = path.join(projectRoot, 'src/app/app.module.ts');
+  const configFile = path.join(projectRoot, 'src/app/app.config.ts');
+  const imports = [
+    "import { HttpClient, HttpClientModule } from '@angular/common/http';",
+    "import { TranslateLoader, TranslateModule } from '@ngx-translate/core';",
+    "import { TranslateHttpLoader } from '@ngx-translate/http-loader';"
+  ];
+
+  let file = null;
+  let updatedContent = null;
+
+  if (await fs.pathExists(moduleFile)) {
+    file = moduleFile;
+    const content = await fs.readFile(file, 'utf8');
+    if (content.includes('TranslateModule')) return;
+
+    updatedContent = imports.reduce(addImport, content);
+    updatedContent = updatedContent.replace(/(\n@NgModule)/, `${loaderFactory}$1`);
+    updatedContent = updatedContent.replace(
+      /(imports\s*:\s*\[)/,
+      `$1\n    HttpClientModule,\n    ${getTranslateModuleConfig(sourceLocale)},\n    `
+    );
+  } else if (await fs.pathExists(configFile)) {
+    file = configFile;
+    const content = await fs.readFile(file, 'utf8');
+    if (content.includes('TranslateModule')) return;
+
+    updatedContent = [
+      "import { importProvidersFrom } from '@angular/core';",
+      "import { HttpClient, provideHttpClient } from '@angular/common/http';",
+      imports[1],
+      imports[2]
+    ].reduce(addImport, content);
+    updatedContent = updatedContent.replace(/(\nexport const appConfig)/, `${loaderFactory}$1`);
+    updatedContent = updatedContent.replace(
+      /(providers\s*:\s*\[)/,
+      `$1\n    provideHttpClient(),\n    importProvidersFrom(${getTranslateModuleConfig(sourceLocale)}),\n    `
+    );
+  }
+
+  if (!file || !updatedContent.includes('TranslateModule.forRoot')) {
+    console.log(chalk.yellow('⚠️ Could not find where to register ngx-translate. Add TranslateModule.forRoot() to your app manually.'));
+    return;
+  }
+
+  await fs.writeFile(file, updatedContent);
+  console.log(chalk.green(`✓ Registered ngx-translate in ${file}`));
+}
+
+// Standalone components need TranslateModule in their own imports to use the translate pipe
+async function addTranslateModuleToComponent(componentFile) {
+  if (!await fs.pathExists(componentFile)) return;
+
+  const content = await fs.readFile(componentFile, 'utf8');
+  if (!/standalone\s*:\s*true/.test(content) || content.includes('TranslateModule')) return;
+
+  let updatedContent = addImport(content, "import { TranslateModule } from '@ngx-translate/core';");
+  if (/@Component\(\{[\s\S]*?imports\s*:\s*\[/.test(updatedContent)) {
+    updatedContent = updatedContent.replace(/(@Component\(\{[\s\S]*?imports\s*:\s*\[)/, '$1TranslateModule, ');
+  } else {
+    updatedContent = updatedContent.replace(/(standalone\s*:\s*true\s*,?)/, '$1\n  imports: [TranslateModule],');
+  }
+
+  await fs.writeFile(componentFile, updatedContent);
+}
+
+// Add a locale to the i18n section of angular.json
+async function registerLocale(projectRoot, language, sourceLocale) {
+  const angularJson = path.join(projectRoot, 'angular.json');
+  if (!await fs.pathExists(angularJson)) return;
+
+  const config = await fs.readJson(angularJson);
+  const projectName = config.defaultProject || Object.keys(config.projects || {})[0];
+  const project = projectName && config.projects[projectName];
+  if (!project) return;
+
+  project.i18n = project.i18n || { sourceLocale };
+  project.i18n.locales = project.i18n.locales || {};
+  if (project.i18n.locales[language]) return;
+
+  project.i18n.locales[language] = `src/locale/messages.${language}.xlf`;
+  await fs.writeJson(angularJson, config, { spaces: 2 });
+  console.log(chalk.green(`✓ Added ${language} to the i18n locales in angular.json`));
+}
 
 // Initialize Angular project with i18n structure
-async function initialize(projectRoot) {
+async function initialize(projectRoot, options = {}) {
   console.log(chalk.blue('🚀 Initializing Angular project for internationalization...'));
-  // Basic implementation
+
+  let deps = {};
+  try {
+    const pkg = await fs.readJson(path.join(projectRoot, 'package.json'));
+    deps = { ...pkg.dependencies, ...pkg.devDependencies };
+  } catch (err) {
+    console.error(chalk.red(`Error checking dependencies: ${err.message}`));
+  }
+
+  // Projects on Angular's built-in i18n only need the locale directory
+  const i18nMode = options.angularI18n || (deps['@angular/localize'] ? 'localize' : 'ngx-translate');
+  if (i18nMode === 'localize') {
+    if (!deps['@angular/localize']) {
+      console.log(chalk.yellow('⚠️ @angular/localize not found in package.json. Please run: ng add @angular/localize'));
+    }
+    const localeDir = getLocaleDir({
+      rootDir: projectRoot,
+      localesDir: options.localesDir ? path.resolve(projectRoot, options.localesDir) : null
+    });
+    await fs.ensureDir(localeDir);
+    console.log(chalk.green(`✓ Using @angular/localize, translations go to ${localeDir}`));
+    return true;
+  }
+
+  const sourceLocale = options.sourceLocale || 'en';
+  const sourceFile = path.join(path.resolve(projectRoot, options.i18nFile || 'src/assets/i18n'), `${sourceLocale}.json`);
+  if (!await fs.pathExists(sourceFile)) {
+    await fs.outputJson(sourceFile, defaultMessages, { spaces: 2 });
+    console.log(chalk.green(`✓ Created ${sourceLocale} messages at ${sourceFile}`));
+  }
+
+  await registerTranslateModule(projectRoot, sourceLocale);
+
+  if (!deps['@ngx-translate/core'] || !deps['@ngx-translate/http-loader']) {
+    console.log(chalk.yellow('⚠️ ngx-translate not found in package.json.'));
+    console.log(chalk.yellow('Please run: npm install --save @ngx-translate/core @ngx-translate/http-loader'));
+  }
+
   return true;
 }
 
 // Analyze Angular project for strings and UI files
 async function analyze(projectRoot, structure) {
   console.log(chalk.blue('🔍 Analyzing Angular components...'));
-  // Basic implementation
+
+  const strings = new Set();
+  const occurrences = [];
+  const { uiFiles, i18nFile, i18nMode, sourceLocale } = structure;
+
+  // Existing source-language messages
+  let currentTranslations = {};
+  try {
+    if (i18nMode === 'localize') {
+      const units = await readXliffUnits(getXliffFile(structure, sourceLocale));
+      Object.keys(units).forEach(id => _.set(currentTranslations, id.split('.'), units[id].source));
+    } else if (await fs.pathExists(path.join(i18nFile, `${sourceLocale}.json`))) {
+      currentTranslations = await fs.readJson(path.join(i18nFile, `${sourceLocale}.json`));
+    }
+  } catch (err) {
+    console.warn(chalk.yellow(`⚠️ Could not parse existing translations: ${err.message}`));
+  }
+
+  for (const file of uiFiles) {
+    if (file.endsWith('.spec.ts')) continue;
+
+    try {
+      const content = await fs.readFile(file, 'utf8');
+
+      extractStrings(content, file)
+        .filter(entry => entry.userFacing)
+        .forEach(entry => {
+          occurrences.push(entry);
+          strings.add(entry.text);
+        });
+    } catch (err) {
+      console.warn(chalk.yellow(`⚠️ Could not analyze file ${file}: ${err.message}`));
+    }
+  }
+
   return {
-    strings: [],
-    uiFiles: structure.uiFiles,
-    currentTranslations: {}
+    strings: Array.from(strings),
+    occurrences,
+    uiFiles,
+    currentTranslations
   };
 }
 
+// Messages already stored for a language, as { namespace: { key: value } }
+async function readTranslations(structure, language) {
+  if (structure.i18nMode === 'localize') {
+    const units = await readXliffUnits(getXliffFile(structure, language));
+    const messages = {};
+    Object.keys(units).forEach(id => {
+      const value = language === structure.sourceLocale ? units[id].source : units[id].target;
+      if (value) _.set(messages, id.split('.'), value);
+    });
+    return messages;
+  }
+
+  const localeFile = path.join(structure.i18nFile, `${language}.json`);
+  return await fs.pathExists(localeFile) ? fs.readJson(localeFile) : {};
+}
+
+// Languages that have a locale file: messages.<lang>.xlf, or <lang>.json for ngx-translate
+async function listLanguages(structure) {
+  if (structure.i18nMode === 'localize') {
+    return (await fs.readdir(getLocaleDir(structure)))
+      .map(file => (file === 'messages.xlf' ? structure.sourceLocale : (file.match(/^messages\.(.+)\.xlf$/) || [])[1]))
+      .filter(Boolean)
+      .sort();
+  }
+
+  return (await fs.readdir(structure.i18nFile))
+    .filter(file => path.extname(file) === '.json')
+    .map(file => path.basename(file, '.json'))
+    .sort();
+}
+
+// Write translations as @angular/localize XLIFF
+async function updateXliffTranslations(structure, translations, language, forceAll) {
+  const { rootDir } = structure;
+  const messages = flattenMessages(translations);
+  const sourceFile = getXliffFile(structure, structure.sourceLocale);
+  const sourceUnits = await readXliffUnits(sourceFile);
+
+  // The source file only carries the source-language text
+  if (language === structure.sourceLocale) {
+    const units = forceAll ? {} : sourceUnits;
+    Object.keys(messages).forEach(id => {
+      units[id] = { ...sourceUnits[id], id, source: messages[id] };
+    });
+    await fs.outputFile(sourceFile, buildXliff12({ sourceLanguage: structure.sourceLocale, units: Object.values(units) }));
+    console.log(chalk.green(`✓ Updated source messages in ${sourceFile}`));
+    return true;
+  }
+
+  const targetFile = getXliffFile(structure, language);
+  const units = forceAll ? {} : await readXliffUnits(targetFile);
+  let missingSources = 0;
+
+  // Angular only looks up ids an i18n attribute marks, and those are in the source file
+  Object.keys(messages).forEach(id => {
+    if (!sourceUnits[id]) {
+      missingSources++;
+      return;
+    }
+
+    units[id] = {
+      ...units[id],
+      id,
+      source: sourceUnits[id].source,
+      target: messages[id],
+      state: 'translated'
+    };
+  });
+
+  if (missingSources > 0) {
+    console.warn(chalk.yellow(`⚠️ Skipped ${missingSources} messages that are missing from ${sourceFile}. Run with --replace-strings or ng extract-i18n first.`));
+  }
+
+  await fs.outputFile(targetFile, buildXliff12({ sourceLanguage: structure.sourceLocale, targetLanguage: language, units: Object.values(units) }));
+  console.log(chalk.green(`✓ Updated translations in ${targetFile}`));
+
+  await registerLocale(rootDir, language, structure.sourceLocale);
+  return true;
+}
+
 // Update translations in Angular project
 async function updateTranslations(structure, translations, language, forceAll) {
   console.log(chalk.blue(`📝 Updating Angular translations for ${language}...`));
-  // Basic implementation
+
+  if (structure.i18nMode === 'localize') {
+    return updateXliffTranslations(structure, translations, language, forceAll);
+  }
+
+  // ngx-translate loads src/assets/i18n/<lang>.json over HTTP
+  const localeFile = path.join(structure.i18nFile, `${language}.json`);
+
+  // Merge with existing messages unless everything is being retranslated
+  let messages = translations;
+  if (!forceAll && await fs.pathExists(localeFile)) {
+    try {
+      const existingMessages = await fs.readJson(localeFile);
+      messages = { ...existingMessages };
+      Object.keys(translations).forEach(namespace => {
+        messages[namespace] = {
+          ...(messages[namespace] || {}),
+          ...translations[namespace]
+        };
+      });
+    } catch (err) {
+      console.warn(chalk.yellow(`⚠️ Error merging translations: ${err.message}`));
+    }
+  }
+
+  await fs.outputJson(localeFile, messages, { spaces: 2 });
+  console.log(chalk.green(`✓ Updated translations in ${localeFile}`));
+
   return true;
 }
 
+// Edit that marks an occurrence for @angular/localize with an i18n attribute
+function getLocalizeEdit(entry, key) {
+  if (entry.hasI18n || entry.elementInsertAt === null) return null;
+
+  if (entry.kind === 'template-text' || entry.kind === 'template-message') {
+    return entry.soleContent
+      ? { start: entry.elementInsertAt, end: entry.elementInsertAt, text: ` i18n="@@${key}"` }
+      : null;
+  }
+  if (entry.kind === 'template-attribute') {
+    return { start: entry.elementInsertAt, end: entry.elementInsertAt, text: ` i18n-${entry.attribute}="@@${key}"` };
+  }
+  return null;
+}
+
+// Edit that swaps an occurrence for the ngx-translate pipe
+function getTranslatePipeEdit(entry, key, content) {
+  switch (entry.kind) {
+    case 'template-text': {
+      // Keep the surrounding whitespace so the template layout doesn't change
+      const raw = content.slice(entry.start, entry.end);
+      const [leading, trailing] = raw.match(/^(\s*)[\s\S]*?(\s*)$/).slice(1);
+      return { start: entry.start, end: entry.end, text: `${leading}{{ '${key}' | translate }}${trailing}` };
+    }
+    case 'template-message': {
+      const raw = content.slice(entry.start, entry.end);
+      const [leading, trailing] = raw.match(/^(\s*)[\s\S]*?(\s*)$/).slice(1);
+      const values = entry.values.map(value => `${value.name}: ${value.source}`);
+      return { start: entry.start, end: entry.end, text: `${leading}{{ '${key}' | translate: { ${values.join(', ')} } }}${trailing}` };
+    }
+    case 'template-attribute':
+      return { start: entry.start, end: entry.end, text: `[${entry.attribute}]="'${key}' | translate"` };
+    case 'template-binding': {
+      // Match whichever quote the attribute itself doesn't use
+      const quote = content[entry.start - 1] === "'" ? '"' : "'";
+      return { start: entry.start, end: entry.end, text: `${quote}${key}${quote} | translate` };
+    }
+    default:
+      return null;
+  }
+}
+
+// Replace hardcoded strings with translation calls
+async function replaceStrings(structure, uiFiles, keyFor) {
+  console.log(chalk.blue('🔁 Replacing hardcoded strings in Angular components...'));
+
+  const localize = structure.i18nMode === 'localize';
+  const replacedStrings = {};
+
+  for (const file of uiFiles) {
+    if (file.endsWith('.spec.ts')) continue;
+
+    try {
+      const content = await fs.readFile(file, 'utf8');
+      const edits = [];
+
+      extractStrings(content, file)
+        .filter(entry => entry.userFacing && keyFor(entry))
+        .forEach(entry => {
+          // Quotes inside a '...' inline template would end the string early
+          if (!localize && entry.inlineQuote && entry.inlineQuote !== '`') {
+            console.warn(chalk.yellow(`⚠️ "${entry.text}" (${path.basename(file)}:${entry.line}) is in a quoted inline template, left in place`));
+            return;
+          }
+
+          const key = keyFor(entry);
+          const edit = localize ? getLocalizeEdit(entry, key) : getTranslatePipeEdit(entry, key, content);
+          if (!edit) {
+            console.warn(chalk.yellow(`⚠️ "${entry.text}" (${path.basename(file)}:${entry.line}) could not be marked for translation, left in place`));
+            return;
+          }
+
+          edits.push(edit);
+          replacedStrings[key] = entry.text;
+        });
+
+      if (edits.length === 0) continue;
+
+      await fs.writeFile(file, applyEdits(content, edits));
+      console.log(chalk.green(`✓ Replaced hardcoded strings in ${path.basename(file)}`));
+
+      if (!localize) {
+        await addTranslateModuleToComponent(file.endsWith('.html') ? file.replace(/\.html$/, '.ts') : file);
+      }
+    } catch (err) {
+      console.warn(chalk.yellow(`⚠️ Could not rewrite file ${file}: ${err.message}`));
+    }
+  }
+
+  // The source locale needs the same keys, or the UI would render raw keys
+  const sourceTranslations = {};
+  Object.keys(replacedStrings).forEach(key => {
+    _.set(sourceTranslations, key.split('.'), replacedStrings[key]);
+  });
+
+  if (!_.isEmpty(replacedStrings)) {
+    await updateTranslations(structure, sourceTranslations, structure.sourceLocale, false);
+  }
+
+  return Object.keys(replacedStrings).map(key => ({ key, text: replacedStrings[key] }));
+}
+
 // Update UI for language responsiveness
 async function updateUI(structure, uiFiles) {
   console.log(chalk.blue('🎨 Updating Angular UI components for language responsiveness...'));
@@ -37,6 +457,9 @@ async function updateUI(structure, uiFiles) {
 module.exports = {
   initialize,
   analyze,
+  readTranslations,
+  listLanguages,
   updateTranslations,
+  replaceStrings,
   updateUI
-};
\ No newline at end of file
+};
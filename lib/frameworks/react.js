@@ -1,22 +1,346 @@
-const fs = require('fs-extra');
+const fs = require('../utils/staging');
 const path = require('path');
 const chalk = require('chalk');
+const _ = require('lodash');
+const traverse = require('@babel/traverse').default;
+const { detectReactStorage } = require('../detector');
+const { parseSource, extractStrings } = require('../extractors/javascript');
+const { addImport, applyEdits } = require('../utils/source');
+const { getCatalogMessages } = require('../languages/plurals');
+
+// Default English translations for a fresh setup
+const defaultTranslations = {
+  common: {
+    loading: 'Loading',
+    error: 'Error',
+    retry: 'Retry'
+  },
+  navigation: {
+    home: 'Home',
+    about: 'About',
+    contact: 'Contact'
+  }
+};
+
+// JSON resources are bundled from src/locales, or served from public/locales for i18next-http-backend
+function getLocalesDir(structure) {
+  if (structure.localesDir) return structure.localesDir;
+  return path.join(structure.rootDir, structure.loader === 'http' ? 'public/locales' : 'src/locales');
+}
+
+// Read every locales/<lang>/<namespace>.json file into { lang: { namespace: messages } }
+async function readLocaleFiles(localesDir) {
+  const resources = {};
+  if (!await fs.pathExists(localesDir)) return resources;
+  
+  for (const language of await fs.readdir(localesDir)) {
+    const languageDir = path.join(localesDir, language);
+    if (!(await fs.stat(languageDir)).isDirectory()) continue;
+    
+    resources[language] = {};
+    for (const file of await fs.readdir(languageDir)) {
+      if (path.extname(file) !== '.json') continue;
+      resources[language][path.basename(file, '.json')] = await fs.readJson(path.join(languageDir, file));
+    }
+  }
+  
+  return resources;
+}
+
+// Generated setups keep <html lang> and dir in step with i18next; registered before init so the detected language applies too
+const DOCUMENT_LANGUAGE_LISTENER = `i18n.on('languageChanged', language => {
+  if (typeof document === 'undefined') return;
+  document.documentElement.lang = language;
+  document.documentElement.dir = i18n.dir(language);
+});
+`;
+
+// A language or namespace as an object key, quoted unless it is a valid identifier ('pt-BR')
+function getPropertyKey(name) {
+  return /^[a-z_$][\w$]*$/i.test(name) ? name : `'${name}'`;
+}
+
+// Variable an inline i18n.js keeps a language's translations in (pt-BR -> ptBrTranslations)
+function getTranslationsIdentifier(language) {
+  return `${_.camelCase(language)}Translations`;
+}
+
+// Generate an i18next setup that loads the JSON resources, statically or through i18next-http-backend
+function createJsonSetupContent(i18nFile, localesDir, resources, loader, sourceLocale) {
+  const languages = Object.keys(resources).sort((a, b) => (a === sourceLocale ? -1 : b === sourceLocale ? 1 : a.localeCompare(b)));
+  const namespaces = _.uniq(_.flatMap(languages, language => Object.keys(resources[language]))).sort();
+  const defaultNS = namespaces.includes('common') ? 'common' : namespaces[0];
+  const nsList = namespaces.map(namespace => `'${namespace}'`).join(', ');
+  
+  const options = `    ns: [${nsList}],
+    defaultNS: '${defaultNS}',
+    // Keys are written as t('namespace.key')
+    nsSeparator: '.',
+    fallbackLng: '${sourceLocale}',
+    debug: process.env.NODE_ENV === 'development',
+    interpolation: {
+      escapeValue: false
+    }`;
+  
+  if (loader === 'http') {
+    return `// Generated by i18n-adapt. Translations are served from public/locales.
+import i18n from 'i18next';
+import { initReactI18next } from 'react-i18next';
+import LanguageDetector from 'i18next-browser-languagedetector';
+import HttpBackend from 'i18next-http-backend';
+
+${DOCUMENT_LANGUAGE_LISTENER}
+i18n
+  .use(HttpBackend)
+  .use(LanguageDetector)
+  .use(initReactI18next)
+  .init({
+    backend: {
+      loadPath: '/locales/{{lng}}/{{ns}}.json'
+    },
+    supportedLngs: [${languages.map(language => `'${language}'`).join(', ')}],
+${options}
+  });
+
+export default i18n;
+`;
+  }
+  
+  let relativeDir = path.relative(path.dirname(i18nFile), localesDir).split(path.sep).join('/');
+  if (!relativeDir.startsWith('.')) {
+    relativeDir = `./${relativeDir}`;
+  }
+  
+  const identifier = (language, namespace) => _.camelCase(language) + _.upperFirst(_.camelCase(namespace));
+  const imports = [];
+  const resourceEntries = languages.map(language => {
+    const entries = Object.keys(resources[language]).sort().map(namespace => {
+      imports.push(`import ${identifier(language, namespace)} from '${relativeDir}/${language}/${namespace}.json';`);
+      return `    ${getPropertyKey(namespace)}: ${identifier(language, namespace)}`;
+    });
+    return `  ${getPropertyKey(language)}: {\n${entries.join(',\n')}\n  }`;
+  });
+  
+  return `// Generated by i18n-adapt. Translations live in ${path.relative(path.dirname(i18nFile), localesDir).split(path.sep).join('/')}/<lang>/<namespace>.json.
+import i18n from 'i18next';
+import { initReactI18next } from 'react-i18next';
+import LanguageDetector from 'i18next-browser-languagedetector';
+${imports.join('\n')}
+
+const resources = {
+${resourceEntries.join(',\n')}
+};
+
+${DOCUMENT_LANGUAGE_LISTENER}
+i18n
+  .use(LanguageDetector)
+  .use(initReactI18next)
+  .init({
+    resources,
+${options}
+  });
+
+export default i18n;
+`;
+}
+
+// Turn a literal AST node (objects, strings, numbers...) back into a value
+function evaluateLiteral(node) {
+  switch (node.type) {
+    case 'ObjectExpression':
+      return node.properties.reduce((object, property) => {
+        if (property.type !== 'ObjectProperty') {
+          throw new Error(`Unsupported ${property.type} in translations`);
+        }
+        const key = property.key.type === 'Identifier' ? property.key.name : property.key.value;
+        object[key] = evaluateLiteral(property.value);
+        return object;
+      }, {});
+    case 'ArrayExpression':
+      return node.elements.map(evaluateLiteral);
+    case 'StringLiteral':
+    case 'NumericLiteral':
+    case 'BooleanLiteral':
+      return node.value;
+    case 'TemplateLiteral':
+      if (node.expressions.length === 0) {
+        return node.quasis[0].value.cooked;
+      }
+      throw new Error('Template literals with expressions are not supported in translations');
+    default:
+      throw new Error(`Unsupported ${node.type} in translations`);
+  }
+}
+
+// Name of an object property's key: resources, 'pt-BR'
+function getKeyName(key) {
+  if (!key) return null;
+  return key.type === 'Identifier' ? key.name : key.value;
+}
+
+// Find the `const xxTranslations = {...}` objects of an inline i18n.js and the `resources` object listing
+// them. A language is named by its key in `resources` ('pt-BR': { translation: ptBrTranslations }),
+// else by the variable name. Each comes with the range of its object and the end of its declaration.
+function findInlineTranslations(content, file) {
+  const declarations = [];
+  const languagesByIdentifier = {};
+  let resources = null;
+  
+  traverse(parseSource(content, file), {
+    VariableDeclarator(nodePath) {
+      const { id, init } = nodePath.node;
+      const match = id.type === 'Identifier' && id.name.match(/^(\w+)Translations$/);
+      if (!match || !init || init.type !== 'ObjectExpression') return;
+      
+      declarations.push({ identifier: id.name, name: match[1], object: init, statementEnd: nodePath.parent.end });
+    },
+    ObjectProperty(nodePath) {
+      const { key, value } = nodePath.node;
+      if (getKeyName(key) !== 'resources' || value.type !== 'ObjectExpression') return;
+      // A namespace that happens to be called resources
+      if (nodePath.findParent(parentPath => parentPath.isVariableDeclarator() && /Translations$/.test(parentPath.node.id.name || ''))) return;
+      
+      resources = value;
+      value.properties.forEach(property => {
+        const translation = property.type === 'ObjectProperty' && property.value.type === 'ObjectExpression' &&
+          property.value.properties.find(candidate => getKeyName(candidate.key) === 'translation');
+        if (translation && translation.value.type === 'Identifier') {
+          languagesByIdentifier[translation.value.name] = getKeyName(property.key);
+        }
+      });
+    }
+  });
+  
+  const languages = {};
+  declarations.forEach(({ identifier, name, object, statementEnd }) => {
+    languages[languagesByIdentifier[identifier] || name] = { identifier, object, statementEnd };
+  });
+  return { languages, resources, lastStatementEnd: declarations.length > 0 ? _.last(declarations).statementEnd : null };
+}
+
+// Read the translation objects of an inline i18n.js into { lang: messages }
+function readInlineTranslations(content, file) {
+  return _.mapValues(findInlineTranslations(content, file).languages, ({ object }) => evaluateLiteral(object));
+}
+
+// Move bundled src/locales resources to public/locales when switching to the HTTP loader
+async function migrateBundledResources(structure) {
+  const bundledDir = path.join(structure.rootDir, 'src/locales');
+  const localesDir = getLocalesDir(structure);
+  if (bundledDir === localesDir) return;
+  
+  const resources = await readLocaleFiles(bundledDir);
+  for (const language of Object.keys(resources)) {
+    for (const namespace of Object.keys(resources[language])) {
+      const namespaceFile = path.join(localesDir, language, `${namespace}.json`);
+      if (await fs.pathExists(namespaceFile)) continue;
+      await fs.outputJson(namespaceFile, resources[language][namespace], { spaces: 2 });
+    }
+  }
+}
+
+// Move inline `const xxTranslations = {...}` objects out of i18n.js into JSON resource files
+async function migrateInlineTranslations(structure) {
+  await migrateBundledResources(structure);
+  
+  const { i18nFile } = structure;
+  if (!await fs.pathExists(i18nFile)) return false;
+  
+  const content = await fs.readFile(i18nFile, 'utf8');
+  if (content.startsWith('// Generated by i18n-adapt')) return false;
+  
+  const inlineTranslations = readInlineTranslations(content, i18nFile);
+  const languages = Object.keys(inlineTranslations);
+  if (languages.length === 0) return false;
+  
+  console.log(chalk.blue(`📦 Migrating inline translations (${languages.join(', ')}) to JSON resource files...`));
+  
+  const localesDir = getLocalesDir(structure);
+  for (const language of languages) {
+    const messages = inlineTranslations[language];
+    for (const namespace of Object.keys(messages)) {
+      const namespaceFile = path.join(localesDir, language, `${namespace}.json`);
+      if (await fs.pathExists(namespaceFile)) continue;
+      await fs.outputJson(namespaceFile, messages[namespace], { spaces: 2 });
+    }
+  }
+  
+  return true;
+}
+
+// Rewrite i18n.js to load whatever is in the locales directory
+async function writeJsonSetup(structure) {
+  const { i18nFile } = structure;
+  const localesDir = getLocalesDir(structure);
+  const resources = await readLocaleFiles(localesDir);
+  const setupContent = createJsonSetupContent(i18nFile, localesDir, resources, structure.loader, structure.sourceLocale);
+  
+  // The run's backup in .i18n-adapt/ keeps a hand-written setup that gets replaced
+  if (await fs.pathExists(i18nFile) && await fs.readFile(i18nFile, 'utf8') === setupContent) return;
+  
+  await fs.outputFile(i18nFile, setupContent);
+  console.log(chalk.green(`✓ Updated i18next setup in ${i18nFile}`));
+}
+
+// Write translations to locales/<lang>/<namespace>.json
+async function updateJsonTranslations(structure, translations, language, forceAll) {
+  await migrateInlineTranslations(structure);
+  
+  const languageDir = path.join(getLocalesDir(structure), language);
+  
+  for (const namespace of Object.keys(translations)) {
+    const namespaceFile = path.join(languageDir, `${namespace}.json`);
+    let messages = translations[namespace];
+    
+    // Merge with existing messages unless everything is being retranslated
+    if (!forceAll && await fs.pathExists(namespaceFile)) {
+      try {
+        messages = { ...(await fs.readJson(namespaceFile)), ...messages };
+      } catch (err) {
+        console.warn(chalk.yellow(`⚠️ Error merging translations: ${err.message}`));
+      }
+    }
+    
+    await fs.outputJson(namespaceFile, messages, { spaces: 2 });
+  }
+  
+  console.log(chalk.green(`✓ Updated translations in ${languageDir}`));
+  await writeJsonSetup(structure);
+  
+  return true;
+}
 
 // Initialize React project with i18n structure
-async function initialize(projectRoot) {
+async function initialize(projectRoot, options = {}) {
   console.log(chalk.blue('🚀 Initializing React project for internationalization...'));
   
-  const i18nFile = path.join(projectRoot, 'src/i18n.js');
+  const i18nFile = path.resolve(projectRoot, options.i18nFile || 'src/i18n.js');
+  const sourceLocale = options.sourceLocale || 'en';
+  const { storage, loader } = detectReactStorage(projectRoot, options);
   
-  // Create i18n.js file if it doesn't exist
-  if (!await fs.pathExists(i18nFile)) {
+  if (storage === 'json') {
+    // Resource files instead of objects inside i18n.js
+    const localesDir = options.localesDir ? path.resolve(projectRoot, options.localesDir) : null;
+    const structure = { rootDir: projectRoot, i18nFile, storage, loader, localesDir, sourceLocale };
+    const sourceDir = path.join(getLocalesDir(structure), sourceLocale);
+    if (!await fs.pathExists(sourceDir)) {
+      for (const namespace of Object.keys(defaultTranslations)) {
+        await fs.outputJson(path.join(sourceDir, `${namespace}.json`), defaultTranslations[namespace], { spaces: 2 });
+      }
+      console.log(chalk.green(`✓ Created ${sourceLocale} resources in ${sourceDir}`));
+    }
+    
+    await migrateInlineTranslations(structure);
+    await writeJsonSetup(structure);
+  } else if (!await fs.pathExists(i18nFile)) {
+    // Create i18n.js file if it doesn't exist
     const i18nContent = `
 import i18n from 'i18next';
 import { initReactI18next } from 'react-i18next';
 import LanguageDetector from 'i18next-browser-languagedetector';
 
-// English translations
-const enTranslations = {
+// Source language translations
+const ${getTranslationsIdentifier(sourceLocale)} = {
   common: {
     loading: 'Loading',
     error: 'Error',
@@ -29,17 +353,18 @@ const enTranslations = {
   },
 };
 
+${DOCUMENT_LANGUAGE_LISTENER}
 // Initialize i18next
 i18n
   .use(LanguageDetector)
   .use(initReactI18next)
   .init({
     resources: {
-      en: {
-        translation: enTranslations
+      ${getPropertyKey(sourceLocale)}: {
+        translation: ${getTranslationsIdentifier(sourceLocale)}
       }
     },
-    fallbackLng: 'en',
+    fallbackLng: '${sourceLocale}',
     debug: process.env.NODE_ENV === 'development',
     interpolation: {
       escapeValue: false
@@ -62,6 +387,9 @@ export default i18n;
       console.log(chalk.yellow('⚠️ i18n dependencies not found in package.json.'));
       console.log(chalk.yellow('Please run: npm install --save react-i18next i18next i18next-browser-languagedetector'));
     }
+    if (loader === 'http' && !deps['i18next-http-backend']) {
+      console.log(chalk.yellow('Please run: npm install --save i18next-http-backend'));
+    }
   } catch (err) {
     console.error(chalk.red(`Error checking dependencies: ${err.message}`));
   }
@@ -80,6 +408,7 @@ const I18nExample = () => {
   const changeLanguage = (lang) => {
     i18n.changeLanguage(lang);
     document.documentElement.lang = lang;
+    document.documentElement.dir = i18n.dir(lang);
   };
   
   return (
@@ -116,67 +445,39 @@ async function analyze(projectRoot, structure) {
   const strings = new Set();
   const { uiFiles, i18nFile } = structure;
   
-  // First check if i18n file exists and extract current translations
+  // First check for existing translations, in JSON resources or inline in the i18n file
   let currentTranslations = {};
-  if (await fs.pathExists(i18nFile)) {
+  if (structure.storage === 'json') {
+    try {
+      const resources = await readLocaleFiles(getLocalesDir(structure));
+      currentTranslations = resources[structure.sourceLocale] || {};
+    } catch (err) {
+      console.warn(chalk.yellow(`⚠️ Could not parse existing translations: ${err.message}`));
+    }
+  } else if (await fs.pathExists(i18nFile)) {
     const content = await fs.readFile(i18nFile, 'utf8');
     
-    // Extract existing English translations
-    const enMatch = content.match(/const\s+enTranslations\s*=\s*\{([\s\S]*?)\};/);
-    if (enMatch) {
-      try {
-        // Create a safe evaluation context
-        const evalFn = new Function('return {' + enMatch[1] + '};');
-        currentTranslations = evalFn();
-      } catch (err) {
-        console.warn(chalk.yellow(`⚠️ Could not parse existing translations: ${err.message}`));
-        
-        // Fallback to regex extraction
-        const namespaceRegex = /(\w+):\s*{([^{}]*(?:{[^{}]*(?:{[^{}]*}[^{}]*)*}[^{}]*)*)}/g;
-        let namespaceMatch;
-        
-        while ((namespaceMatch = namespaceRegex.exec(enMatch[1])) !== null) {
-          const namespace = namespaceMatch[1];
-          currentTranslations[namespace] = {};
-          
-          const keyValueRegex = /(\w+):\s*(['"])((?:\\\\|\\\2|.)*?)\2/g;
-          let keyValueMatch;
-          
-          while ((keyValueMatch = keyValueRegex.exec(namespaceMatch[2])) !== null) {
-            const key = keyValueMatch[1];
-            const value = keyValueMatch[3].replace(/\\(['"])/g, '$1');
-            currentTranslations[namespace][key] = value;
-            strings.add(value);
-          }
-        }
-      }
+    try {
+      currentTranslations = readInlineTranslations(content, i18nFile)[structure.sourceLocale] || {};
+    } catch (err) {
+      console.warn(chalk.yellow(`⚠️ Could not parse existing translations: ${err.message}`));
     }
   }
   
-  // Now scan UI files for potential strings to translate
+  // Now parse UI files for user-facing strings to translate
+  const occurrences = [];
   for (const file of uiFiles) {
+    if (file === i18nFile) continue;
+    
     try {
       const content = await fs.readFile(file, 'utf8');
       
-      // Look for hardcoded text in JSX
-      const jsxTextRegex = />([^<>{}\n]+)</g;
-      let match;
-      
-      while ((match = jsxTextRegex.exec(content)) !== null) {
-        const text = match[1].trim();
-        if (text && text.length > 1 && !/^\d+$/.test(text) && !text.includes('${')) {
-          strings.add(text);
-        }
-      }
-      
-      // Look for hardcoded text in JSX attributes (e.g., placeholder, title, alt)
-      const jsxAttributeRegex = /(?:placeholder|title|alt|aria-label)=['"](.*?)['"]|(?:placeholder|title|alt|aria-label)=\{['"](.*?)['"]\}/g;
-      while ((match = jsxAttributeRegex.exec(content)) !== null) {
-        const text = (match[1] || match[2])?.trim();
-        if (text && text.length > 1 && !/^\d+$/.test(text) && !text.includes('${')) {
-          strings.add(text);
-        }
-      }
+      extractStrings(content, file)
+        .filter(entry => entry.userFacing)
+        .forEach(entry => {
+          occurrences.push(entry);
+          strings.add(entry.text);
+        });
     } catch (err) {
       console.warn(chalk.yellow(`⚠️ Could not analyze file ${file}: ${err.message}`));
     }
@@ -184,15 +485,43 @@ async function analyze(projectRoot, structure) {
   
   return {
     strings: Array.from(strings),
+    occurrences,
     uiFiles,
     currentTranslations
   };
 }
 
+// Messages already stored for a language, as { namespace: { key: value } }
+async function readTranslations(structure, language) {
+  if (structure.storage === 'json') {
+    const resources = await readLocaleFiles(getLocalesDir(structure));
+    return resources[language] || {};
+  }
+  
+  if (!await fs.pathExists(structure.i18nFile)) return {};
+  const content = await fs.readFile(structure.i18nFile, 'utf8');
+  return readInlineTranslations(content, structure.i18nFile)[language] || {};
+}
+
+// Languages that have stored translations
+async function listLanguages(structure) {
+  if (structure.storage === 'json') {
+    return Object.keys(await readLocaleFiles(getLocalesDir(structure))).sort();
+  }
+  
+  if (!await fs.pathExists(structure.i18nFile)) return [];
+  const content = await fs.readFile(structure.i18nFile, 'utf8');
+  return Object.keys(readInlineTranslations(content, structure.i18nFile)).sort();
+}
+
 // Update translations in React project
 async function updateTranslations(structure, translations, language, forceAll) {
   console.log(chalk.blue(`📝 Updating React translations for ${language}...`));
   
+  if (structure.storage === 'json') {
+    return updateJsonTranslations(structure, translations, language, forceAll);
+  }
+  
   const { i18nFile } = structure;
   
   if (!await fs.pathExists(i18nFile)) {
@@ -200,75 +529,195 @@ async function updateTranslations(structure, translations, language, forceAll) {
   }
   
   const content = await fs.readFile(i18nFile, 'utf8');
-  
-  // Check if the target language translation object already exists
-  const langRegex = new RegExp(`const\\s+${language}Translations\\s*=\\s*\\{[\\s\\S]*?\\};`);
+  const { languages, resources, lastStatementEnd } = findInlineTranslations(content, i18nFile);
+  const existing = languages[language];
   let updatedContent;
   
-  if (langRegex.test(content)) {
-    // Update existing translations
-    if (forceAll) {
-      // Replace entire translation object
-      updatedContent = content.replace(
-        langRegex,
-        `const ${language}Translations = ${JSON.stringify(translations, null, 2)};`
-      );
-    } else {
-      // Merge with existing translations
-      const existingMatch = content.match(langRegex);
-      if (existingMatch) {
-        try {
-          const evalFn = new Function(`return ${existingMatch[0].replace(`const ${language}Translations =`, '')}`);
-          const existingTranslations = evalFn();
-          
-          // Deep merge
-          const mergedTranslations = { ...existingTranslations };
-          Object.keys(translations).forEach(namespace => {
-            mergedTranslations[namespace] = {
-              ...(mergedTranslations[namespace] || {}),
-              ...translations[namespace]
-            };
-          });
-          
-          updatedContent = content.replace(
-            langRegex,
-            `const ${language}Translations = ${JSON.stringify(mergedTranslations, null, 2)};`
-          );
-        } catch (err) {
-          console.warn(chalk.yellow(`⚠️ Error merging translations: ${err.message}`));
-          // Fallback to replacement
-          updatedContent = content.replace(
-            langRegex,
-            `const ${language}Translations = ${JSON.stringify(translations, null, 2)};`
-          );
-        }
+  if (existing) {
+    // Replace the language's object, merged with what it holds unless everything is being retranslated
+    let messages = translations;
+    if (!forceAll) {
+      try {
+        messages = { ...evaluateLiteral(existing.object) };
+        Object.keys(translations).forEach(namespace => {
+          messages[namespace] = {
+            ...(messages[namespace] || {}),
+            ...translations[namespace]
+          };
+        });
+      } catch (err) {
+        console.warn(chalk.yellow(`⚠️ Error merging translations: ${err.message}`));
       }
     }
+    updatedContent = applyEdits(content, [
+      { start: existing.object.start, end: existing.object.end, text: JSON.stringify(messages, null, 2) }
+    ]);
   } else {
-    // Add new language translations
-    updatedContent = content.replace(
-      /(const \w+Translations = {[\s\S]*?};)([\s\S]*?)(i18n)/,
-      `$1\n\n// ${language === 'es' ? 'Spanish' : language === 'zh' ? 'Chinese' : language === 'hi' ? 'Hindi' : language} translations\nconst ${language}Translations = ${JSON.stringify(translations, null, 2)};$2$3`
-    );
+    if (lastStatementEnd === null || !resources) {
+      console.warn(chalk.yellow(`⚠️ No inline translations to add ${language} next to in ${i18nFile}`));
+      return false;
+    }
     
-    // Also add to resources section
-    updatedContent = updatedContent.replace(
-      /(resources: {\s*.*?\s*en: {[\s\S]*?})(,?\s*)(})/,
-      `$1,\n      ${language}: {\n        translation: ${language}Translations\n      }$3`
-    );
+    // Add the language's object after the others, and list it in resources
+    const identifier = getTranslationsIdentifier(language);
+    const languageName = language === 'es' ? 'Spanish' : language === 'zh' ? 'Chinese' : language === 'hi' ? 'Hindi' : language;
+    const lastResource = _.last(resources.properties);
+    const resourceEntry = `${getPropertyKey(language)}: {\n        translation: ${identifier}\n      }`;
+    updatedContent = applyEdits(content, [
+      {
+        start: lastStatementEnd,
+        end: lastStatementEnd,
+        text: `\n\n// ${languageName} translations\nconst ${identifier} = ${JSON.stringify(translations, null, 2)};`
+      },
+      lastResource
+        ? { start: lastResource.end, end: lastResource.end, text: `,\n      ${resourceEntry}` }
+        : { start: resources.start + 1, end: resources.start + 1, text: `\n      ${resourceEntry}\n    ` }
+    ]);
   }
   
-  // Create backup
-  const backupPath = `${i18nFile}.backup-${Date.now()}`;
-  await fs.copy(i18nFile, backupPath);
-  
-  // Write updated file
+  // Write updated file, backed up with the rest of the run in .i18n-adapt/
   await fs.writeFile(i18nFile, updatedContent);
   console.log(chalk.green(`✓ Updated translations in ${i18nFile}`));
   
   return true;
 }
 
+// Code that makes `t` available inside a component
+function getTranslationHook(component) {
+  return component.kind === 'class'
+    ? '\n    const { t } = this.props;'
+    : '\n  const { t } = useTranslation();';
+}
+
+// Wrap the default export of a class component in withTranslation()
+function wrapClassExport(content, className) {
+  const exportDefaultClass = new RegExp(`export\\s+default\\s+(class\\s+${className}\\b)`);
+  if (exportDefaultClass.test(content)) {
+    const updatedContent = content.replace(exportDefaultClass, '$1');
+    return `${updatedContent.replace(/\s*$/, '')}\n\nexport default withTranslation()(${className});\n`;
+  }
+  
+  return content.replace(
+    new RegExp(`export\\s+default\\s+${className}\\s*;`),
+    `export default withTranslation()(${className});`
+  );
+}
+
+// Import a named export from react-i18next, extending an existing import if there is one
+function addI18nImport(content, name) {
+  const existingImport = /import\s*\{([^}]*)\}\s*from\s*['"]react-i18next['"]/;
+  const match = content.match(existingImport);
+  
+  if (!match) {
+    return addImport(content, `import { ${name} } from 'react-i18next';`);
+  }
+  
+  const names = match[1].split(',').map(item => item.trim()).filter(Boolean);
+  if (names.includes(name)) {
+    return content;
+  }
+  return content.replace(existingImport, `import { ${[...names, name].join(', ')} } from 'react-i18next'`);
+}
+
+// Replace hardcoded strings in React components with t() calls
+async function replaceStrings(structure, uiFiles, keyFor) {
+  console.log(chalk.blue('🔁 Replacing hardcoded strings in React components...'));
+  
+  const { i18nFile } = structure;
+  const replacedStrings = {};
+  
+  for (const file of uiFiles) {
+    if (file === i18nFile) continue;
+    
+    try {
+      const content = await fs.readFile(file, 'utf8');
+      const edits = [];
+      const components = new Map();
+      
+      // Re-extract so offsets match what is on disk now
+      extractStrings(content, file)
+        .filter(entry => entry.userFacing && keyFor(entry))
+        .forEach(entry => {
+          if (!entry.component || entry.component.bodyStart === null) {
+            console.warn(chalk.yellow(`⚠️ "${entry.text}" (${path.basename(file)}:${entry.line}) is outside a component, left in place`));
+            return;
+          }
+          
+          const key = keyFor(entry);
+          const values = (entry.values || []).map(value => (value.name === value.source ? value.name : `${value.name}: ${value.source}`));
+          const call = values.length > 0 ? `t('${key}', { ${values.join(', ')} })` : `t('${key}')`;
+          if (entry.kind === 'jsx-text' || entry.kind === 'jsx-message') {
+            // Keep the surrounding whitespace so the layout of the JSX doesn't change
+            const raw = content.slice(entry.start, entry.end);
+            const [leading, trailing] = raw.match(/^(\s*)[\s\S]*?(\s*)$/).slice(1);
+            edits.push({ start: entry.start, end: entry.end, text: `${leading}{${call}}${trailing}` });
+          } else if (entry.kind === 'jsx-attribute') {
+            edits.push({ start: entry.start, end: entry.end, text: `{${call}}` });
+          } else {
+            edits.push({ start: entry.start, end: entry.end, text: call });
+          }
+          
+          components.set(entry.component.start, entry.component);
+          replacedStrings[key] = entry;
+        });
+      
+      if (edits.length === 0) continue;
+      
+      // Give every touched component access to `t`
+      let needsHook = false;
+      let classComponent = null;
+      components.forEach(component => {
+        const source = content.slice(component.start, component.end);
+        if (component.kind === 'class') {
+          classComponent = component;
+          if (/const\s*\{\s*t\s*\}\s*=\s*this\.props/.test(source)) return;
+        } else {
+          needsHook = true;
+          if (source.includes('useTranslation(')) return;
+        }
+        
+        if (component.expressionBody) {
+          // `() => (<div/>)` becomes a block body that calls the hook first
+          edits.push({ start: component.bodyStart, end: component.bodyStart, text: `{${getTranslationHook(component)}\n  return ` });
+          edits.push({ start: component.bodyEnd, end: component.bodyEnd, text: ';\n}' });
+        } else {
+          edits.push({ start: component.bodyStart, end: component.bodyStart, text: getTranslationHook(component) });
+        }
+      });
+      
+      let updatedContent = applyEdits(content, edits);
+      
+      if (needsHook) {
+        updatedContent = addI18nImport(updatedContent, 'useTranslation');
+      }
+      if (classComponent && classComponent.name && !updatedContent.includes('withTranslation()(')) {
+        updatedContent = addI18nImport(updatedContent, 'withTranslation');
+        updatedContent = wrapClassExport(updatedContent, classComponent.name);
+      }
+      
+      await fs.writeFile(file, updatedContent);
+      console.log(chalk.green(`✓ Replaced hardcoded strings in ${path.basename(file)}`));
+    } catch (err) {
+      console.warn(chalk.yellow(`⚠️ Could not rewrite file ${file}: ${err.message}`));
+    }
+  }
+  
+  // The source language needs the same keys, or the UI would render raw keys
+  const sourceTranslations = {};
+  Object.keys(replacedStrings).forEach(key => {
+    const { text, plural } = replacedStrings[key];
+    getCatalogMessages(key, text, plural, structure.messageFormat).forEach(([messageKey, message]) => {
+      _.set(sourceTranslations, messageKey.split('.'), message);
+    });
+  });
+  
+  if (!_.isEmpty(replacedStrings) && (structure.storage === 'json' || await fs.pathExists(i18nFile))) {
+    await updateTranslations(structure, sourceTranslations, structure.sourceLocale, false);
+  }
+  
+  return Object.keys(replacedStrings).map(key => ({ key, text: replacedStrings[key].text }));
+}
+
 // Update UI for language responsiveness
 async function updateUI(structure, uiFiles) {
   console.log(chalk.blue('🎨 Updating React UI components for language responsiveness...'));
@@ -344,13 +793,20 @@ async function updateUI(structure, uiFiles) {
         return match;
       });
       
-      // 3. Language switcher code - add HTML lang attribute
-      if (content.includes('changeLanguage') && !content.includes('document.documentElement.lang')) {
-        const langSwitcherPattern = /(const changeLanguage\s*=\s*\([^)]*\)\s*=>\s*\{\s*)(.*?i18n\.changeLanguage\([^)]*\);)/;
-        updatedContent = updatedContent.replace(langSwitcherPattern, (match, prefix, changeFn) => {
-          changesMade = true;
-          return `${prefix}${changeFn}\n    document.documentElement.lang = langCode;`;
-        });
+      // 3. Language switcher code - set the HTML lang and dir attributes, dir being rtl for Arabic, Hebrew, Persian, Urdu
+      if (content.includes('i18n.changeLanguage') && !content.includes('document.documentElement.dir')) {
+        if (content.includes('document.documentElement.lang')) {
+          updatedContent = updatedContent.replace(/\n([ \t]*)document\.documentElement\.lang\s*=\s*([\w.]+);/, (match, indent, value) => {
+            changesMade = true;
+            return `${match}\n${indent}document.documentElement.dir = i18n.dir(${value});`;
+          });
+        } else {
+          const langSwitcherPattern = /(const changeLanguage\s*=\s*\(\s*(\w+)[^)]*\)\s*=>\s*\{\s*)(.*?i18n\.changeLanguage\([^)]*\);)/;
+          updatedContent = updatedContent.replace(langSwitcherPattern, (match, prefix, param, changeFn) => {
+            changesMade = true;
+            return `${prefix}${changeFn}\n    document.documentElement.lang = ${param};\n    document.documentElement.dir = i18n.dir(${param});`;
+          });
+        }
       }
       
       if (changesMade) {
@@ -368,6 +824,9 @@ async function updateUI(structure, uiFiles) {
 module.exports = {
   initialize,
   analyze,
+  readTranslations,
+  listLanguages,
   updateTranslations,
+  replaceStrings,
   updateUI
 };
\ No newline at end of file
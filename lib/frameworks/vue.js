@@ -1,32 +1,406 @@
-const fs = require('fs-extra');
+const fs = require('../utils/staging');
 const path = require('path');
 const chalk = require('chalk');
+const _ = require('lodash');
+const { extractStrings, getScriptBlocks } = require('../extractors/vue');
+const { findImportsEnd, addImport, applyEdits } = require('../utils/source');
+const { RTL_LANGUAGES } = require('../styles/responsive');
+
+// Default source-language messages for a fresh setup
+const defaultMessages = {
+  common: {
+    loading: 'Loading',
+    error: 'Error',
+    retry: 'Retry'
+  },
+  navigation: {
+    home: 'Home',
+    about: 'About',
+    contact: 'Contact'
+  }
+};
+
+// Locale messages live in src/locales/<lang>.json
+function getLocalesDir(structure) {
+  if (structure.localesDir) return structure.localesDir;
+  return path.join(structure.rootDir, 'src/locales');
+}
+
+// Vue major version from package.json, defaulting to Vue 3
+async function getVueVersion(projectRoot) {
+  try {
+    const pkg = await fs.readJson(path.join(projectRoot, 'package.json'));
+    const deps = { ...pkg.dependencies, ...pkg.devDependencies };
+    const match = (deps.vue || '').match(/(\d+)/);
+    return match ? parseInt(match[1], 10) : 3;
+  } catch (err) {
+    return 3;
+  }
+}
+
+// Identifier a locale's messages are imported as (zh-CN -> zhCn)
+function getLocaleIdentifier(language) {
+  return _.camelCase(language);
+}
+
+// Entry for a locale in the messages object
+function getMessagesEntry(language) {
+  const identifier = getLocaleIdentifier(language);
+  return identifier === language ? identifier : `'${language}': ${identifier}`;
+}
+
+// Import statement for a locale's JSON file, relative to the setup file
+function getLocaleImport(i18nFile, localesDir, language) {
+  let importPath = path.relative(path.dirname(i18nFile), path.join(localesDir, `${language}.json`));
+  importPath = importPath.split(path.sep).join('/');
+  if (!importPath.startsWith('.')) {
+    importPath = `./${importPath}`;
+  }
+  return `import ${getLocaleIdentifier(language)} from '${importPath}';`;
+}
+
+// Generate the vue-i18n setup file, starting in the source locale
+function createSetupContent(i18nFile, localesDir, languages, vueVersion, sourceLocale) {
+  const imports = languages.map(language => getLocaleImport(i18nFile, localesDir, language)).join('\n');
+  const messages = languages.map(language => `  ${getMessagesEntry(language)}`).join(',\n');
+  
+  // vue-i18n leaves the document alone, so switching goes through setLocale to update <html lang> and dir too
+  const setLocale = localeRef => `const RTL_LANGUAGES = [${RTL_LANGUAGES.map(language => `'${language}'`).join(', ')}];
+
+export function setLocale(locale) {
+  ${localeRef} = locale;
+  if (typeof document === 'undefined') return;
+  document.documentElement.lang = locale;
+  document.documentElement.dir = RTL_LANGUAGES.includes(locale.split('-')[0]) ? 'rtl' : 'ltr';
+}
+`;
+
+  if (vueVersion === 2) {
+    return `
+import Vue from 'vue';
+import VueI18n from 'vue-i18n';
+${imports}
+
+Vue.use(VueI18n);
+
+const messages = {
+${messages}
+};
+
+const i18n = new VueI18n({
+  locale: '${sourceLocale}',
+  fallbackLocale: '${sourceLocale}',
+  messages
+});
+
+${setLocale('i18n.locale')}
+export default i18n;
+`;
+  }
+
+  return `
+import { createI18n } from 'vue-i18n';
+${imports}
+
+const messages = {
+${messages}
+};
+
+const i18n = createI18n({
+  legacy: false,
+  globalInjection: true,
+  locale: '${sourceLocale}',
+  fallbackLocale: '${sourceLocale}',
+  messages
+});
+
+${setLocale('i18n.global.locale.value')}
+export default i18n;
+`;
+}
+
+// Register the i18n instance with the app in main.js/main.ts
+async function registerPlugin(projectRoot, i18nFile, vueVersion) {
+  const mainFile = ['src/main.js', 'src/main.ts']
+    .map(file => path.join(projectRoot, file))
+    .find(file => fs.pathExistsSync(file));
+
+  if (!mainFile) {
+    console.log(chalk.yellow('⚠️ No src/main.js found. Please install the i18n plugin in your app manually.'));
+    return;
+  }
+
+  const content = await fs.readFile(mainFile, 'utf8');
+  if (/\bi18n\b/.test(content)) return;
+
+  let importPath = path.relative(path.dirname(mainFile), i18nFile).replace(/\.js$/, '').split(path.sep).join('/');
+  if (!importPath.startsWith('.')) {
+    importPath = `./${importPath}`;
+  }
+
+  let updatedContent = addImport(content, `import i18n from '${importPath}';`);
+  if (vueVersion === 2) {
+    updatedContent = updatedContent.replace(/new Vue\(\{/, 'new Vue({\n  i18n,');
+  } else {
+    updatedContent = updatedContent.replace(/createApp\(([^)]*)\)/, 'createApp($1).use(i18n)');
+  }
+
+  if (updatedContent === content) return;
+
+  await fs.writeFile(mainFile, updatedContent);
+  console.log(chalk.green(`✓ Registered vue-i18n in ${mainFile}`));
+}
+
+// Find the existing vue-i18n setup file, or where to create one
+async function findSetupFile(projectRoot) {
+  for (const file of ['src/i18n.js', 'src/plugins/i18n.js']) {
+    const filePath = path.join(projectRoot, file);
+    if (await fs.pathExists(filePath)) {
+      return filePath;
+    }
+  }
+  return path.join(projectRoot, 'src/i18n.js');
+}
 
 // Initialize Vue project with i18n structure
-async function initialize(projectRoot) {
+async function initialize(projectRoot, options = {}) {
   console.log(chalk.blue('🚀 Initializing Vue project for internationalization...'));
-  // Basic implementation
+
+  const vueVersion = await getVueVersion(projectRoot);
+  const localesDir = getLocalesDir({
+    rootDir: projectRoot,
+    localesDir: options.localesDir ? path.resolve(projectRoot, options.localesDir) : null
+  });
+  const i18nFile = options.i18nFile ? path.resolve(projectRoot, options.i18nFile) : await findSetupFile(projectRoot);
+  const sourceLocale = options.sourceLocale || 'en';
+
+  // Create the source-language messages if they don't exist
+  const sourceFile = path.join(localesDir, `${sourceLocale}.json`);
+  if (!await fs.pathExists(sourceFile)) {
+    await fs.outputJson(sourceFile, defaultMessages, { spaces: 2 });
+    console.log(chalk.green(`✓ Created ${sourceLocale} messages at ${sourceFile}`));
+  }
+
+  // Create the vue-i18n setup if it doesn't exist
+  if (!await fs.pathExists(i18nFile)) {
+    await fs.outputFile(i18nFile, createSetupContent(i18nFile, localesDir, [sourceLocale], vueVersion, sourceLocale));
+    console.log(chalk.green(`✓ Created vue-i18n setup at ${i18nFile}`));
+  }
+
+  await registerPlugin(projectRoot, i18nFile, vueVersion);
+
+  // Check for vue-i18n in package.json
+  try {
+    const pkg = await fs.readJson(path.join(projectRoot, 'package.json'));
+    const deps = { ...pkg.dependencies, ...pkg.devDependencies };
+    if (!deps['vue-i18n']) {
+      console.log(chalk.yellow('⚠️ vue-i18n not found in package.json.'));
+      console.log(chalk.yellow(`Please run: npm install --save vue-i18n@${vueVersion === 2 ? 8 : 9}`));
+    }
+  } catch (err) {
+    console.error(chalk.red(`Error checking dependencies: ${err.message}`));
+  }
+
   return true;
 }
 
 // Analyze Vue project for strings and UI files
 async function analyze(projectRoot, structure) {
   console.log(chalk.blue('🔍 Analyzing Vue components...'));
-  // Basic implementation
+
+  const strings = new Set();
+  const occurrences = [];
+  const { uiFiles, sourceLocale } = structure;
+
+  // Existing source-language messages
+  let currentTranslations = {};
+  const enFile = path.join(getLocalesDir(structure), `${sourceLocale}.json`);
+  if (await fs.pathExists(enFile)) {
+    try {
+      currentTranslations = await fs.readJson(enFile);
+    } catch (err) {
+      console.warn(chalk.yellow(`⚠️ Could not parse existing translations: ${err.message}`));
+    }
+  }
+
+  for (const file of uiFiles) {
+    try {
+      const content = await fs.readFile(file, 'utf8');
+
+      extractStrings(content, file)
+        .filter(entry => entry.userFacing)
+        .forEach(entry => {
+          occurrences.push(entry);
+          strings.add(entry.text);
+        });
+    } catch (err) {
+      console.warn(chalk.yellow(`⚠️ Could not analyze file ${file}: ${err.message}`));
+    }
+  }
+
   return {
-    strings: [],
-    uiFiles: structure.uiFiles,
-    currentTranslations: {}
+    strings: Array.from(strings),
+    occurrences,
+    uiFiles,
+    currentTranslations
   };
 }
 
+// Messages already stored for a language, as { namespace: { key: value } }
+async function readTranslations(structure, language) {
+  const localeFile = path.join(getLocalesDir(structure), `${language}.json`);
+  return await fs.pathExists(localeFile) ? fs.readJson(localeFile) : {};
+}
+
+// Languages that have a locale file
+async function listLanguages(structure) {
+  return (await fs.readdir(getLocalesDir(structure)))
+    .filter(file => path.extname(file) === '.json')
+    .map(file => path.basename(file, '.json'))
+    .sort();
+}
+
 // Update translations in Vue project
 async function updateTranslations(structure, translations, language, forceAll) {
   console.log(chalk.blue(`📝 Updating Vue translations for ${language}...`));
-  // Basic implementation
+
+  const { i18nFile, rootDir } = structure;
+  const localesDir = getLocalesDir(structure);
+  const localeFile = path.join(localesDir, `${language}.json`);
+
+  // Merge with existing messages unless everything is being retranslated
+  let messages = translations;
+  if (!forceAll && await fs.pathExists(localeFile)) {
+    try {
+      const existingMessages = await fs.readJson(localeFile);
+      messages = { ...existingMessages };
+      Object.keys(translations).forEach(namespace => {
+        messages[namespace] = {
+          ...(messages[namespace] || {}),
+          ...translations[namespace]
+        };
+      });
+    } catch (err) {
+      console.warn(chalk.yellow(`⚠️ Error merging translations: ${err.message}`));
+    }
+  }
+
+  await fs.outputJson(localeFile, messages, { spaces: 2 });
+  console.log(chalk.green(`✓ Updated translations in ${localeFile}`));
+
+  // Make sure the setup file loads this locale
+  const vueVersion = await getVueVersion(rootDir);
+  if (!await fs.pathExists(i18nFile)) {
+    const languages = _.uniq([structure.sourceLocale, language]);
+    await fs.outputFile(i18nFile, createSetupContent(i18nFile, localesDir, languages, vueVersion, structure.sourceLocale));
+    console.log(chalk.green(`✓ Created vue-i18n setup at ${i18nFile}`));
+    return true;
+  }
+
+  const content = await fs.readFile(i18nFile, 'utf8');
+  const localeImport = getLocaleImport(i18nFile, localesDir, language);
+  if (!content.includes(localeImport)) {
+    let updatedContent = addImport(content, localeImport);
+    updatedContent = updatedContent.replace(
+      /(const\s+messages\s*=\s*\{)(\s*)/,
+      `$1$2${getMessagesEntry(language)},$2`
+    );
+    await fs.writeFile(i18nFile, updatedContent);
+    console.log(chalk.green(`✓ Registered ${language} messages in ${i18nFile}`));
+  }
+
   return true;
 }
 
+// Values object passed along with an interpolated message: , { count, userName: user.name }
+function getValuesArgument(entry) {
+  if (!entry.values || entry.values.length === 0) return '';
+  const values = entry.values.map(value => (value.name === value.source ? value.name : `${value.name}: ${value.source}`));
+  return `, { ${values.join(', ')} }`;
+}
+
+// Replace hardcoded strings with translation calls
+async function replaceStrings(structure, uiFiles, keyFor) {
+  console.log(chalk.blue('🔁 Replacing hardcoded strings in Vue components...'));
+
+  const replacedStrings = {};
+
+  for (const file of uiFiles) {
+    try {
+      const content = await fs.readFile(file, 'utf8');
+      const edits = [];
+      let needsComposable = false;
+
+      extractStrings(content, file)
+        .filter(entry => entry.userFacing && keyFor(entry))
+        .forEach(entry => {
+          const key = keyFor(entry);
+
+          switch (entry.kind) {
+            case 'template-text': {
+              // Keep the surrounding whitespace so the template layout doesn't change
+              const raw = content.slice(entry.start, entry.end);
+              const [leading, trailing] = raw.match(/^(\s*)[\s\S]*?(\s*)$/).slice(1);
+              edits.push({ start: entry.start, end: entry.end, text: `${leading}{{ $t('${key}') }}${trailing}` });
+              break;
+            }
+            case 'template-message': {
+              const raw = content.slice(entry.start, entry.end);
+              const [leading, trailing] = raw.match(/^(\s*)[\s\S]*?(\s*)$/).slice(1);
+              edits.push({ start: entry.start, end: entry.end, text: `${leading}{{ $t('${key}'${getValuesArgument(entry)}) }}${trailing}` });
+              break;
+            }
+            case 'template-attribute':
+              edits.push({ start: entry.start, end: entry.end, text: `:${entry.attribute}="$t('${key}')"` });
+              break;
+            case 'template-binding': {
+              // Match whichever quote the attribute itself doesn't use
+              const quote = content[entry.start - 1] === "'" ? '"' : "'";
+              edits.push({ start: entry.start, end: entry.end, text: `$t(${quote}${key}${quote})` });
+              break;
+            }
+            default:
+              if (entry.block === 'scriptSetup') {
+                needsComposable = true;
+                edits.push({ start: entry.start, end: entry.end, text: `t('${key}'${getValuesArgument(entry)})` });
+              } else {
+                edits.push({ start: entry.start, end: entry.end, text: `this.$t('${key}'${getValuesArgument(entry)})` });
+              }
+          }
+
+          replacedStrings[key] = entry.text;
+        });
+
+      if (edits.length === 0) continue;
+
+      // <script setup> has no `this`, so `t` comes from useI18n()
+      const { scriptSetup } = getScriptBlocks(content, file);
+      if (needsComposable && !scriptSetup.content.includes('useI18n(')) {
+        const importsEnd = findImportsEnd(scriptSetup.content);
+        const insertAt = scriptSetup.loc.start.offset + Math.max(importsEnd, 0);
+        edits.push({ start: insertAt, end: insertAt, text: "\nimport { useI18n } from 'vue-i18n';\n\nconst { t } = useI18n();\n" });
+      }
+
+      await fs.writeFile(file, applyEdits(content, edits));
+      console.log(chalk.green(`✓ Replaced hardcoded strings in ${path.basename(file)}`));
+    } catch (err) {
+      console.warn(chalk.yellow(`⚠️ Could not rewrite file ${file}: ${err.message}`));
+    }
+  }
+
+  // The source locale needs the same keys, or the UI would render raw keys
+  const sourceTranslations = {};
+  Object.keys(replacedStrings).forEach(key => {
+    _.set(sourceTranslations, key.split('.'), replacedStrings[key]);
+  });
+
+  if (!_.isEmpty(replacedStrings)) {
+    await updateTranslations(structure, sourceTranslations, structure.sourceLocale, false);
+  }
+
+  return Object.keys(replacedStrings).map(key => ({ key, text: replacedStrings[key] }));
+}
+
 // Update UI for language responsiveness
 async function updateUI(structure, uiFiles) {
   console.log(chalk.blue('🎨 Updating Vue UI components for language responsiveness...'));
@@ -37,6 +411,9 @@ async function updateUI(structure, uiFiles) {
 module.exports = {
   initialize,
   analyze,
+  readTranslations,
+  listLanguages,
   updateTranslations,
+  replaceStrings,
   updateUI
-};
\ No newline at end of file
+};
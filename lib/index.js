@@ -1,14 +1,37 @@
 const path = require('path');
-const fs = require('fs-extra');
+const fs = require('./utils/staging');
 const chalk = require('chalk');
+const _ = require('lodash');
 const { detectFramework, detectStructure } = require('./detector');
-const { translateStrings } = require('./languages/processors');
+const { translateStrings, analyzeTextExpansion } = require('./languages/processors');
+const { resolveKeys, markReplacedKeys, loadKeyRegistry, forgetKeys, findKeyReference } = require('./languages/keys');
+const {
+  loadSourceHashes,
+  planTranslations,
+  reportPlan,
+  recordSourceHashes,
+  forgetSourceHashes,
+  loadReviews,
+  isReviewed,
+  recordReviews,
+  forgetReviews
+} = require('./languages/incremental');
+const { flattenMessages } = require('./utils/messages');
+const { hasTranslatableText, comparePlaceholders } = require('./languages/placeholders');
+const { getPluralBase, canOmitCount, toCatalogEntries, expandPlurals, createPluralRequests, assemblePluralTranslations } = require('./languages/plurals');
+const { locateKeys, reportExpansion } = require('./languages/expansion');
+const { buildLanguageSection, replaceLanguageSection, readBaseStylesheet } = require('./styles/responsive');
+const { findPhysicalProperties } = require('./styles/logical');
+const { applyEdits } = require('./utils/source');
+const { getStagedChanges } = require('./utils/staging');
+const { beginRun, discardRun, commitRun, rollbackRun, listRuns } = require('./runs');
+const { createUnifiedDiff } = require('./utils/diff');
 const reactAdapter = require('./frameworks/react');
 const vueAdapter = require('./frameworks/vue');
 const angularAdapter = require('./frameworks/angular');
 
 // Initialize a project with i18n structure
-async function init(projectPath) {
+async function init(projectPath, options = {}) {
   const resolvedPath = path.resolve(projectPath);
   const framework = await detectFramework(resolvedPath);
   
@@ -17,36 +40,41 @@ async function init(projectPath) {
   // Create appropriate initialization based on framework
   switch (framework) {
     case 'react':
-      await reactAdapter.initialize(resolvedPath);
+      await reactAdapter.initialize(resolvedPath, options);
       break;
     case 'vue':
-      await vueAdapter.initialize(resolvedPath);
+      await vueAdapter.initialize(resolvedPath, options);
       break;
     case 'angular':
-      await angularAdapter.initialize(resolvedPath);
+      await angularAdapter.initialize(resolvedPath, options);
       break;
     default:
       throw new Error(`Unsupported framework: ${framework}`);
   }
   
-  // Copy responsive CSS file
-  const cssDir = path.join(resolvedPath, 'src');
-  await fs.ensureDir(cssDir);
-  await fs.copyFile(
-    path.join(__dirname, 'styles/responsive-language.css'),
-    path.join(cssDir, 'ResponsiveLanguage.css')
-  );
+  // Responsive CSS for the source and target languages
+  const project = await loadProject(resolvedPath, options);
+  await updateResponsiveCss(project, { create: true, languages: options.languages || [] });
   
-  return true;
+  return { framework, responsiveCssFile: project.structure.responsiveCssFile };
 }
 
-// Analyze project for internationalization
-async function analyze(projectPath) {
+// Framework and file layout of a project, without scanning it for strings
+async function loadProject(projectPath, options = {}) {
   const resolvedPath = path.resolve(projectPath);
   const framework = await detectFramework(resolvedPath);
-  const structure = await detectStructure(resolvedPath, framework);
+  const structure = await detectStructure(resolvedPath, framework, options);
+  
+  return { framework, structure, uiFiles: structure.uiFiles };
+}
+
+// Analyze project for internationalization
+async function analyze(projectPath, options = {}) {
+  const resolvedPath = path.resolve(projectPath);
+  const { framework, structure } = await loadProject(resolvedPath, options);
   
   let strings = [];
+  let occurrences = [];
   let uiFiles = [];
   
   console.log(chalk.blue('📊 Analyzing project files...'));
@@ -56,64 +84,580 @@ async function analyze(projectPath) {
     case 'react':
       const reactResult = await reactAdapter.analyze(resolvedPath, structure);
       strings = reactResult.strings;
+      occurrences = reactResult.occurrences;
       uiFiles = reactResult.uiFiles;
       break;
     case 'vue':
       const vueResult = await vueAdapter.analyze(resolvedPath, structure);
       strings = vueResult.strings;
+      occurrences = vueResult.occurrences;
       uiFiles = vueResult.uiFiles;
       break;
     case 'angular':
       const angularResult = await angularAdapter.analyze(resolvedPath, structure);
       strings = angularResult.strings;
+      occurrences = angularResult.occurrences;
       uiFiles = angularResult.uiFiles;
       break;
     default:
       throw new Error(`Unsupported framework: ${framework}`);
   }
   
+  // Stable keys from the project's key registry; plural messages are stored under one key per form
+  const { keys, keyFor } = await resolveKeys(resolvedPath, strings, occurrences, options);
+  
   return {
     framework,
     structure,
     strings,
+    occurrences,
+    keys: toCatalogEntries(keys, occurrences, structure.messageFormat),
+    keyFor,
     uiFiles,
     i18nFile: structure.i18nFile,
     responsiveCssFile: structure.responsiveCssFile
   };
 }
 
-// Generate translations for detected strings
-async function generateTranslations(analysis, language, apiKey, service, forceAll) {
-  console.log(chalk.blue(`🌐 Generating translations for ${language}...`));
-  
-  const { framework, strings, structure } = analysis;
+// Messages stored for one language
+async function readMessages(project, language) {
+  const { framework, structure } = project;
   
-  // Translate strings using the specified service
-  const translations = await translateStrings(strings, language, apiKey, service);
+  switch (framework) {
+    case 'react':
+      return reactAdapter.readTranslations(structure, language);
+    case 'vue':
+      return vueAdapter.readTranslations(structure, language);
+    case 'angular':
+      return angularAdapter.readTranslations(structure, language);
+    default:
+      throw new Error(`Unsupported framework: ${framework}`);
+  }
+}
+
+// Write messages for one language, merged into the stored ones unless replaceAll is set
+async function writeMessages(project, messages, language, replaceAll) {
+  const { framework, structure } = project;
   
   // Use framework-specific adapter to update i18n files
   switch (framework) {
     case 'react':
-      await reactAdapter.updateTranslations(structure, translations, language, forceAll);
+      return reactAdapter.updateTranslations(structure, messages, language, replaceAll);
+    case 'vue':
+      return vueAdapter.updateTranslations(structure, messages, language, replaceAll);
+    case 'angular':
+      return angularAdapter.updateTranslations(structure, messages, language, replaceAll);
+    default:
+      throw new Error(`Unsupported framework: ${framework}`);
+  }
+}
+
+// Every language the project stores messages for, the source locale included
+async function listLanguages(project) {
+  const { framework, structure } = project;
+  
+  switch (framework) {
+    case 'react':
+      return reactAdapter.listLanguages(structure);
+    case 'vue':
+      return vueAdapter.listLanguages(structure);
+    case 'angular':
+      return angularAdapter.listLanguages(structure);
+    default:
+      throw new Error(`Unsupported framework: ${framework}`);
+  }
+}
+
+// Keys and text of the source locale, which every translation is made from
+async function readCatalog(project) {
+  const { structure } = project;
+  const messages = flattenMessages(await readMessages(project, structure.sourceLocale));
+  const registry = await loadKeyRegistry(structure.rootDir);
+  
+  return Object.keys(messages)
+    .filter(key => typeof messages[key] === 'string' && messages[key] !== '')
+    .map(key => {
+      const entry = registry.entries[key] || {};
+      return { key, text: messages[key], context: entry.context || '', sense: entry.sense || '', description: entry.description || '' };
+    });
+}
+
+// Write every extracted string to the source locale catalog
+async function extractCatalog(analysis) {
+  const { keys, structure } = analysis;
+  const existing = flattenMessages(await readMessages(analysis, structure.sourceLocale));
+  const updated = keys.filter(entry => existing[entry.key] !== entry.text);
+  
+  if (updated.length > 0) {
+    const messages = {};
+    updated.forEach(entry => _.set(messages, entry.key.split('.'), entry.text));
+    await writeMessages(analysis, messages, structure.sourceLocale, false);
+  }
+  
+  console.log(chalk.green(`✓ Source catalog (${structure.sourceLocale}): ${keys.length} extracted keys, ${updated.length} added or updated`));
+  return { keys: keys.length, updated: updated.map(entry => entry.key) };
+}
+
+// Remove keys that are neither extracted nor referenced in the code from every locale
+async function pruneCatalog(analysis) {
+  const { structure, uiFiles } = analysis;
+  const extracted = new Set(analysis.keys.map(entry => entry.key));
+  const contents = [];
+  for (const file of uiFiles) {
+    contents.push(await fs.readFile(file, 'utf8'));
+  }
+  
+  // Plural forms only some locales have (key_few, key_many) belong to the key the code passes to t()
+  const extractedBases = new Set(analysis.keys.map(entry => getPluralBase(entry.key)).filter(Boolean));
+  const isReferenced = key => contents.some(content => findKeyReference(content, key) !== -1);
+  const isUsed = _.memoize(key => {
+    const base = getPluralBase(key);
+    return extracted.has(key) || isReferenced(key) || (base !== null && (extractedBases.has(base) || isReferenced(base)));
+  });
+  
+  const languages = _.uniq([structure.sourceLocale, ...await listLanguages(analysis)]);
+  const pruned = new Set();
+  
+  for (const language of languages) {
+    const stored = await readMessages(analysis, language);
+    const messages = flattenMessages(stored);
+    const unused = Object.keys(messages).filter(key => !isUsed(key));
+    if (unused.length === 0) continue;
+    
+    // Rewrite the whole locale, keeping emptied namespaces so their files are cleared too
+    const remaining = _.mapValues(stored, () => ({}));
+    Object.keys(messages)
+      .filter(key => !unused.includes(key))
+      .forEach(key => _.set(remaining, key.split('.'), messages[key]));
+    await writeMessages(analysis, remaining, language, true);
+    
+    unused.forEach(key => pruned.add(key));
+    console.log(chalk.green(`🧹 Removed ${unused.length} unused keys from ${language}`));
+  }
+  
+  if (pruned.size > 0) {
+    await forgetKeys(structure.rootDir, Array.from(pruned));
+    await forgetSourceHashes(structure.rootDir, Array.from(pruned));
+    await forgetReviews(structure.rootDir, Array.from(pruned));
+  } else {
+    console.log(chalk.green('✓ No unused keys to prune'));
+  }
+  
+  return Array.from(pruned).sort();
+}
+
+// Stored target locales plus any requested ones that have no file yet
+async function getTargetLanguages(project, languages) {
+  const stored = await listLanguages(project);
+  return _.uniq([...stored, ...languages])
+    .filter(language => language !== project.structure.sourceLocale)
+    .sort();
+}
+
+// Percentage of catalog keys with a current translation, to one decimal
+function getCoverage(plan, total) {
+  return total > 0 ? Math.round(plan.unchanged.length / total * 1000) / 10 : 100;
+}
+
+// Translation coverage of every locale against the source catalog
+async function getStatus(project, languages = []) {
+  const { structure } = project;
+  const catalog = await readCatalog(project);
+  const sourceHashes = await loadSourceHashes(structure.rootDir);
+  
+  const locales = [];
+  for (const language of await getTargetLanguages(project, languages)) {
+    const entries = expandPlurals(catalog, language);
+    const plan = planTranslations(entries, await readMessages(project, language), sourceHashes[language]);
+    locales.push({
+      language,
+      translated: plan.unchanged.length,
+      missing: plan.new.length,
+      outdated: plan.changed.length,
+      orphaned: plan.orphaned.length,
+      coverage: getCoverage(plan, entries.length)
+    });
+  }
+  
+  return { framework: project.framework, sourceLocale: structure.sourceLocale, keys: catalog.length, locales };
+}
+
+// Problems of every locale against the source catalog, and hardcoded strings still in the UI
+async function checkProject(analysis, { languages = [], threshold = 100, failOnHardcoded = false } = {}) {
+  const { structure, keyFor } = analysis;
+  const catalog = await readCatalog(analysis);
+  const sourceHashes = await loadSourceHashes(structure.rootDir);
+  const relative = file => path.relative(structure.rootDir, file).split(path.sep).join('/');
+  
+  const locales = [];
+  for (const language of await getTargetLanguages(analysis, languages)) {
+    const stored = flattenMessages(await readMessages(analysis, language));
+    const entries = expandPlurals(catalog, language);
+    const plan = planTranslations(entries, stored, sourceHashes[language]);
+    const coverage = getCoverage(plan, entries.length);
+    
+    locales.push({
+      language,
+      coverage,
+      passed: coverage >= threshold,
+      missing: plan.new.filter(entry => stored[entry.key] === undefined).map(entry => entry.key),
+      empty: plan.new.filter(entry => stored[entry.key] !== undefined).map(entry => entry.key),
+      stale: plan.changed.map(entry => entry.key),
+      // Identical text is often right ("OK", brand names), so it only gets reported
+      untranslated: plan.unchanged
+        .filter(entry => stored[entry.key] === entry.text && hasTranslatableText(entry.text))
+        .map(entry => entry.key),
+      extra: plan.orphaned
+    });
+  }
+  
+  const hardcoded = analysis.occurrences.map(occurrence => ({
+    file: relative(occurrence.file),
+    line: occurrence.line,
+    column: occurrence.column,
+    text: occurrence.text,
+    key: keyFor(occurrence)
+  }));
+  
+  // Where the text of each reported key appears in the code, for reports that point at a file
+  const registry = await loadKeyRegistry(structure.rootDir);
+  const reportedKeys = _.uniq(_.flatMap(locales, locale => [
+    ...locale.missing, ...locale.empty, ...locale.stale, ...locale.untranslated, ...locale.extra
+  ]));
+  const keyFiles = _.fromPairs(reportedKeys
+    .filter(key => registry.entries[key] && registry.entries[key].locations)
+    .map(key => [key, _.uniq(registry.entries[key].locations.map(location => location.split(':')[0]))]));
+  
+  return {
+    framework: analysis.framework,
+    sourceLocale: structure.sourceLocale,
+    keys: catalog.length,
+    threshold,
+    failOnHardcoded,
+    passed: locales.every(locale => locale.passed) && !(failOnHardcoded && hardcoded.length > 0),
+    locales,
+    hardcoded,
+    keyFiles
+  };
+}
+
+// Work out what a language is missing and translate it, without writing anything
+async function translateLanguage(analysis, language, apiKey, service, forceAll, providerOptions) {
+  const { keys, structure } = analysis;
+  
+  // Compare against what the target locale already has, before paying for any API call
+  const existingMessages = await readMessages(analysis, language);
+  
+  const sourceHashes = await loadSourceHashes(structure.rootDir);
+  const plan = planTranslations(expandPlurals(keys, language), existingMessages, sourceHashes[language], forceAll);
+  reportPlan(plan, language, forceAll);
+  
+  if (plan.pending.length === 0) {
+    console.log(chalk.green(`✓ ${language} translations are up to date`));
+    return { language, plan, translations: {} };
+  }
+  
+  // Translate only new and changed strings using the specified service, plural ones once per category
+  const { requests, plurals } = createPluralRequests(plan.pending, language, structure.sourceLocale);
+  const pendingStrings = _.uniq(requests.map(entry => entry.text));
+  const translated = await translateStrings(pendingStrings, language, apiKey, service, requests, providerOptions);
+  const translations = assemblePluralTranslations(translated, plurals, language);
+  
+  return { language, plan, translations };
+}
+
+// Write every translated language in one update. Writes are staged with the rest of the run, so a
+// failed write leaves every locale file as it was.
+async function saveTranslations(analysis, results, forceAll) {
+  const { structure } = analysis;
+  
+  try {
+    for (const { language, translations } of results) {
+      if (Object.keys(translations).length === 0) continue;
+      await writeMessages(analysis, translations, language, forceAll);
+    }
+  } catch (err) {
+    throw new Error(`Could not write translations, no locale files were changed: ${err.message}`);
+  }
+  
+  for (const { language, plan, translations } of results) {
+    await recordSourceHashes(structure.rootDir, language, plan, translations);
+  }
+}
+
+// Measure how much longer each language's stored translations are, report risky strings and update the CSS factors
+async function measureExpansion(analysis, languages) {
+  const { keys, structure } = analysis;
+  
+  const expansion = {};
+  for (const language of languages) {
+    const measured = analyzeTextExpansion(expandPlurals(keys, language), await readMessages(analysis, language), language);
+    if (measured.totalOriginalLength > 0) expansion[language] = measured;
+  }
+  
+  const criticalKeys = _.uniq(_.flatMap(expansion, ({ criticalExpansions }) => criticalExpansions.map(entry => entry.key)));
+  const locations = await locateKeys(structure.rootDir, criticalKeys, analysis);
+  Object.values(expansion).forEach(({ criticalExpansions }) => criticalExpansions.forEach(entry => {
+    entry.location = locations[entry.key] || null;
+  }));
+  reportExpansion(expansion, locations);
+  
+  await updateResponsiveCss(analysis, { languages, factors: _.mapValues(expansion, 'expansionFactor') });
+  
+  return expansion;
+}
+
+// Regenerate the per-language rules of ResponsiveLanguage.css from the project's locales
+async function updateResponsiveCss(project, { create = false, languages = [], factors = {} } = {}) {
+  const { structure } = project;
+  const cssFile = structure.responsiveCssFile;
+  const exists = await fs.pathExists(cssFile);
+  if (!exists && !create) return false;
+  
+  // Languages this run didn't measure are measured from what is stored
+  const targetLanguages = await getTargetLanguages(project, languages);
+  const unmeasured = targetLanguages.filter(language => factors[language] === undefined);
+  const measured = { ...factors };
+  if (unmeasured.length > 0) {
+    const catalog = await readCatalog(project);
+    for (const language of unmeasured) {
+      const expansion = analyzeTextExpansion(expandPlurals(catalog, language), await readMessages(project, language), language);
+      if (expansion.totalOriginalLength > 0) measured[language] = expansion.expansionFactor;
+    }
+  }
+  
+  const css = exists ? await fs.readFile(cssFile, 'utf8') : await readBaseStylesheet();
+  const section = buildLanguageSection([structure.sourceLocale, ...targetLanguages], { ...measured, [structure.sourceLocale]: 1 });
+  const updated = replaceLanguageSection(css, section);
+  if (exists && updated === css) return false;
+  
+  await fs.outputFile(cssFile, updated);
+  console.log(chalk.green(`✓ ${exists ? 'Updated' : 'Created'} language rules in ${cssFile} (${targetLanguages.join(', ') || structure.sourceLocale})`));
+  return true;
+}
+
+// Generate translations for detected strings, into one or more languages at once
+async function generateTranslations(analysis, languages, apiKey, service, forceAll, providerOptions = {}) {
+  const targetLanguages = _.uniq([].concat(languages));
+  console.log(chalk.blue(`🌐 Generating translations for ${targetLanguages.join(', ')}...`));
+  
+  // Languages are translated side by side; one failing doesn't stop the others
+  const outcomes = await Promise.allSettled(targetLanguages.map(language =>
+    translateLanguage(analysis, language, apiKey, service, forceAll, providerOptions)
+  ));
+  
+  const results = [];
+  const failed = [];
+  outcomes.forEach((outcome, idx) => {
+    if (outcome.status === 'fulfilled') {
+      results.push(outcome.value);
+    } else {
+      failed.push({ language: targetLanguages[idx], error: outcome.reason });
+      console.error(chalk.red(`❌ ${targetLanguages[idx]}: ${outcome.reason.message}`));
+    }
+  });
+  
+  await saveTranslations(analysis, results, forceAll);
+  const expansion = await measureExpansion(analysis, results.map(({ language }) => language));
+  
+  return {
+    translations: _.fromPairs(results.map(({ language, translations }) => [language, translations])),
+    summary: _.fromPairs(results.map(({ language, plan, translations }) => [language, {
+      new: plan.new.length,
+      changed: plan.changed.length,
+      unchanged: plan.unchanged.length,
+      orphaned: plan.orphaned.length,
+      translated: Object.keys(flattenMessages(translations)).length,
+      expansion: expansion[language] && {
+        factor: expansion[language].expansionFactor,
+        critical: expansion[language].criticalExpansions
+      }
+    }])),
+    failed
+  };
+}
+
+// Every message of a language for translators: its source, stored translation, state, notes and files
+async function exportTranslations(project, language) {
+  const { structure } = project;
+  const catalog = await readCatalog(project);
+  const registry = await loadKeyRegistry(structure.rootDir);
+  const stored = flattenMessages(await readMessages(project, language));
+  const reviews = (await loadReviews(structure.rootDir))[language];
+  const entries = expandPlurals(catalog, language);
+  const plan = planTranslations(entries, stored, (await loadSourceHashes(structure.rootDir))[language]);
+  const untranslated = new Set(plan.new);
+  const stale = new Set(plan.changed);
+  
+  return entries.map(entry => {
+    // Plural forms are registered under the key the code passes to t()
+    const registered = registry.entries[entry.key] || registry.entries[getPluralBase(entry.key)] || {};
+    const notes = [registered.description || entry.description].filter(Boolean);
+    if (entry.plural) notes.push(`Plural form "${entry.plural.category}"`);
+    if (stale.has(entry)) notes.push('The source text changed since this was translated');
+    
+    let state = 'machine-translated';
+    if (untranslated.has(entry)) {
+      state = 'untranslated';
+    } else if (stale.has(entry)) {
+      state = 'stale';
+    } else if (isReviewed(reviews, entry.key, entry.text, stored[entry.key])) {
+      state = 'reviewed';
+    }
+    
+    return {
+      key: entry.key,
+      source: entry.text,
+      target: state === 'untranslated' ? undefined : stored[entry.key],
+      state,
+      notes,
+      files: _.uniq((registered.locations || []).map(location => location.split(':')[0]))
+    };
+  });
+}
+
+// Merge translations from a translator's file into a language's locale storage. Units are left out when
+// their key is unknown, their source text has changed since the export, the file doesn't mark them as
+// translated or their placeholders don't match the source.
+async function importTranslations(project, language, units) {
+  const { structure } = project;
+  const entries = _.keyBy(expandPlurals(await readCatalog(project), language), 'key');
+  const stored = flattenMessages(await readMessages(project, language));
+  const reviews = (await loadReviews(structure.rootDir))[language];
+  const result = { imported: [], reviewed: [], unchanged: [], untranslated: [], unknown: [], outdated: [], rejected: [] };
+  const accepted = [];
+  
+  units.forEach(unit => {
+    const entry = entries[unit.key];
+    if (!entry) {
+      result.unknown.push(unit.key);
+      return;
+    }
+    if (!unit.state) {
+      result.untranslated.push(unit.key);
+      return;
+    }
+    if (unit.source !== entry.text) {
+      result.outdated.push(unit.key);
+      return;
+    }
+    
+    // Some plural forms may spell the count out, as they may in machine translations
+    const wordsForCount = entry.plural && canOmitCount(entry.plural.category, language);
+    const problems = comparePlaceholders(entry.text, unit.target)
+      .filter(problem => !(wordsForCount && problem === 'missing {{count}}'));
+    if (problems.length > 0) {
+      result.rejected.push({ key: unit.key, translation: unit.target, problems });
+      return;
+    }
+    
+    const reviewed = unit.state === 'reviewed';
+    if (unit.target === stored[unit.key] && (!reviewed || isReviewed(reviews, unit.key, entry.text, unit.target))) {
+      result.unchanged.push(unit.key);
+      return;
+    }
+    accepted.push({ entry, translation: unit.target, reviewed });
+    (unit.target === stored[unit.key] ? result.reviewed : result.imported).push(unit.key);
+  });
+  
+  if (accepted.length > 0) {
+    const translations = {};
+    accepted.forEach(({ entry, translation }) => _.set(translations, entry.key.split('.'), translation));
+    const changed = {};
+    accepted
+      .filter(({ entry, translation }) => stored[entry.key] !== translation)
+      .forEach(({ entry, translation }) => _.set(changed, entry.key.split('.'), translation));
+    
+    if (Object.keys(changed).length > 0) {
+      await writeMessages(project, changed, language, false);
+    }
+    await recordSourceHashes(structure.rootDir, language, { unchanged: [], pending: accepted.map(({ entry }) => entry) }, translations);
+    await recordReviews(structure.rootDir, language, accepted.map(({ entry, translation, reviewed }) => ({
+      key: entry.key,
+      source: entry.text,
+      translation,
+      reviewed
+    })));
+    await updateResponsiveCss(project, { languages: [language] });
+  }
+  
+  return result;
+}
+
+// Replace hardcoded strings in the source with translation calls
+async function replaceStrings(analysis) {
+  console.log(chalk.blue('🔁 Rewriting hardcoded strings to use translation keys...'));
+  
+  const { framework, uiFiles, structure, keyFor } = analysis;
+  
+  // Same keys translateStrings stores the translations under
+  let replaced;
+  switch (framework) {
+    case 'react':
+      replaced = await reactAdapter.replaceStrings(structure, uiFiles, keyFor);
       break;
     case 'vue':
-      await vueAdapter.updateTranslations(structure, translations, language, forceAll);
+      replaced = await vueAdapter.replaceStrings(structure, uiFiles, keyFor);
       break;
     case 'angular':
-      await angularAdapter.updateTranslations(structure, translations, language, forceAll);
+      replaced = await angularAdapter.replaceStrings(structure, uiFiles, keyFor);
       break;
     default:
       throw new Error(`Unsupported framework: ${framework}`);
   }
   
-  return translations;
+  // Rewritten keys are in use now and must never be handed to other text
+  await markReplacedKeys(structure.rootDir, replaced.map(entry => entry.key));
+  
+  return replaced;
+}
+
+// Physical left/right CSS in stylesheets and components, rewritten to logical properties when apply is set
+async function convertToLogicalCss(project, { apply = false } = {}) {
+  const { structure, uiFiles } = project;
+  const report = { applied: apply, converted: [], unconvertible: [] };
+  
+  for (const file of _.uniq([...(structure.styleFiles || []), ...uiFiles])) {
+    const relative = path.relative(structure.rootDir, file).split(path.sep).join('/');
+    const content = await fs.readFile(file, 'utf8');
+    let found;
+    try {
+      found = findPhysicalProperties(content, file);
+    } catch (err) {
+      console.warn(chalk.yellow(`⚠️ Could not check ${relative} for physical CSS properties: ${err.message}`));
+      continue;
+    }
+    
+    report.converted.push(...found.converted.map(entry => ({ file: relative, ...entry })));
+    report.unconvertible.push(...found.unconvertible.map(entry => ({ file: relative, ...entry })));
+    if (apply && found.edits.length > 0) {
+      await fs.writeFile(file, applyEdits(content, found.edits));
+    }
+  }
+  
+  if (report.converted.length > 0) {
+    const files = _.uniq(report.converted.map(entry => entry.file)).length;
+    if (apply) {
+      console.log(chalk.green(`✓ Converted ${report.converted.length} physical CSS properties to logical ones in ${files} files`));
+    } else {
+      console.log(chalk.blue(`↔️ ${report.converted.length} physical CSS properties in ${files} files won't flip for right-to-left languages. Run ui-fix --logical-css to convert them:`));
+      report.converted.forEach(entry => console.log(`   ${entry.file}:${entry.line} ${entry.from} → ${entry.to}`));
+    }
+  }
+  if (report.unconvertible.length > 0) {
+    console.warn(chalk.yellow(`⚠️ ${report.unconvertible.length} declarations need converting by hand for right-to-left languages:`));
+    report.unconvertible.forEach(entry => console.warn(chalk.yellow(`   ${entry.file}:${entry.line} ${entry.declaration} (${entry.reason})`)));
+  }
+  
+  return report;
 }
 
 // Update UI for language responsiveness
-async function updateUI(analysis) {
+async function updateUI(analysis, { logicalCss = false } = {}) {
   console.log(chalk.blue('🎨 Updating UI for language responsiveness...'));
   
   const { framework, uiFiles, structure } = analysis;
+  await updateResponsiveCss(analysis, { create: true });
   
   // Use framework-specific adapter to update UI files
   switch (framework) {
@@ -130,12 +674,66 @@ async function updateUI(analysis) {
       throw new Error(`Unsupported framework: ${framework}`);
   }
   
-  return true;
+  // Runs after the adapter so it sees the components as the adapter left them
+  return { logicalCss: await convertToLogicalCss(analysis, { apply: logicalCss }) };
+}
+
+// Show the changes a dry run would make as unified diffs, or save them as a patch, then drop them
+async function previewChanges(projectPath, { patchFile = null } = {}) {
+  const resolvedPath = path.resolve(projectPath);
+  const changes = await getStagedChanges();
+  discardRun();
+  
+  const diffs = changes.map(({ file, before, after }) => ({
+    file,
+    diff: createUnifiedDiff(path.relative(resolvedPath, file).split(path.sep).join('/'), before, after)
+  }));
+  
+  if (patchFile) {
+    await fs.outputFile(patchFile, diffs.map(({ diff }) => diff).join(''));
+    console.log(chalk.green(`✓ Wrote ${diffs.length} file changes to ${patchFile}. Apply them with: git apply ${patchFile}`));
+    return changes;
+  }
+  
+  diffs.forEach(({ diff }) => {
+    diff.split('\n').filter(Boolean).forEach(line => {
+      if (line.startsWith('---') || line.startsWith('+++')) {
+        console.log(chalk.bold(line));
+      } else if (line.startsWith('@@')) {
+        console.log(chalk.cyan(line));
+      } else if (line.startsWith('+')) {
+        console.log(chalk.green(line));
+      } else if (line.startsWith('-')) {
+        console.log(chalk.red(line));
+      } else {
+        console.log(line);
+      }
+    });
+  });
+  console.log(chalk.blue(`🔍 Dry run: ${diffs.length} files would change, nothing was written`));
+  
+  return changes;
 }
 
 module.exports = {
   init,
+  loadProject,
   analyze,
+  readCatalog,
+  extractCatalog,
+  pruneCatalog,
+  getStatus,
+  checkProject,
+  updateResponsiveCss,
   generateTranslations,
-  updateUI
+  exportTranslations,
+  importTranslations,
+  replaceStrings,
+  updateUI,
+  previewChanges,
+  beginRun,
+  discardRun,
+  commitRun,
+  rollbackRun,
+  listRuns
 };
\ No newline at end of file
@@ -0,0 +1,190 @@
+const path = require('path');
+const { buildXliff20, parseXliff20, parseXliff12 } = require('../formats/xliff');
+const { buildPo, parsePo } = require('../formats/po');
+const { buildCsv, parseCsvRecords } = require('../formats/csv');
+
+/*
+ * Files for human translators
+ *
+ * Every message is exported with its key, source text, stored translation, notes for the translator,
+ * the files it is used in and one of these states:
+ *   untranslated        - no translation yet
+ *   stale               - translated from an older version of the source text
+ *   machine-translated  - translated by a provider (or by hand before reviews were recorded), not reviewed
+ *   reviewed            - approved by a reviewer, or imported from a translator
+ *
+ * XLIFF 2.0 segments are initial, translated (with an i18n-adapt subState for machine translations) or
+ * reviewed. PO entries that need a look are fuzzy. CSV files have a state column.
+ */
+const EXCHANGE_FORMATS = ['xliff', 'po', 'csv'];
+
+const EXTENSIONS = { xliff: ['.xlf', '.xliff'], po: ['.po'], csv: ['.csv'] };
+
+const MACHINE_SUBSTATE = 'i18n-adapt:machine-translated';
+
+const XLIFF_STATES = {
+  untranslated: 'initial',
+  stale: 'initial',
+  'machine-translated': 'translated',
+  reviewed: 'reviewed'
+};
+
+const CSV_COLUMNS = ['key', 'source', 'target', 'state', 'context', 'files'];
+
+// Format of a translation file, from its extension
+function detectExchangeFormat(file) {
+  const extension = path.extname(file).toLowerCase();
+  return EXCHANGE_FORMATS.find(format => EXTENSIONS[format].includes(extension)) || null;
+}
+
+function getExchangeExtension(format) {
+  return EXTENSIONS[format][0];
+}
+
+function buildXliffFile({ sourceLanguage, language, units }) {
+  return buildXliff20({
+    sourceLanguage,
+    targetLanguage: language,
+    units: units.map(unit => ({
+      id: unit.key,
+      source: unit.source,
+      target: unit.target,
+      state: XLIFF_STATES[unit.state],
+      subState: unit.state === 'machine-translated' ? MACHINE_SUBSTATE : undefined,
+      notes: [
+        ...unit.notes.map(text => ({ category: 'description', text })),
+        ...unit.files.map(file => ({ category: 'location', text: file }))
+      ]
+    }))
+  });
+}
+
+function buildPoFile({ sourceLanguage, language, units }) {
+  return buildPo({
+    headers: {
+      'Content-Type': 'text/plain; charset=UTF-8',
+      'Content-Transfer-Encoding': '8bit',
+      Language: language,
+      'X-Source-Language': sourceLanguage,
+      'X-Generator': 'i18n-adapt'
+    },
+    entries: units.map(unit => ({
+      context: unit.key,
+      id: unit.source,
+      str: unit.target,
+      comments: unit.notes,
+      references: unit.files,
+      flags: ['stale', 'machine-translated'].includes(unit.state) ? ['fuzzy'] : []
+    }))
+  });
+}
+
+function buildCsvFile({ units }) {
+  return buildCsv(CSV_COLUMNS, units.map(unit => ({
+    key: unit.key,
+    source: unit.source,
+    target: unit.target,
+    state: unit.state,
+    context: unit.notes.join('; '),
+    files: unit.files.join(' ')
+  })));
+}
+
+// A translation file of one language's messages: units of { key, source, target, state, notes, files }
+function buildExchangeFile(format, { sourceLanguage, language, units }) {
+  switch (format) {
+    case 'xliff':
+      return buildXliffFile({ sourceLanguage, language, units });
+    case 'po':
+      return buildPoFile({ sourceLanguage, language, units });
+    case 'csv':
+      return buildCsvFile({ sourceLanguage, language, units });
+    default:
+      throw new Error(`Unsupported translation file format: ${format}. Use one of ${EXCHANGE_FORMATS.join(', ')}`);
+  }
+}
+
+// XLIFF 2.0, or the XLIFF 1.2 most CAT tools can also write
+function parseXliffFile(content) {
+  if (/<xliff\b[^>]*\bversion="1\.2"/.test(content)) {
+    const targetLanguage = content.match(/<file\b[^>]*\btarget-language="([^"]*)"/);
+    return {
+      language: targetLanguage ? targetLanguage[1] : null,
+      units: parseXliff12(content).map(unit => ({
+        key: unit.id,
+        source: unit.source,
+        target: unit.target,
+        state: unit.target === undefined || ['new', 'needs-translation'].includes(unit.state)
+          ? null
+          : /^needs-review/.test(unit.state || '') ? 'machine-translated' : 'reviewed'
+      }))
+    };
+  }
+
+  const { targetLanguage, units } = parseXliff20(content);
+  return {
+    language: targetLanguage || null,
+    units: units.map(unit => ({
+      key: unit.id,
+      source: unit.source,
+      target: unit.target,
+      state: unit.target === undefined || unit.state === 'initial'
+        ? null
+        : unit.state === 'translated' && unit.subState === MACHINE_SUBSTATE ? 'machine-translated' : 'reviewed'
+    }))
+  };
+}
+
+function parsePoFile(content) {
+  const { headers, entries } = parsePo(content);
+  return {
+    language: headers.Language || null,
+    units: entries.map(entry => ({
+      key: entry.context,
+      source: entry.id,
+      target: entry.str,
+      state: !entry.str ? null : entry.flags.includes('fuzzy') ? 'machine-translated' : 'reviewed'
+    }))
+  };
+}
+
+// A filled-in target counts as reviewed unless its row still says machine-translated
+function parseCsvFile(content) {
+  const { columns, records } = parseCsvRecords(content);
+  const missing = ['key', 'source', 'target'].filter(column => !columns.includes(column));
+  if (missing.length > 0) {
+    throw new Error(`A translation CSV needs key, source and target columns (missing ${missing.join(', ')})`);
+  }
+  return {
+    language: null,
+    units: records.map(record => ({
+      key: record.key.trim(),
+      source: record.source,
+      target: record.target,
+      state: !record.target ? null : (record.state || '').trim() === 'machine-translated' ? 'machine-translated' : 'reviewed'
+    }))
+  };
+}
+
+// The language and the units of { key, source, target, state } of a translation file. The state is
+// reviewed, machine-translated, or null for a unit the file doesn't mark as translated.
+function parseExchangeFile(format, content) {
+  switch (format) {
+    case 'xliff':
+      return parseXliffFile(content);
+    case 'po':
+      return parsePoFile(content);
+    case 'csv':
+      return parseCsvFile(content);
+    default:
+      throw new Error(`Unsupported translation file format: ${format}. Use one of ${EXCHANGE_FORMATS.join(', ')}`);
+  }
+}
+
+module.exports = {
+  EXCHANGE_FORMATS,
+  detectExchangeFormat,
+  getExchangeExtension,
+  buildExchangeFile,
+  parseExchangeFile
+};
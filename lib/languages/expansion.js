@@ -0,0 +1,107 @@
+const fs = require('../utils/staging');
+const path = require('path');
+const chalk = require('chalk');
+const { loadKeyRegistry, findKeyReference } = require('./keys');
+const { EXPANSION_THRESHOLD } = require('./processors');
+const { getPluralBase } = require('./plurals');
+
+// Critical strings listed per language before the rest are summarized
+const MAX_REPORTED = 10;
+
+// Where each key is shown: file, line and element, from this run's occurrences, the key registry or a search of the UI files
+async function locateKeys(rootDir, keys, { occurrences = [], keyFor = null, uiFiles = [] } = {}) {
+  const wanted = new Set(keys);
+  const locations = {};
+
+  // Strings still hardcoded carry their exact position
+  if (keyFor) {
+    occurrences.forEach(occurrence => {
+      const key = keyFor(occurrence);
+      if (!wanted.has(key) || locations[key]) return;
+      locations[key] = {
+        file: path.relative(rootDir, occurrence.file).split(path.sep).join('/'),
+        line: occurrence.line,
+        element: occurrence.element,
+        attribute: occurrence.attribute
+      };
+    });
+  }
+
+  const contents = {};
+  const readContent = async file => {
+    if (contents[file] === undefined) {
+      const absolute = path.join(rootDir, file);
+      contents[file] = await fs.pathExists(absolute) ? await fs.readFile(absolute, 'utf8') : '';
+    }
+    return contents[file];
+  };
+  const lineAt = (content, offset) => content.slice(0, offset).split('\n').length;
+
+  // Rewritten ones are found through the registry: file:component:element:attribute, then the t() call in that file.
+  // Plural forms (key_one, key_few) are called and registered by their base key
+  const referenceOf = key => getPluralBase(key) || key;
+  const registry = await loadKeyRegistry(rootDir);
+  for (const key of keys) {
+    const entry = registry.entries[key] || registry.entries[referenceOf(key)];
+    if (locations[key] || !entry || !entry.locations || entry.locations.length === 0) continue;
+
+    const [file, , element, attribute] = entry.locations[0].split(':');
+    const content = await readContent(file);
+    let offset = findKeyReference(content, referenceOf(key));
+    if (offset === -1) offset = content.indexOf(entry.source);
+
+    locations[key] = {
+      file,
+      line: offset === -1 ? null : lineAt(content, offset),
+      element: element || null,
+      attribute: attribute || null
+    };
+  }
+
+  // Keys written by hand have no registry entry, only their t() calls
+  for (const key of keys.filter(key => !locations[key])) {
+    for (const uiFile of uiFiles) {
+      const file = path.relative(rootDir, uiFile).split(path.sep).join('/');
+      const content = await readContent(file);
+      const offset = findKeyReference(content, referenceOf(key));
+      if (offset !== -1) {
+        locations[key] = { file, line: lineAt(content, offset), element: null, attribute: null };
+        break;
+      }
+    }
+  }
+
+  return locations;
+}
+
+function describeLocation(location) {
+  if (!location) return '';
+  const place = location.line ? `${location.file}:${location.line}` : location.file;
+  const element = location.element ? ` <${location.element}${location.attribute ? ` ${location.attribute}` : ''}>` : '';
+  return `${place}${element} `;
+}
+
+// Log each language's overall expansion and the strings that grew past the threshold
+function reportExpansion(expansion, locations) {
+  Object.values(expansion).forEach(({ language, expansionFactor, criticalExpansions }) => {
+    console.log(chalk.blue(`📏 ${language}: translations are ${expansionFactor}x the length of the source text`));
+    if (criticalExpansions.length === 0) return;
+
+    console.warn(chalk.yellow(`⚠️ ${language}: ${criticalExpansions.length} strings are more than ${EXPANSION_THRESHOLD}x longer and may break their layout`));
+    criticalExpansions
+      .slice()
+      .sort((a, b) => b.expansionFactor - a.expansionFactor)
+      .slice(0, MAX_REPORTED)
+      .forEach(({ key, source, translated, expansionFactor }) => {
+        console.warn(chalk.yellow(`   ${describeLocation(locations[key])}${key}: "${source}" → "${translated}" (${expansionFactor}x)`));
+      });
+    if (criticalExpansions.length > MAX_REPORTED) {
+      console.warn(chalk.yellow(`   ... and ${criticalExpansions.length - MAX_REPORTED} more`));
+    }
+  });
+}
+
+module.exports = {
+  locateKeys,
+  reportExpansion
+};
@@ -0,0 +1,131 @@
+const fs = require('../utils/staging');
+const path = require('path');
+const chalk = require('chalk');
+const _ = require('lodash');
+const { parseCsvRecords } = require('../formats/csv');
+const { parseTbx } = require('../formats/tbx');
+
+// Columns of a glossary CSV that aren't target languages
+const CSV_META_COLUMNS = ['term', 'do_not_translate', 'note', 'notes', 'description', 'context'];
+
+// Glossary files are read once per run
+const glossaryCache = {};
+
+const primaryLanguage = language => language.split(/[-_]/)[0].toLowerCase();
+
+// term,es,fr,do_not_translate rows; the term column may also be named after the source language
+function readCsvGlossary(content, sourceLang) {
+  const { columns, records } = parseCsvRecords(content);
+  const termColumn = columns.find(column => column.toLowerCase() === 'term')
+    || columns.find(column => column.toLowerCase() === sourceLang.toLowerCase());
+  if (!termColumn) {
+    throw new Error(`A glossary CSV needs a "term" or "${sourceLang}" column`);
+  }
+  const languages = columns.filter(column => column !== termColumn && !CSV_META_COLUMNS.includes(column.toLowerCase()));
+
+  return records
+    .filter(record => record[termColumn].trim())
+    .map(record => ({
+      term: record[termColumn].trim(),
+      translations: _.pickBy(_.fromPairs(languages.map(language => [language, record[language].trim()]))),
+      doNotTranslate: /^(1|x|y|yes|true)$/i.test((record.do_not_translate || '').trim())
+    }));
+}
+
+function readTbxGlossary(content, sourceLang) {
+  return parseTbx(content)
+    .map(({ terms, doNotTranslate }) => {
+      const sourceKey = Object.keys(terms).find(language => language.toLowerCase() === sourceLang.toLowerCase())
+        || Object.keys(terms).find(language => primaryLanguage(language) === primaryLanguage(sourceLang));
+      if (!sourceKey) return null;
+      return { term: terms[sourceKey], translations: _.omit(terms, sourceKey), doNotTranslate };
+    })
+    .filter(Boolean);
+}
+
+async function readGlossaryFile(glossaryFile, sourceLang) {
+  if (!await fs.pathExists(glossaryFile)) {
+    throw new Error(`Glossary file not found: ${glossaryFile}`);
+  }
+  const content = await fs.readFile(glossaryFile, 'utf8');
+  const extension = path.extname(glossaryFile).toLowerCase();
+  let terms;
+  if (extension === '.csv') {
+    terms = readCsvGlossary(content, sourceLang);
+  } else if (['.tbx', '.xml'].includes(extension)) {
+    terms = readTbxGlossary(content, sourceLang);
+  } else {
+    throw new Error(`Unsupported glossary format: ${glossaryFile}. Use a .csv or .tbx file`);
+  }
+  console.log(chalk.blue(`📖 Loaded ${terms.length} glossary terms from ${glossaryFile}`));
+  return terms;
+}
+
+// The project glossary: terms from a CSV or TBX file plus the configured do-not-translate list
+async function loadGlossary({ glossaryFile = null, doNotTranslate = [], sourceLang = 'en' } = {}) {
+  const entries = doNotTranslate.map(term => ({ term, translations: {}, doNotTranslate: true }));
+  if (!glossaryFile) return entries;
+
+  // Languages translated side by side share one read of the file
+  glossaryCache[glossaryFile] = glossaryCache[glossaryFile] || readGlossaryFile(glossaryFile, sourceLang);
+  return [...entries, ...await glossaryCache[glossaryFile]];
+}
+
+// What a language has to do with each term: keep it, or use its mandated translation (pt-BR falls back to pt).
+// A translation identical to the term is the same as do-not-translate.
+function getTermsFor(glossary, language) {
+  const terms = [];
+  glossary.forEach(({ term, translations, doNotTranslate }) => {
+    const key = Object.keys(translations).find(candidate => candidate.toLowerCase() === language.toLowerCase())
+      || Object.keys(translations).find(candidate => candidate.toLowerCase() === primaryLanguage(language));
+    if (doNotTranslate || (key && translations[key] === term)) {
+      terms.push({ term, translation: term, doNotTranslate: true });
+    } else if (key) {
+      terms.push({ term, translation: translations[key], doNotTranslate: false });
+    }
+  });
+  // Longer terms first, so "Acme Cloud" is matched before "Acme"
+  return _.uniqBy(_.sortBy(terms, ({ term }) => -term.length), 'term');
+}
+
+// A term as a whole word; do-not-translate names match exactly, glossary terms in any case
+function getTermPattern({ term, doNotTranslate }, flags = '') {
+  return new RegExp(`(?<![\\p{L}\\p{N}])${_.escapeRegExp(term)}(?![\\p{L}\\p{N}])`, `u${doNotTranslate ? '' : 'i'}${flags}`);
+}
+
+// Terms that appear in a text
+function findTerms(text, terms) {
+  return terms.filter(term => getTermPattern(term).test(text));
+}
+
+// Mask do-not-translate terms with ⟦n⟧ tokens after the placeholders, so no provider can change them
+function maskTerms(masked, terms) {
+  const placeholders = [...masked.placeholders];
+  let { text } = masked;
+  terms.filter(term => term.doNotTranslate).forEach(term => {
+    text = text.replace(getTermPattern(term, 'g'), match => {
+      placeholders.push(match);
+      return `⟦${placeholders.length - 1}⟧`;
+    });
+  });
+  return { text, placeholders };
+}
+
+// Ways a translation breaks the glossary: a do-not-translate term changed, or a mandated translation not used
+function checkTerms(source, translation, terms) {
+  return findTerms(source, terms)
+    .filter(term => (term.doNotTranslate
+      ? !getTermPattern(term).test(translation)
+      : !translation.toLocaleLowerCase().includes(term.translation.toLocaleLowerCase())))
+    .map(({ term, translation: expected, doNotTranslate }) => (doNotTranslate
+      ? `"${term}" should stay untranslated`
+      : `"${term}" should be translated as "${expected}"`));
+}
+
+module.exports = {
+  loadGlossary,
+  getTermsFor,
+  findTerms,
+  maskTerms,
+  checkTerms
+};
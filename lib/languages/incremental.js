@@ -0,0 +1,181 @@
+const fs = require('../utils/staging');
+const path = require('path');
+const crypto = require('crypto');
+const chalk = require('chalk');
+const _ = require('lodash');
+const { flattenMessages } = require('../utils/messages');
+
+// Hashes of the source text each stored translation was made from, per language
+const SOURCE_HASH_FILE = 'i18n-adapt.hashes.json';
+
+function getHashRecordPath(rootDir) {
+  return path.join(rootDir, SOURCE_HASH_FILE);
+}
+
+// Short, stable fingerprint of a source string
+function hashSource(text) {
+  return crypto.createHash('sha256').update(text).digest('hex').slice(0, 16);
+}
+
+// Load the source-hash record, or start an empty one
+async function loadSourceHashes(rootDir) {
+  const recordPath = getHashRecordPath(rootDir);
+  if (!await fs.pathExists(recordPath)) return {};
+
+  try {
+    return await fs.readJson(recordPath);
+  } catch (err) {
+    throw new Error(`Could not read source hashes ${recordPath}: ${err.message}`);
+  }
+}
+
+// Per-language records are written sorted, so they diff cleanly
+async function writeRecord(recordPath, record) {
+  const sorted = {};
+  Object.keys(record).sort().forEach(language => {
+    sorted[language] = {};
+    Object.keys(record[language]).sort().forEach(key => {
+      sorted[language][key] = record[language][key];
+    });
+  });
+
+  await fs.writeJson(recordPath, sorted, { spaces: 2 });
+}
+
+async function saveSourceHashes(rootDir, record) {
+  await writeRecord(getHashRecordPath(rootDir), record);
+}
+
+// Sort keys into new, changed and unchanged against the stored translations and their source hashes
+function planTranslations(keys, existingMessages, languageHashes = {}, forceAll = false) {
+  const existing = flattenMessages(existingMessages);
+  const plan = { pending: [], new: [], changed: [], unchanged: [], orphaned: [] };
+
+  keys.forEach(entry => {
+    const translation = existing[entry.key];
+    const recordedHash = languageHashes[entry.key];
+
+    if (translation === undefined || translation === '') {
+      plan.new.push(entry);
+      plan.pending.push(entry);
+    } else if (recordedHash && recordedHash !== hashSource(entry.text)) {
+      plan.changed.push(entry);
+      plan.pending.push(entry);
+    } else {
+      // Translations made before hashes were recorded are trusted as current
+      plan.unchanged.push(entry);
+      if (forceAll) plan.pending.push(entry);
+    }
+  });
+
+  const currentKeys = new Set(keys.map(entry => entry.key));
+  plan.orphaned = Object.keys(existing).filter(key => !currentKeys.has(key));
+
+  return plan;
+}
+
+function reportPlan(plan, language, forceAll) {
+  console.log(chalk.blue(`📋 ${language}: ${plan.new.length} new, ${plan.changed.length} changed, ${plan.unchanged.length} unchanged, ${plan.orphaned.length} orphaned`));
+
+  if (forceAll && plan.unchanged.length > 0) {
+    console.log(chalk.blue(`🔁 --force-all: retranslating ${plan.unchanged.length} unchanged strings too`));
+  }
+  if (plan.orphaned.length > 0) {
+    console.warn(chalk.yellow(`⚠️ ${plan.orphaned.length} ${language} keys are no longer used in the code: ${plan.orphaned.slice(0, 5).join(', ')}${plan.orphaned.length > 5 ? ', ...' : ''}`));
+  }
+}
+
+// Record the source hash of every key that now has an up-to-date translation
+async function recordSourceHashes(rootDir, language, plan, translations) {
+  const record = await loadSourceHashes(rootDir);
+  const translated = new Set(Object.keys(flattenMessages(translations)));
+  const languageHashes = record[language] || {};
+  const pending = new Set(plan.pending);
+
+  plan.unchanged.concat(plan.pending).forEach(entry => {
+    if (pending.has(entry) && !translated.has(entry.key)) return;
+    languageHashes[entry.key] = hashSource(entry.text);
+  });
+
+  record[language] = languageHashes;
+  await saveSourceHashes(rootDir, record);
+}
+
+// Drop the recorded hashes of keys removed from the catalog
+async function forgetSourceHashes(rootDir, keys) {
+  const record = await loadSourceHashes(rootDir);
+  Object.keys(record).forEach(language => {
+    record[language] = _.omit(record[language], keys);
+  });
+  await saveSourceHashes(rootDir, record);
+}
+
+// Translations a reviewer approved, per language, as a hash of the source text and the translation:
+// a changed source or a new translation is no longer reviewed
+const REVIEW_FILE = 'i18n-adapt.reviews.json';
+
+function getReviewRecordPath(rootDir) {
+  return path.join(rootDir, REVIEW_FILE);
+}
+
+function hashReview(source, translation) {
+  return hashSource(`${source}\u0000${translation}`);
+}
+
+async function loadReviews(rootDir) {
+  const recordPath = getReviewRecordPath(rootDir);
+  if (!await fs.pathExists(recordPath)) return {};
+
+  try {
+    return await fs.readJson(recordPath);
+  } catch (err) {
+    throw new Error(`Could not read translation reviews ${recordPath}: ${err.message}`);
+  }
+}
+
+function isReviewed(languageReviews, key, source, translation) {
+  return Boolean(languageReviews) && languageReviews[key] === hashReview(source, translation);
+}
+
+// Mark translations of a language as reviewed, or no longer reviewed
+async function recordReviews(rootDir, language, entries) {
+  const record = await loadReviews(rootDir);
+  const languageReviews = record[language] || {};
+
+  entries.forEach(({ key, source, translation, reviewed }) => {
+    if (reviewed) {
+      languageReviews[key] = hashReview(source, translation);
+    } else {
+      delete languageReviews[key];
+    }
+  });
+
+  record[language] = languageReviews;
+  await writeRecord(getReviewRecordPath(rootDir), record);
+}
+
+// Drop the reviews of keys removed from the catalog
+async function forgetReviews(rootDir, keys) {
+  const record = await loadReviews(rootDir);
+  if (Object.keys(record).length === 0) return;
+  Object.keys(record).forEach(language => {
+    record[language] = _.omit(record[language], keys);
+  });
+  await writeRecord(getReviewRecordPath(rootDir), record);
+}
+
+module.exports = {
+  SOURCE_HASH_FILE,
+  REVIEW_FILE,
+  hashSource,
+  loadSourceHashes,
+  saveSourceHashes,
+  planTranslations,
+  reportPlan,
+  recordSourceHashes,
+  forgetSourceHashes,
+  loadReviews,
+  isReviewed,
+  recordReviews,
+  forgetReviews
+};
@@ -0,0 +1,294 @@
+const fs = require('../utils/staging');
+const path = require('path');
+const chalk = require('chalk');
+const _ = require('lodash');
+const { generateKey } = require('./processors');
+const { getSense, describeContext } = require('../extractors/context');
+
+// Registry file kept in the project root so keys survive between runs
+const REGISTRY_FILE = 'i18n-adapt.keys.json';
+
+// How widely a key is shared: one key per text, per file, or per component
+const KEY_SCOPES = ['global', 'file', 'component'];
+
+function getRegistryPath(rootDir) {
+  return path.join(rootDir, REGISTRY_FILE);
+}
+
+// Load the key registry, or start an empty one
+async function loadKeyRegistry(rootDir) {
+  const registryPath = getRegistryPath(rootDir);
+  const registry = { scope: null, overrides: {}, entries: {} };
+
+  if (await fs.pathExists(registryPath)) {
+    try {
+      return { ...registry, ...(await fs.readJson(registryPath)) };
+    } catch (err) {
+      throw new Error(`Could not read key registry ${registryPath}: ${err.message}`);
+    }
+  }
+
+  return registry;
+}
+
+async function saveKeyRegistry(rootDir, registry) {
+  const entries = {};
+  Object.keys(registry.entries).sort().forEach(key => {
+    entries[key] = registry.entries[key];
+  });
+
+  await fs.writeJson(getRegistryPath(rootDir), { ...registry, entries }, { spaces: 2 });
+}
+
+// Context an occurrence's key is scoped to
+function getKeyContext(occurrence, scope, rootDir) {
+  if (!occurrence || !occurrence.file || scope === 'global') return '';
+
+  const file = path.relative(rootDir, occurrence.file).split(path.sep).join('/');
+  if (scope === 'component' && occurrence.component && occurrence.component.name) {
+    return `${file}#${occurrence.component.name}`;
+  }
+  return file;
+}
+
+// Where in the code a string sits, used to recognize edited text
+function getLocationSignature(occurrence, rootDir) {
+  const file = path.relative(rootDir, occurrence.file).split(path.sep).join('/');
+  const component = occurrence.component && occurrence.component.name ? occurrence.component.name : '';
+  return [file, component, occurrence.element || '', occurrence.attribute || ''].join(':');
+}
+
+// Registry lookup id for a text within a context, and in one sense when the code tells its uses apart
+function getLookupId(text, context, sense = '') {
+  const id = context ? `${context}::${text}` : text;
+  return sense ? `${id}##${sense}` : id;
+}
+
+// Key for a text in a sense other than the one its plain key is used in: navigation.home + "address field" -> navigation.homeAddressField
+function getSenseKey(baseKey, sense) {
+  return `${baseKey}${_.upperFirst(_.camelCase(sense.split(/\s+/).slice(0, 3).join(' ')))}`;
+}
+
+// Assign a stable key to every extracted string, reusing and updating the registry
+function assignKeys(registry, strings, occurrences, { scope, rootDir, namespaces }) {
+  const collisions = [];
+  const renamed = [];
+
+  // Current strings grouped by text + context + sense, with every place they appear
+  const groups = {};
+  const addToGroup = (text, context, location, occurrence = null) => {
+    const sense = getSense(occurrence);
+    const lookupId = getLookupId(text, context, sense);
+    groups[lookupId] = groups[lookupId] || { text, context, sense, description: describeContext(occurrence), locations: [] };
+    if (location && !groups[lookupId].locations.includes(location)) {
+      groups[lookupId].locations.push(location);
+    }
+  };
+
+  occurrences.forEach(occurrence => {
+    addToGroup(occurrence.text, getKeyContext(occurrence, scope, rootDir), getLocationSignature(occurrence, rootDir), occurrence);
+  });
+  const occurringTexts = new Set(occurrences.map(occurrence => occurrence.text));
+  strings.forEach(text => {
+    if (!occurringTexts.has(text)) {
+      addToGroup(text, '', null);
+    }
+  });
+
+  const entryLookupId = entry => getLookupId(entry.source, entry.context, entry.sense);
+  const keysByLookupId = {};
+  Object.keys(registry.entries).forEach(key => {
+    keysByLookupId[entryLookupId(registry.entries[key])] = key;
+  });
+
+  // Keys whose text is gone from the code could have been edited in place
+  const orphanedKeys = Object.keys(registry.entries).filter(key => {
+    const entry = registry.entries[key];
+    return !groups[entryLookupId(entry)] && !entry.replaced;
+  });
+
+  const isTaken = (key, lookupId) => {
+    const entry = registry.entries[key];
+    return Boolean(entry) && entryLookupId(entry) !== lookupId;
+  };
+
+  // Plain uses of a text claim its key before uses with a note, in an attribute or on an action
+  const lookupIds = _.sortBy(Object.keys(groups), lookupId => (groups[lookupId].sense ? 1 : 0));
+
+  const keyMap = {};
+  lookupIds.forEach(lookupId => {
+    const group = groups[lookupId];
+    let key = null;
+
+    // 1. Manual overrides, for this context or for the text anywhere
+    const override = registry.overrides[lookupId] || registry.overrides[group.text];
+    if (override) {
+      if (isTaken(override, lookupId)) {
+        collisions.push({ key: override, text: group.text, existing: registry.entries[override].source, override: true });
+      } else {
+        key = override;
+      }
+    }
+
+    // 2. Key this text already has
+    if (!key && keysByLookupId[lookupId]) {
+      key = keysByLookupId[lookupId];
+    }
+
+    // Registries written before senses were recorded hold the text under its plain lookup id
+    if (!key && group.sense) {
+      const plainId = getLookupId(group.text, group.context);
+      const plainKey = keysByLookupId[plainId];
+      const plainEntry = plainKey && registry.entries[plainKey];
+      if (plainEntry && !groups[plainId] && !plainEntry.sense && !plainEntry.replaced) {
+        key = plainKey;
+        _.pull(orphanedKeys, plainKey);
+      }
+    }
+
+    // 3. Text edited in place: an orphaned key from the same spot in the same context
+    if (!key) {
+      const previousKey = orphanedKeys.find(orphanedKey => {
+        const entry = registry.entries[orphanedKey];
+        return entry.context === group.context && (entry.sense || '') === group.sense &&
+          (entry.locations || []).some(location => group.locations.includes(location));
+      });
+
+      if (previousKey) {
+        key = previousKey;
+        renamed.push({ key, from: registry.entries[key].source, to: group.text });
+        _.pull(orphanedKeys, previousKey);
+      }
+    }
+
+    // 4. New key, named after its sense when the same text is used in another one,
+    //    and suffixed when another text already owns it
+    if (!key) {
+      let baseKey = generateKey(group.text, namespaces);
+      if (group.sense && isTaken(baseKey, lookupId) && registry.entries[baseKey].source === group.text) {
+        baseKey = getSenseKey(baseKey, group.sense);
+      }
+      key = baseKey;
+      for (let suffix = 2; isTaken(key, lookupId); suffix++) {
+        key = `${baseKey}${suffix}`;
+      }
+      if (key !== baseKey) {
+        collisions.push({ key: baseKey, text: group.text, existing: registry.entries[baseKey].source, resolvedKey: key });
+      }
+    }
+
+    // An override replaces the key this text had before
+    if (keysByLookupId[lookupId] && keysByLookupId[lookupId] !== key) {
+      delete registry.entries[keysByLookupId[lookupId]];
+    }
+
+    registry.entries[key] = _.omitBy({
+      ...registry.entries[key],
+      source: group.text,
+      context: group.context,
+      sense: group.sense || undefined,
+      description: group.description || undefined,
+      locations: group.locations
+    }, _.isUndefined);
+    keysByLookupId[lookupId] = key;
+    keyMap[lookupId] = key;
+  });
+
+  return {
+    keyMap,
+    keys: Object.keys(groups).map(lookupId => ({
+      key: keyMap[lookupId],
+      text: groups[lookupId].text,
+      context: groups[lookupId].context,
+      sense: groups[lookupId].sense,
+      description: groups[lookupId].description
+    })),
+    collisions,
+    renamed
+  };
+}
+
+// Build the function adapters use to find the key of an occurrence
+function createKeyLookup(keyMap, { scope, rootDir }) {
+  return occurrence => keyMap[getLookupId(occurrence.text, getKeyContext(occurrence, scope, rootDir), getSense(occurrence))] ||
+    keyMap[getLookupId(occurrence.text, getKeyContext(occurrence, scope, rootDir))] ||
+    keyMap[occurrence.text] ||
+    null;
+}
+
+// Load the registry, assign keys for this run and save it back
+async function resolveKeys(rootDir, strings, occurrences, options = {}) {
+  const registry = await loadKeyRegistry(rootDir);
+  const scope = options.keyScope || registry.scope || 'global';
+
+  if (!KEY_SCOPES.includes(scope)) {
+    throw new Error(`Unsupported key scope: ${scope}. Use one of ${KEY_SCOPES.join(', ')}`);
+  }
+  if (registry.scope && registry.scope !== scope) {
+    console.warn(chalk.yellow(`⚠️ Key scope changed from ${registry.scope} to ${scope}, new keys will be generated`));
+  }
+  registry.scope = scope;
+
+  const result = assignKeys(registry, strings, occurrences, { scope, rootDir, namespaces: options.namespaces });
+
+  result.collisions.forEach(collision => {
+    const resolution = collision.override
+      ? 'override ignored'
+      : `using ${collision.resolvedKey}`;
+    console.warn(chalk.yellow(`⚠️ Key collision: "${collision.text}" and "${collision.existing}" both map to ${collision.key} (${resolution})`));
+  });
+  result.renamed.forEach(rename => {
+    console.log(chalk.blue(`✏️ Kept key ${rename.key} for edited text "${rename.from}" → "${rename.to}"`));
+  });
+
+  await saveKeyRegistry(rootDir, registry);
+
+  return {
+    ...result,
+    scope,
+    keyFor: createKeyLookup(result.keyMap, { scope, rootDir })
+  };
+}
+
+// Offset of the first reference to a key in a file, or -1:
+// t('key'), $t("key"), 'key' | translate, i18n="@@key" and $localize`:@@key:...`
+function findKeyReference(content, key) {
+  const offsets = [`'${key}'`, `"${key}"`, `\`${key}\``, `@@${key}`]
+    .map(reference => content.indexOf(reference))
+    .filter(offset => offset !== -1);
+  return offsets.length > 0 ? Math.min(...offsets) : -1;
+}
+
+// Flag keys whose literals were rewritten to t() calls, so they are never reused for other text
+async function markReplacedKeys(rootDir, keys) {
+  const registry = await loadKeyRegistry(rootDir);
+  keys.forEach(key => {
+    if (registry.entries[key]) {
+      registry.entries[key].replaced = true;
+    }
+  });
+  await saveKeyRegistry(rootDir, registry);
+}
+
+// Drop registry entries for keys removed from the catalog
+async function forgetKeys(rootDir, keys) {
+  const registry = await loadKeyRegistry(rootDir);
+  keys.forEach(key => {
+    delete registry.entries[key];
+  });
+  await saveKeyRegistry(rootDir, registry);
+}
+
+module.exports = {
+  REGISTRY_FILE,
+  KEY_SCOPES,
+  loadKeyRegistry,
+  saveKeyRegistry,
+  getKeyContext,
+  assignKeys,
+  createKeyLookup,
+  resolveKeys,
+  markReplacedKeys,
+  forgetKeys,
+  findKeyReference
+};
@@ -0,0 +1,187 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const chalk = require('chalk');
+const _ = require('lodash');
+const { buildTmx, parseTmx } = require('../formats/tmx');
+
+// Shared by every project on the machine, so it lives outside any project and outside the run's staging and rollback
+const DEFAULT_MEMORY_DIR = path.join(os.homedir(), '.i18n-adapt', 'tm');
+
+// One JSON line per translation, in a file per language pair: en/es.jsonl
+const MEMORY_FILE = /^(.+)\.jsonl$/;
+
+// Lines waiting for the run that translated them to be applied, by file; null outside a run
+let pendingLines = null;
+
+function getMemoryDir(settings = {}) {
+  if (!settings.path) return DEFAULT_MEMORY_DIR;
+  return path.resolve(settings.path.replace(/^~(?=$|[/\\])/, os.homedir()));
+}
+
+const toFileName = language => language.replace(/[^\w-]/g, '_');
+
+function getMemoryFile(dir, sourceLang, targetLang) {
+  return path.join(dir, toFileName(sourceLang), `${toFileName(targetLang)}.jsonl`);
+}
+
+// An entry is found by its source text, context and provider; imported translations have no provider
+function getMemoryId(text, context, provider) {
+  return JSON.stringify([provider || null, context || '', text]);
+}
+
+// Read a language pair's memory; later lines replace earlier ones for the same text, context and provider
+async function loadMemory(dir, sourceLang, targetLang) {
+  const file = getMemoryFile(dir, sourceLang, targetLang);
+  const entries = new Map();
+
+  const pending = (pendingLines && pendingLines.get(file)) || [];
+  if (await fs.pathExists(file) || pending.length > 0) {
+    const stored = await fs.pathExists(file) ? (await fs.readFile(file, 'utf8')).split('\n') : [];
+    const lines = [...stored, ...pending];
+    let skipped = 0;
+    lines.forEach(line => {
+      if (!line.trim()) return;
+      try {
+        const entry = JSON.parse(line);
+        entries.set(getMemoryId(entry.source, entry.context, entry.provider), entry);
+      } catch (err) {
+        skipped++;
+      }
+    });
+    if (skipped > 0) {
+      console.warn(chalk.yellow(`⚠️ Skipped ${skipped} unreadable lines in translation memory ${file}`));
+    }
+  }
+
+  return { file, sourceLang, targetLang, entries };
+}
+
+// A stored translation for a text: this provider's or a translator's, in this context before any other.
+// A text with a sense only falls back to a translator's context-free entry; a provider's was made without it.
+function findInMemory(memory, text, { context = '', provider = null } = {}) {
+  const candidates = context
+    ? [[null, context], [provider, context], [null, '']]
+    : [[null, ''], [provider, '']];
+  for (const [candidateProvider, candidateContext] of candidates) {
+    const entry = memory.entries.get(getMemoryId(text, candidateContext, candidateProvider));
+    if (entry) return entry.target;
+  }
+  return null;
+}
+
+// Append translations to a language pair's memory, skipping ones it already holds unchanged
+async function addToMemory(memory, records) {
+  const added = records
+    .filter(({ source, target }) => source && target)
+    .map(({ source, target, context = '', provider = null }) => ({ source, target, context, provider, updatedAt: new Date().toISOString() }))
+    .filter(entry => {
+      const existing = memory.entries.get(getMemoryId(entry.source, entry.context, entry.provider));
+      return !existing || existing.target !== entry.target;
+    });
+  if (added.length === 0) return 0;
+
+  const lines = added.map(entry => JSON.stringify(entry));
+  if (pendingLines) {
+    pendingLines.set(memory.file, [...(pendingLines.get(memory.file) || []), ...lines]);
+  } else {
+    await fs.ensureDir(path.dirname(memory.file));
+    await fs.appendFile(memory.file, lines.map(line => `${line}\n`).join(''));
+  }
+  added.forEach(entry => memory.entries.set(getMemoryId(entry.source, entry.context, entry.provider), entry));
+  return added.length;
+}
+
+// Keep translations added from now on in memory, so a dry run or a failed run leaves the memory alone
+function deferMemoryWrites() {
+  pendingLines = new Map();
+}
+
+// Append the translations a run added, once its changes are applied
+async function commitMemoryWrites() {
+  const pending = pendingLines;
+  pendingLines = null;
+  if (!pending) return;
+
+  for (const [file, lines] of pending) {
+    await fs.ensureDir(path.dirname(file));
+    await fs.appendFile(file, lines.map(line => `${line}\n`).join(''));
+  }
+}
+
+function discardMemoryWrites() {
+  pendingLines = null;
+}
+
+// Language pairs the memory holds
+async function listMemoryPairs(dir) {
+  if (!await fs.pathExists(dir)) return [];
+  const pairs = [];
+  for (const sourceLang of await fs.readdir(dir)) {
+    if (!(await fs.stat(path.join(dir, sourceLang))).isDirectory()) continue;
+    (await fs.readdir(path.join(dir, sourceLang)))
+      .map(file => file.match(MEMORY_FILE))
+      .filter(Boolean)
+      .forEach(([, targetLang]) => pairs.push({ sourceLang, targetLang }));
+  }
+  return pairs;
+}
+
+// Seed the memory from a TMX file; translations without an x-provider prop count as a translator's.
+// A regional source language (en-US) is filed under the project's (en) so lookups find it.
+async function importTmx(dir, content, { sourceLang = 'en' } = {}) {
+  const parsed = parseTmx(content, { sourceLanguage: sourceLang });
+  const { units } = parsed;
+  const primary = language => language.split(/[-_]/)[0].toLowerCase();
+  const sourceLanguage = primary(parsed.sourceLanguage) === primary(sourceLang) ? sourceLang : parsed.sourceLanguage;
+
+  const byLanguage = {};
+  units.forEach(({ source, targets, context, provider }) => {
+    Object.keys(targets).forEach(language => {
+      byLanguage[language] = byLanguage[language] || [];
+      byLanguage[language].push({ source, target: targets[language], context, provider });
+    });
+  });
+
+  const imported = {};
+  for (const language of Object.keys(byLanguage)) {
+    const memory = await loadMemory(dir, sourceLanguage, language);
+    imported[language] = await addToMemory(memory, byLanguage[language]);
+  }
+
+  return { sourceLanguage, units: units.length, imported };
+}
+
+// The memory for a source language as a TMX document, one <tu> per text, context and provider
+async function exportTmx(dir, { sourceLang = 'en', languages = null } = {}) {
+  const pairs = (await listMemoryPairs(dir))
+    .filter(pair => pair.sourceLang === sourceLang && (!languages || languages.includes(pair.targetLang)));
+
+  const units = {};
+  for (const { targetLang } of pairs) {
+    const memory = await loadMemory(dir, sourceLang, targetLang);
+    memory.entries.forEach((entry, id) => {
+      units[id] = units[id] || { source: entry.source, context: entry.context, provider: entry.provider, targets: {} };
+      units[id].targets[targetLang] = entry.target;
+    });
+  }
+
+  const sorted = _.sortBy(Object.values(units), ['source', 'context', 'provider']);
+  return {
+    languages: pairs.map(pair => pair.targetLang),
+    units: sorted.length,
+    content: buildTmx({ sourceLanguage: sourceLang, units: sorted })
+  };
+}
+
+module.exports = {
+  getMemoryDir,
+  loadMemory,
+  findInMemory,
+  addToMemory,
+  deferMemoryWrites,
+  commitMemoryWrites,
+  discardMemoryWrites,
+  importTmx,
+  exportTmx
+};
@@ -0,0 +1,130 @@
+const _ = require('lodash');
+
+// {count, plural, ... / {gender, select, ... opens an ICU block whose sub-messages are translatable
+const ICU_HEADER = /^\{\s*[\w.]+\s*,\s*(plural|selectordinal|select)\s*,/;
+
+// An ICU selector (`one {`, `=0 {`, `other {`), optionally after `offset:1`
+const ICU_SELECTOR = /^\s*(?:offset:\d+\s*)?(?:=\d+|[a-zA-Z]\w*)\s*\{/;
+
+// Placeholders that must come back exactly as they are:
+// {{count}}, {name}, {price, number}, <strong>, </a>, <br/>, <1>, %s, %1$d, $t(key) and HTML entities
+const PLACEHOLDER = /^(?:\{\{[^{}]*\}\}|\{\s*[\w.]+\s*(?:,\s*(?:number|date|time|spellout|ordinal|duration)(?:\s*,[^{}]*)?)?\}|<\/?[a-zA-Z0-9][^<>]*>|%(?:\d+\$)?[sdif@]|\$t\([^)]*\)|&(?:[a-zA-Z]+|#\d+);)/;
+
+// Mask tokens sent to providers in place of placeholders
+const MASK = /⟦(\d+)⟧/g;
+
+// Placeholder and ICU syntax ranges in a string, in order
+function findPlaceholders(text) {
+  const found = [];
+  const stack = [];
+  let i = 0;
+
+  const add = (length) => {
+    found.push({ start: i, end: i + length, value: text.slice(i, i + length) });
+    i += length;
+  };
+
+  while (i < text.length) {
+    const rest = text.slice(i);
+    const frame = stack[stack.length - 1];
+    let match;
+
+    if (frame && frame.type === 'icu') {
+      if ((match = rest.match(ICU_SELECTOR))) {
+        add(match[0].length);
+        stack.push({ type: 'message', plural: frame.plural });
+      } else if ((match = rest.match(/^\s*\}/))) {
+        add(match[0].length);
+        stack.pop();
+      } else {
+        // Malformed ICU: treat the rest as text
+        stack.pop();
+      }
+      continue;
+    }
+
+    if (frame && frame.type === 'message' && text[i] === '}') {
+      add(1);
+      stack.pop();
+    } else if (frame && frame.plural && text[i] === '#') {
+      add(1);
+    } else if ((match = rest.match(ICU_HEADER))) {
+      add(match[0].length);
+      stack.push({ type: 'icu', plural: match[1] !== 'select' });
+    } else if ((match = rest.match(PLACEHOLDER))) {
+      add(match[0].length);
+    } else {
+      i++;
+    }
+  }
+
+  return found;
+}
+
+// Replace each run of placeholders with a ⟦n⟧ token
+function maskPlaceholders(text) {
+  const runs = [];
+  findPlaceholders(text).forEach(placeholder => {
+    const last = runs[runs.length - 1];
+    if (last && last.end === placeholder.start) {
+      last.end = placeholder.end;
+    } else {
+      runs.push({ start: placeholder.start, end: placeholder.end });
+    }
+  });
+
+  const placeholders = runs.map(run => text.slice(run.start, run.end));
+  let masked = text;
+  for (let n = runs.length - 1; n >= 0; n--) {
+    masked = masked.slice(0, runs[n].start) + `⟦${n}⟧` + masked.slice(runs[n].end);
+  }
+
+  return { text: masked, placeholders };
+}
+
+// Put the original placeholders back, reporting mask tokens that were dropped, duplicated or invented
+function restorePlaceholders(translation, { placeholders }) {
+  const problems = [];
+  const counts = _.countBy(Array.from(translation.matchAll(MASK)), match => match[1]);
+
+  placeholders.forEach((placeholder, n) => {
+    if (!counts[n]) problems.push(`dropped ${placeholder}`);
+    if (counts[n] > 1) problems.push(`duplicated ${placeholder}`);
+  });
+  Object.keys(counts)
+    .filter(n => Number(n) >= placeholders.length)
+    .forEach(n => problems.push(`unknown token ⟦${n}⟧`));
+
+  const text = translation.replace(MASK, (token, n) => (placeholders[n] !== undefined ? placeholders[n] : token));
+  return { text, problems };
+}
+
+// Whether a string has any words left once its placeholders are taken out
+function hasTranslatableText(text) {
+  return /\p{L}/u.test(maskPlaceholders(text).text.replace(MASK, ''));
+}
+
+// Differences between the placeholder sets of a source string and its translation
+function comparePlaceholders(source, translation) {
+  const normalize = text => findPlaceholders(text).map(placeholder => placeholder.value.replace(/\s+/g, ' ').trim());
+  const sourceCounts = _.countBy(normalize(source));
+  const translationCounts = _.countBy(normalize(translation));
+  const problems = [];
+
+  Object.keys(sourceCounts).forEach(value => {
+    if ((translationCounts[value] || 0) < sourceCounts[value]) problems.push(`missing ${value}`);
+  });
+  Object.keys(translationCounts).forEach(value => {
+    if ((sourceCounts[value] || 0) < translationCounts[value]) problems.push(`unexpected ${value}`);
+  });
+
+  return problems;
+}
+
+module.exports = {
+  findPlaceholders,
+  maskPlaceholders,
+  restorePlaceholders,
+  comparePlaceholders,
+  hasTranslatableText
+};
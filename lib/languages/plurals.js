@@ -0,0 +1,297 @@
+const _ = require('lodash');
+const chalk = require('chalk');
+const { flattenMessages } = require('../utils/messages');
+
+// CLDR plural categories, in the order i18next and ICU list them
+const PLURAL_CATEGORIES = ['zero', 'one', 'two', 'few', 'many', 'other'];
+
+// i18next plural keys: key_one, key_few, key_other...
+const PLURAL_SUFFIX = new RegExp(`_(${PLURAL_CATEGORIES.join('|')})$`);
+
+// A message that is, or contains, one {count, plural, ...} block
+const ICU_PLURAL_HEADER = /\{\s*(\w+)\s*,\s*plural\s*,/;
+
+// Numbers tried when looking for one that selects a category; fractions are the only "other" in some languages,
+// and French, Spanish, Italian and Portuguese keep "many" for round millions
+const SAMPLE_CANDIDATES = [1, 2, 3, 5, 0, ..._.range(4, 200), 1.5, 0.5, 2.5, 1000000];
+
+// Plural categories a language distinguishes for cardinal numbers
+function getPluralCategories(language) {
+  try {
+    const categories = new Intl.PluralRules(language).resolvedOptions().pluralCategories;
+    return PLURAL_CATEGORIES.filter(category => categories.includes(category));
+  } catch (err) {
+    return ['one', 'other'];
+  }
+}
+
+// A number that selects each of a language's categories, the smallest plain integer where there is one.
+// The source text for it comes in the source language's singular only for "one", so "other" isn't sent as "1 file".
+function getPluralSamples(language, sourceLocale = 'en') {
+  const createRules = locale => {
+    try {
+      return new Intl.PluralRules(locale);
+    } catch (err) {
+      return new Intl.PluralRules('en');
+    }
+  };
+  const rules = createRules(language);
+  const sourceRules = createRules(sourceLocale);
+
+  const samples = {};
+  [true, false].forEach(strict => SAMPLE_CANDIDATES.forEach(count => {
+    const category = rules.select(count);
+    if (samples[category] !== undefined) return;
+    if (strict && (category === 'one') !== (sourceRules.select(count) === 'one')) return;
+    samples[category] = count;
+  }));
+  return samples;
+}
+
+// Whether a plural form may spell its count out ("eine Datei") instead of writing the number: only when its
+// category holds a single whole number in the language, as "one" does in German but not in French (0 and 1)
+// or Russian (1, 21, 31...)
+const canOmitCount = _.memoize((category, language) => {
+  let rules;
+  try {
+    rules = new Intl.PluralRules(language);
+  } catch (err) {
+    return false;
+  }
+  return _.range(0, 1000).filter(count => rules.select(count) === category).length === 1;
+}, (category, language) => `${category}:${language}`);
+
+// Base key of an i18next plural key, or null
+function getPluralBase(key) {
+  return PLURAL_SUFFIX.test(key) ? key.replace(PLURAL_SUFFIX, '') : null;
+}
+
+// Find the } closing the { at openIndex
+function findClosingBrace(text, openIndex) {
+  let depth = 0;
+  for (let i = openIndex; i < text.length; i++) {
+    if (text[i] === '{') depth++;
+    if (text[i] === '}' && --depth === 0) return i;
+  }
+  return -1;
+}
+
+// The sub-messages of a message holding a single, unnested ICU plural, each made a whole sentence
+// with the text around the block: "You have {n, plural, one {# file} other {# files}}." -> { one: 'You have # file.', ... }
+function parseIcuPlural(text) {
+  const header = text.match(ICU_PLURAL_HEADER);
+  if (!header) return null;
+
+  const start = header.index;
+  const end = findClosingBrace(text, start);
+  if (end === -1) return null;
+
+  const before = text.slice(0, start);
+  const after = text.slice(end + 1);
+  if (/[{}]/.test(before.replace(/\{[\w.]+\}/g, '')) || /[{}]/.test(after.replace(/\{[\w.]+\}/g, ''))) return null;
+
+  const forms = {};
+  let rest = text.slice(start + header[0].length, end);
+  const selector = /^\s*(=\d+|zero|one|two|few|many|other)\s*\{/;
+  while (rest.trim()) {
+    const match = rest.match(selector);
+    if (!match) return null;
+    const close = findClosingBrace(rest, match[0].length - 1);
+    if (close === -1) return null;
+    const message = rest.slice(match[0].length, close);
+    // Nested selects and plurals are left to the regular placeholder handling
+    if (/\{\s*\w+\s*,\s*(plural|select|selectordinal)\s*,/.test(message)) return null;
+    forms[match[1]] = `${before}${message}${after}`;
+    rest = rest.slice(close + 1);
+  }
+
+  return forms.other === undefined ? null : { variable: header[1], forms };
+}
+
+function buildIcuPlural(variable, forms) {
+  const selectors = [
+    ...Object.keys(forms).filter(selector => selector.startsWith('=')),
+    ...PLURAL_CATEGORIES.filter(category => forms[category] !== undefined)
+  ];
+  return `{${variable}, plural, ${selectors.map(selector => `${selector} {${forms[selector]}}`).join(' ')}}`;
+}
+
+// i18next {{value}} placeholders as ICU arguments, with the count as #
+function toIcuText(text) {
+  return text.replace(/\{\{\s*count\s*\}\}/g, '#').replace(/\{\{\s*([\w.]+)\s*\}\}/g, '{$1}');
+}
+
+// What an extracted message is stored as: key_one/key_other for i18next, a single ICU message otherwise
+function getCatalogMessages(key, text, plural, messageFormat = 'i18next') {
+  if (messageFormat === 'icu') {
+    return [[key, plural
+      ? buildIcuPlural('count', { one: toIcuText(plural.one), other: toIcuText(plural.other) })
+      : toIcuText(text)]];
+  }
+  return plural
+    ? [[`${key}_one`, plural.one], [`${key}_other`, plural.other]]
+    : [[key, text]];
+}
+
+// Catalog entries for the extracted keys, with plural messages in the project's format
+function toCatalogEntries(keys, occurrences, messageFormat) {
+  const plurals = {};
+  occurrences.forEach(occurrence => {
+    if (occurrence.plural) plurals[occurrence.text] = occurrence.plural;
+  });
+
+  return _.flatMap(keys, entry => getCatalogMessages(entry.key, entry.text, plurals[entry.text], messageFormat)
+    .map(([key, text]) => ({ ...entry, key, text })));
+}
+
+// The keys a language needs for the catalog: each key_one/key_other family becomes one key per category
+// of that language, each tracking the source form it is translated from
+function expandPlurals(entries, language) {
+  const byKey = _.keyBy(entries, 'key');
+  const categories = getPluralCategories(language);
+  const expanded = [];
+  const done = new Set();
+
+  entries.forEach(entry => {
+    const base = getPluralBase(entry.key);
+    if (base === null || !byKey[`${base}_other`]) {
+      expanded.push(entry);
+      return;
+    }
+    if (done.has(base)) return;
+    done.add(base);
+
+    const forms = _.pickBy(_.fromPairs(PLURAL_CATEGORIES.map(category => [category, _.get(byKey, [`${base}_${category}`, 'text'])])));
+    categories.forEach(category => {
+      expanded.push({
+        ...byKey[`${base}_other`],
+        key: `${base}_${category}`,
+        text: forms[category] || forms.other,
+        plural: { category, forms }
+      });
+    });
+  });
+
+  return expanded;
+}
+
+// Ways a sample count can come back in a translation: as written, or in the language's own digits and grouping
+function getNumberSpellings(count, language) {
+  const spellings = [String(count)];
+  try {
+    spellings.push(new Intl.NumberFormat(language, { useGrouping: false }).format(count));
+    spellings.push(new Intl.NumberFormat(language).format(count));
+  } catch (err) {
+    // Unknown locale: plain digits only
+  }
+  return _.uniq(spellings);
+}
+
+// Source text for a sample count: the source language's form for that count, with the count written in
+function createSample(forms, count, sourceRules, token) {
+  const form = forms[`=${count}`] || forms[sourceRules.select(count)] || forms.other;
+  return {
+    text: form.split(token).join(String(count)),
+    hasCount: form.includes(token)
+  };
+}
+
+// Plural messages are translated as one sentence per category with a number in place of the count,
+// so the provider declines the words for that number. Everything else is passed through as is.
+function createPluralRequests(entries, language, sourceLocale = 'en') {
+  const samples = getPluralSamples(language, sourceLocale);
+  const sourceRules = new Intl.PluralRules(sourceLocale);
+  const requests = [];
+  const plurals = [];
+
+  entries.forEach(entry => {
+    const icu = entry.plural ? null : parseIcuPlural(entry.text);
+    if (!entry.plural && !icu) {
+      requests.push(entry);
+      return;
+    }
+
+    const token = icu ? '#' : '{{count}}';
+    const forms = icu ? icu.forms : entry.plural.forms;
+    const selectors = icu
+      ? [...Object.keys(forms).filter(selector => selector.startsWith('=')), ...getPluralCategories(language)]
+      : [entry.plural.category];
+
+    const parts = selectors.map(selector => {
+      const count = selector.startsWith('=') ? Number(selector.slice(1)) : samples[selector];
+      const sample = createSample(forms, count, sourceRules, token);
+      const requestKey = `${entry.key}#${selector.replace('=', 'exact')}`;
+      requests.push({ ...entry, key: requestKey, text: sample.text });
+      // Exact matches name their number, so it isn't put back as the count
+      return { selector, requestKey, count, hasCount: sample.hasCount && !selector.startsWith('=') };
+    });
+
+    plurals.push({ key: entry.key, variable: icu ? icu.variable : null, token, parts });
+  });
+
+  return { requests, plurals };
+}
+
+// Put the count back into each translated sample and build the message for every plural key
+function assemblePluralTranslations(translations, plurals, language) {
+  const flat = flattenMessages(translations);
+  const result = {};
+  Object.keys(flat)
+    .filter(key => !key.includes('#'))
+    .forEach(key => _.set(result, key.split('.'), flat[key]));
+
+  const failed = [];
+  plurals.forEach(({ key, variable, token, parts }) => {
+    const forms = {};
+    const problems = [];
+
+    parts.forEach(({ selector, requestKey, count, hasCount }) => {
+      const translation = flat[requestKey];
+      if (translation === undefined) {
+        problems.push(`no ${selector} translation`);
+        return;
+      }
+      if (!hasCount) {
+        forms[selector] = translation;
+        return;
+      }
+      const spelling = getNumberSpellings(count, language).find(candidate => new RegExp(`(^|[^\\d.,])${_.escapeRegExp(candidate)}(?![\\d])`).test(translation));
+      if (!spelling && canOmitCount(selector, language)) {
+        forms[selector] = translation;
+        return;
+      }
+      if (!spelling) {
+        problems.push(`${selector} form lost the count ${count}`);
+        return;
+      }
+      forms[selector] = translation.replace(new RegExp(`(^|[^\\d.,])${_.escapeRegExp(spelling)}(?![\\d])`, 'g'), `$1${token}`);
+    });
+
+    if (problems.length > 0) {
+      failed.push({ key, problems });
+      return;
+    }
+    _.set(result, key.split('.'), variable ? buildIcuPlural(variable, forms) : forms[parts[0].selector]);
+  });
+
+  if (failed.length > 0) {
+    console.warn(chalk.yellow(`⚠️ [${language}] ${failed.length} plural messages could not be put together and were not saved:`));
+    failed.forEach(({ key, problems }) => console.warn(chalk.yellow(`   ${key}: ${problems.join(', ')}`)));
+  }
+
+  return result;
+}
+
+module.exports = {
+  PLURAL_CATEGORIES,
+  getPluralCategories,
+  getPluralSamples,
+  canOmitCount,
+  getPluralBase,
+  parseIcuPlural,
+  getCatalogMessages,
+  toCatalogEntries,
+  expandPlurals,
+  createPluralRequests,
+  assemblePluralTranslations
+};
@@ -1,24 +1,208 @@
-const axios = require('axios');
+const path = require('path');
 const chalk = require('chalk');
 const _ = require('lodash');
+const { maskPlaceholders, restorePlaceholders, comparePlaceholders } = require('./placeholders');
+const { flattenMessages } = require('../utils/messages');
+const { parseIcuPlural } = require('./plurals');
+const { getMemoryDir, loadMemory, findInMemory, addToMemory } = require('./memory');
+const { loadGlossary, getTermsFor, maskTerms, checkTerms } = require('./glossary');
+const { describeSense } = require('../extractors/context');
 
-// Helper for batched operations with delays
-async function processBatches(items, processFn, batchSize = 15, delayMs = 2000) {
+/*
+ * Translation providers
+ *
+ * A provider is an object with:
+ *   name                    - the --service value that selects it
+ *   description             - one line for `--service` help and errors
+ *   limits                  - { maxBatchSize, maxCharacters, maxTokens } per request, and
+ *                             { requestsPerMinute, delayMs } between requests
+ *   supportedLanguages      - array of target codes, or
+ *   getSupportedLanguages   - async (options) => array of target codes
+ *   translate               - async (texts, targetLang, options) => translations, same order and length
+ *   maskPlaceholders        - false to receive raw text instead of ⟦n⟧ tokens for placeholders and markup
+ *   translationMemory       - false to neither read nor fill the translation memory (offline and test providers)
+ *   contextPerRequest       - true when a request takes one context for all its texts. Such providers get
+ *                             a short context per sense instead of each text's own, and each batch only
+ *                             holds texts with the same one
+ *
+ * `options` carries the API key (`apiKey`), `sourceLang` and any provider options
+ * (for example `region` for Azure, `projectId` for Google v3, `url` for LibreTranslate).
+ * `options.glossary` lists the target language's glossary terms as { term, translation, doNotTranslate };
+ * do-not-translate terms are already masked for providers that mask placeholders.
+ * `options.contexts`, when given, describes each text of the batch for translators (where it is shown,
+ * the developer's note, text near it), or is null for a text with nothing known about it.
+ * `batchSize`, `requestsPerMinute`, `delayMs` and `maxRetries` options override the provider's limits.
+ * Errors with a 429 or 5xx status (`err.status`, or `err.response.status` for an unwrapped HTTP error)
+ * are retried with backoff, after `err.retryAfter` seconds when the server asked for a wait.
+ * A provider can also be loaded from a local module: --service ./my-provider.js
+ */
+const providers = {};
+
+// Add a provider to the registry
+function registerProvider(provider) {
+  if (!provider || !provider.name || typeof provider.translate !== 'function') {
+    throw new Error('A translation provider needs a name and a translate(texts, targetLang, options) function');
+  }
+  providers[provider.name] = provider;
+  return provider;
+}
+
+[
+  require('./providers/gemini'),
+  require('./providers/google').v2,
+  require('./providers/google').v3,
+  require('./providers/azure'),
+  require('./providers/deepl'),
+  require('./providers/libretranslate'),
+  require('./providers/pseudo'),
+  require('./providers/fixture').echo,
+  require('./providers/fixture').fixture
+].forEach(registerProvider);
+
+// Names of the registered providers
+function listProviders() {
+  return Object.keys(providers);
+}
+
+// Look up a provider by name, or load one from a local module path
+function getProvider(service) {
+  if (providers[service]) {
+    return providers[service];
+  }
+  
+  if (/^[./]|\.js$/.test(service)) {
+    const modulePath = path.resolve(service);
+    let provider;
+    try {
+      provider = require(modulePath);
+    } catch (err) {
+      throw new Error(`Could not load translation provider ${modulePath}: ${err.message}`);
+    }
+    return registerProvider({ ...provider, name: provider.name || service });
+  }
+  
+  throw new Error(`Unsupported translation service: ${service}. Available: ${listProviders().join(', ')}`);
+}
+
+// Target languages a provider supports, or null when it can't tell
+async function getSupportedLanguages(provider, options) {
+  if (provider.supportedLanguages) {
+    return provider.supportedLanguages;
+  }
+  if (provider.getSupportedLanguages) {
+    try {
+      return await provider.getSupportedLanguages(options);
+    } catch (err) {
+      console.warn(chalk.yellow(`⚠️ Could not fetch supported languages from ${provider.name}: ${err.message}`));
+    }
+  }
+  return null;
+}
+
+// Rough token count of a text: about four Latin characters per token, fewer for other scripts
+function estimateTokens(text) {
+  const latin = text.replace(/[^\u0000-\u024f]/g, '').length;
+  return Math.ceil(latin / 4 + (text.length - latin) / 1.5);
+}
+
+// Split items into batches that respect a provider's count, character and token limits
+function createBatches(items, { maxBatchSize = 15, maxCharacters = Infinity, maxTokens = Infinity } = {}) {
+  const batches = [];
+  let batch = [];
+  let characters = 0;
+  let tokens = 0;
+  
+  items.forEach(item => {
+    const itemTokens = estimateTokens(item);
+    if (batch.length > 0 && (batch.length >= maxBatchSize || characters + item.length > maxCharacters || tokens + itemTokens > maxTokens)) {
+      batches.push(batch);
+      batch = [];
+      characters = 0;
+      tokens = 0;
+    }
+    batch.push(item);
+    characters += item.length;
+    tokens += itemTokens;
+  });
+  
+  if (batch.length > 0) {
+    batches.push(batch);
+  }
+  return batches;
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// One limiter per provider and rate, shared by every language translated at the same time
+const rateLimiters = {};
+
+// Space requests evenly: requestsPerMinute, or at least delayMs apart
+function getRateLimiter(name, { requestsPerMinute = 0, delayMs = 0 } = {}) {
+  const interval = Math.max(requestsPerMinute > 0 ? 60000 / requestsPerMinute : 0, delayMs);
+  const id = `${name}:${interval}`;
+  
+  if (!rateLimiters[id]) {
+    let next = 0;
+    rateLimiters[id] = async () => {
+      const now = Date.now();
+      const wait = Math.max(0, next - now);
+      next = Math.max(now, next) + interval;
+      if (wait > 0) await sleep(wait);
+    };
+  }
+  return rateLimiters[id];
+}
+
+// Rate limiting, server errors and dropped connections are worth another try; bad requests are not.
+// Providers put status and retryAfter on the errors they wrap, because Node before 16.9 drops `cause`.
+function isRetryable(err) {
+  const status = err.status || (err.response && err.response.status);
+  if (status) return status === 429 || status >= 500;
+  return ['ECONNRESET', 'ETIMEDOUT', 'ECONNABORTED', 'EAI_AGAIN', 'ENOTFOUND'].includes(err.code);
+}
+
+// Retry-After when the server sends one, otherwise 1s, 2s, 4s... with some jitter
+function getRetryDelay(err, attempt) {
+  const retryAfter = err.retryAfter || (err.response && err.response.headers && Number(err.response.headers['retry-after']));
+  if (retryAfter > 0) return retryAfter * 1000;
+  return 1000 * 2 ** attempt + Math.floor(Math.random() * 250);
+}
+
+// Call a provider through the rate limiter, backing off and retrying on retryable errors
+async function requestWithRetries(request, { limiter, maxRetries = 5, label = '' }) {
+  for (let attempt = 0; ; attempt++) {
+    await limiter();
+    try {
+      return await request();
+    } catch (err) {
+      if (attempt >= maxRetries || !isRetryable(err)) throw err;
+      const delay = getRetryDelay(err, attempt);
+      console.warn(chalk.yellow(`${label ? `[${label}] ` : ''}${err.message}, retrying in ${Math.round(delay / 100) / 10}s (${attempt + 1}/${maxRetries})`));
+      await sleep(delay);
+    }
+  }
+}
+
+// Helper for batched operations, paced by the provider's rate limiter
+async function processBatches(items, processFn, limits = {}, label = '', name = 'provider') {
+  const batches = createBatches(items, limits);
+  const limiter = getRateLimiter(name, limits);
   const results = [];
+  let start = 0;
   
-  for (let i = 0; i < items.length; i += batchSize) {
-    const batch = items.slice(i, i + batchSize);
-    console.log(chalk.blue(`Processing batch ${Math.floor(i/batchSize) + 1}/${Math.ceil(items.length/batchSize)}...`));
+  for (let i = 0; i < batches.length; i++) {
+    const batch = batches[i];
+    console.log(chalk.blue(`${label ? `[${label}] ` : ''}Processing batch ${i + 1}/${batches.length}...`));
     
     try {
-      const batchResults = await processFn(batch);
-      results.push(...batchResults);
-      
-      if (i + batchSize < items.length) {
-        await new Promise(resolve => setTimeout(resolve, delayMs));
+      const batchResults = await requestWithRetries(() => processFn(batch, start), { limiter, maxRetries: limits.maxRetries, label });
+      if (!Array.isArray(batchResults) || batchResults.length !== batch.length) {
+        throw new Error(`Expected ${batch.length} translations, got ${Array.isArray(batchResults) ? batchResults.length : typeof batchResults}`);
       }
+      results.push(...batchResults);
+      start += batch.length;
     } catch (err) {
-      console.error(chalk.red(`Error processing batch: ${err.message}`));
+      console.error(chalk.red(`${label ? `[${label}] ` : ''}Error processing batch: ${err.message}`));
       throw err;
     }
   }
@@ -26,216 +210,290 @@ async function processBatches(items, processFn, batchSize = 15, delayMs = 2000)
   return results;
 }
 
-// Translate using Gemini API
-async function translateWithGemini(texts, targetLang, apiKey) {
-  if (!texts || texts.length === 0) return [];
-  
-  // Map language codes to names for Gemini
-  const langNameMap = {
-    es: 'Spanish',
-    zh: 'Chinese (Simplified)',
-    hi: 'Hindi',
-    fr: 'French',
-    de: 'German',
-    ja: 'Japanese',
-    ko: 'Korean',
-    pt: 'Portuguese',
-    ru: 'Russian',
-    ar: 'Arabic'
-  };
-  
-  const langName = langNameMap[targetLang] || 'Spanish';
-  
-  // Prepare the prompt for Gemini
-  const prompt = `Translate the following English phrases to ${langName}. 
-Return only the translations as a JSON array in the exact same order, with no additional text or explanation.
-Example: ["translation1", "translation2", ...]
+// How many times a translation with broken placeholders is sent again
+const PLACEHOLDER_RETRIES = 2;
 
-Phrases to translate:
-${JSON.stringify(texts)}`;
+// Translate texts with placeholders masked, each with its context if given, retrying those whose placeholders don't come back intact
+async function translateWithPlaceholders(texts, provider, targetLang, options, limits = provider.limits, contexts = null) {
+  const masked = texts.map(text => (provider.maskPlaceholders === false
+    ? { text, placeholders: [] }
+    : maskTerms(maskPlaceholders(text), options.glossary || [])));
+  const results = new Array(texts.length);
+  const failures = {};
   
-  // Prepare request to Gemini API
-  try {
-    const response = await axios.post(
-      `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash:generateContent?key=${apiKey}`,
-      {
-        contents: [{
-          parts: [{
-            text: prompt
-          }]
-        }],
-        generation_config: {
-          temperature: 0.2,
-          top_k: 1,
-          top_p: 0.8,
-          max_output_tokens: 1024
-        }
-      },
-      {
-        headers: {
-          'Content-Type': 'application/json'
-        }
-      }
-    );
-    
-    if (response.data.candidates && response.data.candidates.length > 0) {
-      const responseText = response.data.candidates[0].content.parts[0].text;
-      
-      // Extract JSON array from response
-      const match = responseText.match(/\[([\s\S]*)\]/);
-      if (match) {
-        const arrayText = `[${match[1]}]`;
-        return JSON.parse(arrayText);
-      } else {
-        return JSON.parse(responseText);
-      }
+  // Nothing but placeholders left: there is nothing to translate
+  let pending = [];
+  masked.forEach(({ text }, idx) => {
+    if (/\p{L}/u.test(text.replace(/⟦\d+⟧/g, ''))) {
+      pending.push(idx);
+    } else {
+      results[idx] = texts[idx];
+    }
+  });
+  
+  for (let attempt = 0; attempt <= PLACEHOLDER_RETRIES && pending.length > 0; attempt++) {
+    if (attempt > 0) {
+      console.log(chalk.yellow(`🔁 [${targetLang}] Retrying ${pending.length} translations that failed placeholder validation...`));
     }
     
-    throw new Error('Unexpected response format from Gemini API');
+    // Texts are batched per context for providers that take one context per request
+    const groups = contexts && provider.contextPerRequest
+      ? Object.values(_.groupBy(pending, idx => contexts[idx] || ''))
+      : [pending];
+    pending = _.flatten(groups);
     
-  } catch (err) {
-    if (err.response) {
-      throw new Error(`Gemini API error: ${err.response.status} - ${err.response.data.error || err.response.statusText}`);
+    const translations = [];
+    for (const group of groups) {
+      translations.push(...await processBatches(group.map(idx => masked[idx].text),
+        (batch, start) => provider.translate(batch, targetLang, contexts
+          ? { ...options, contexts: group.slice(start, start + batch.length).map(idx => contexts[idx]) }
+          : options), limits, targetLang, provider.name));
     }
-    throw err;
+    
+    const failed = [];
+    translations.forEach((translation, n) => {
+      const idx = pending[n];
+      const restored = restorePlaceholders(String(translation), masked[idx]);
+      const problems = restored.problems.length > 0
+        ? restored.problems
+        : comparePlaceholders(texts[idx], restored.text);
+      
+      if (problems.length === 0) {
+        results[idx] = restored.text;
+        delete failures[idx];
+      } else {
+        failures[idx] = { translation: restored.text, problems };
+        failed.push(idx);
+      }
+    });
+    pending = failed;
   }
+  
+  return { results, failures };
+}
+
+// Namespace rules, checked in order; the `namespaces` config section replaces them
+const DEFAULT_NAMESPACES = {
+  rules: [
+    { namespace: 'errors', keywords: ['error', 'fail', 'invalid'] },
+    { namespace: 'navigation', keywords: ['home', 'about', 'contact'] },
+    { namespace: 'forms', keywords: ['submit', 'cancel', 'save'] },
+    { namespace: 'messages', keywords: ['loading', 'success', 'warning'] },
+    { namespace: 'common', maxLength: 19 }
+  ],
+  fallback: 'components'
+};
+
+// Whether a string matches a namespace rule's keywords, pattern or length
+function matchesRule(str, rule) {
+  // Convert to lowercase for categorization
+  const lowerStr = str.toLowerCase();
+  
+  if (rule.keywords && rule.keywords.some(keyword => lowerStr.includes(keyword.toLowerCase()))) return true;
+  if (rule.pattern && new RegExp(rule.pattern, 'i').test(str)) return true;
+  return Boolean(rule.maxLength) && str.length <= rule.maxLength;
+}
+
+// Simple categorization of a string into a namespace
+function categorizeString(str, namespaces = DEFAULT_NAMESPACES) {
+  const rules = namespaces.rules || DEFAULT_NAMESPACES.rules;
+  const rule = rules.find(candidate => matchesRule(str, candidate));
+  return rule ? rule.namespace : namespaces.fallback || DEFAULT_NAMESPACES.fallback;
+}
+
+// Create a key from the original string
+function createKey(str) {
+  return _.camelCase(str.substring(0, 30));
 }
 
-// Translate using Google Translate API (if Gemini fails)
-async function translateWithGoogle(texts, targetLang, apiKey) {
-  // Implementation for Google Translate API as backup
-  // Note: Requires different API key for Google Cloud
-  throw new Error('Google Translate backup not implemented');
+// Default "namespace.key" path for a source string
+function generateKey(str, namespaces) {
+  return `${categorizeString(str, namespaces)}.${createKey(str)}`;
 }
 
-// Main translation function
-async function translateStrings(strings, targetLang, apiKey, service = 'gemini') {
+// Main translation function. `keys` lists the { key, text } pairs to store the results under, with the
+// `sense` that sets a text's uses apart and the `description` sent to the provider as its context.
+async function translateStrings(strings, targetLang, apiKey, service = 'gemini', keys = null, providerOptions = {}) {
   if (!strings || strings.length === 0) return {};
   
-  console.log(chalk.blue(`🌐 Translating ${strings.length} strings to ${targetLang} using ${service}...`));
+  const keyedStrings = keys || strings.map(text => ({ key: generateKey(text), text }));
+  const provider = getProvider(service);
+  const baseOptions = { sourceLang: 'en', ...providerOptions, apiKey };
+  const glossary = getTermsFor(await loadGlossary(baseOptions), targetLang);
+  const options = { ...baseOptions, glossary };
   
-  // Group strings by context (namespace)
-  const namespaces = {
-    common: [],
-    navigation: [],
-    components: [],
-    messages: [],
-    forms: [],
-    errors: []
-  };
+  // Configured batch size and rate take precedence over the provider's own limits
+  const limits = { ...provider.limits };
+  if (options.batchSize !== undefined) limits.maxBatchSize = Number(options.batchSize);
+  if (options.requestsPerMinute !== undefined) limits.requestsPerMinute = Number(options.requestsPerMinute);
+  if (options.delayMs !== undefined) limits.delayMs = Number(options.delayMs);
+  if (options.maxRetries !== undefined) limits.maxRetries = Number(options.maxRetries);
   
-  // Simple categorization of strings
-  strings.forEach(str => {
-    // Convert to lowercase for categorization
-    const lowerStr = str.toLowerCase();
-    
-    // Check for common patterns
-    if (lowerStr.includes('error') || lowerStr.includes('fail') || lowerStr.includes('invalid')) {
-      namespaces.errors.push(str);
-    } else if (lowerStr.includes('home') || lowerStr.includes('about') || lowerStr.includes('contact')) {
-      namespaces.navigation.push(str);
-    } else if (lowerStr.includes('submit') || lowerStr.includes('cancel') || lowerStr.includes('save')) {
-      namespaces.forms.push(str);
-    } else if (lowerStr.includes('loading') || lowerStr.includes('success') || lowerStr.includes('warning')) {
-      namespaces.messages.push(str);
-    } else if (str.length < 20) {
-      namespaces.common.push(str);
-    } else {
-      namespaces.components.push(str);
-    }
+  const supportedLanguages = await getSupportedLanguages(provider, options);
+  if (supportedLanguages && !supportedLanguages.map(code => code.toLowerCase()).includes(targetLang.toLowerCase())) {
+    throw new Error(`${provider.name} does not support translating to ${targetLang}`);
+  }
+  
+  console.log(chalk.blue(`🌐 Translating ${strings.length} strings to ${targetLang} using ${service}...`));
+  
+  // One translation per text and sense: a text used in two senses (a note, an attribute or an action tells them apart)
+  // is translated twice, each with its own context
+  const units = {};
+  const wanted = new Set(strings);
+  keyedStrings.forEach(({ key, text, sense = '', description = '' }) => {
+    if (!wanted.has(text)) return;
+    const unitId = `${sense}\u0000${text}`;
+    units[unitId] = units[unitId] || { text, sense, description, namespace: key.split('.')[0], keys: [] };
+    units[unitId].keys.push(key);
   });
   
-  // Flatten for translation
-  const allStrings = [];
-  const indexMap = {};
-  let index = 0;
+  // Group strings by context (namespace), taken from the key each string is stored under
+  const allUnits = _.flatten(Object.values(_.groupBy(Object.values(units), 'namespace')));
+  const allStrings = allUnits.map(unit => unit.text);
+  const keysOf = idx => allUnits[idx].keys.join(', ');
   
-  Object.keys(namespaces).forEach(namespace => {
-    namespaces[namespace].forEach(str => {
-      allStrings.push(str);
-      indexMap[index] = { namespace, original: str };
-      index++;
-    });
+  // Strings translated before, in this project or any other, come from the translation memory instead of the provider
+  const memorySettings = options.translationMemory || {};
+  const memory = memorySettings.enabled !== false && provider.translationMemory !== false
+    ? await loadMemory(getMemoryDir(memorySettings), options.sourceLang, targetLang)
+    : null;
+  
+  const translations = new Array(allStrings.length);
+  const toTranslate = [];
+  allStrings.forEach((str, idx) => {
+    const remembered = memory && findInMemory(memory, str, { context: allUnits[idx].sense, provider: provider.name });
+    if (remembered && comparePlaceholders(str, remembered).length === 0 && checkTerms(str, remembered, glossary).length === 0) {
+      translations[idx] = remembered;
+    } else {
+      toTranslate.push(idx);
+    }
   });
+  if (memory && toTranslate.length < allStrings.length) {
+    console.log(chalk.blue(`💾 [${targetLang}] ${allStrings.length - toTranslate.length} strings from translation memory`));
+  }
   
-  // Translate in batches
-  let translations = [];
+  // Translate the rest in batches
+  const failures = {};
   
   try {
-    if (service === 'gemini') {
-      translations = await processBatches(allStrings, 
-        batch => translateWithGemini(batch, targetLang, apiKey));
-    } else if (service === 'google') {
-      translations = await processBatches(allStrings, 
-        batch => translateWithGoogle(batch, targetLang, apiKey));
-    } else {
-      throw new Error(`Unsupported translation service: ${service}`);
+    if (toTranslate.length > 0) {
+      // A context per text would split batches down to single texts
+      const contexts = toTranslate.map(idx => (provider.contextPerRequest
+        ? describeSense(allUnits[idx].sense)
+        : allUnits[idx].description) || null);
+      const translated = await translateWithPlaceholders(toTranslate.map(idx => allStrings[idx]), provider, targetLang,
+        options, limits, contexts);
+      toTranslate.forEach((idx, n) => {
+        translations[idx] = translated.results[n];
+        if (translated.failures[n]) failures[idx] = translated.failures[n];
+      });
     }
   } catch (err) {
-    console.error(chalk.red(`Translation failed: ${err.message}`));
+    console.error(chalk.red(`[${targetLang}] Translation failed: ${err.message}`));
     throw err;
   }
   
-  // Regroup translations by namespace
-  const translatedObject = {};
+  if (memory) {
+    await addToMemory(memory, toTranslate
+      .filter(idx => translations[idx] !== undefined)
+      .map(idx => ({ source: allStrings[idx], target: translations[idx], context: allUnits[idx].sense, provider: provider.name })));
+  }
   
+  // Translations that still break placeholders are left out, per key
+  const failedIndexes = Object.keys(failures);
+  if (failedIndexes.length > 0) {
+    console.warn(chalk.yellow(`⚠️ [${targetLang}] ${failedIndexes.length} strings failed placeholder validation and were not saved:`));
+    failedIndexes.forEach(idx => {
+      console.warn(chalk.yellow(`   ${keysOf(idx)}: ${failures[idx].problems.join(', ')} in "${failures[idx].translation}"`));
+    });
+  }
+  
+  // Translations that don't follow the glossary are kept, and reported per key for review
+  const violations = [];
   translations.forEach((translation, idx) => {
-    const { namespace, original } = indexMap[idx];
-    if (!translatedObject[namespace]) {
-      translatedObject[namespace] = {};
-    }
-    
-    // Create a key from the original string
-    const key = _.camelCase(original.substring(0, 30));
-    translatedObject[namespace][key] = translation;
+    const problems = translation === undefined ? [] : checkTerms(allStrings[idx], translation, glossary);
+    if (problems.length > 0) violations.push({ idx, translation, problems });
+  });
+  if (violations.length > 0) {
+    console.warn(chalk.yellow(`⚠️ [${targetLang}] ${violations.length} translations don't follow the glossary:`));
+    violations.forEach(({ idx, translation, problems }) => {
+      console.warn(chalk.yellow(`   ${keysOf(idx)}: ${problems.join(', ')} in "${translation}"`));
+    });
+  }
+  
+  // Store each translation under every key that uses its source text in that sense
+  const translatedObject = {};
+  translations.forEach((translation, idx) => {
+    if (translation === undefined) return;
+    allUnits[idx].keys.forEach(key => _.set(translatedObject, key.split('.'), translation));
   });
   
   return translatedObject;
 }
 
-// Language expansion analysis
-function analyzeTextExpansion(sourceStrings, translatedStrings, language) {
-  if (!sourceStrings || !translatedStrings) return {};
+// Strings that grow past this factor are likely to break their layout
+const EXPANSION_THRESHOLD = 1.5;
+
+// ICU plurals are compared by their "other" form; the target language may simply have more forms
+function getMeasuredText(text) {
+  const icu = parseIcuPlural(text);
+  return icu ? icu.forms.other : text;
+}
+
+// Length of every translation against its source text, per key and for the language overall
+function analyzeTextExpansion(entries, translations, language) {
+  const messages = flattenMessages(translations);
   
   const analysis = {
     language,
     totalOriginalLength: 0,
     totalTranslatedLength: 0,
     expansionFactor: 1.0,
+    keys: {},
     criticalExpansions: []
   };
   
-  // Compare lengths for each string
-  sourceStrings.forEach((source, idx) => {
-    const translated = translatedStrings[idx];
-    if (!translated) return;
+  // Compare lengths for each key
+  entries.forEach(({ key, text: source }) => {
+    const translated = messages[key];
+    if (!translated || !source) return;
     
-    const sourceLength = source.length;
-    const translatedLength = translated.length;
-    const expansionFactor = translatedLength / sourceLength;
+    const sourceLength = getMeasuredText(source).length;
+    const translatedLength = getMeasuredText(translated).length;
+    const expansionFactor = Math.round(translatedLength / sourceLength * 100) / 100;
     
     analysis.totalOriginalLength += sourceLength;
     analysis.totalTranslatedLength += translatedLength;
+    analysis.keys[key] = expansionFactor;
     
-    // Flag critical expansions (> 150% expansion)
-    if (expansionFactor > 1.5 && sourceLength > 5) {
+    // Very short strings swing wildly without taking much more room
+    if (expansionFactor > EXPANSION_THRESHOLD && sourceLength > 5) {
       analysis.criticalExpansions.push({
+        key,
         source,
         translated,
-        expansionFactor: expansionFactor.toFixed(2)
+        expansionFactor
       });
     }
   });
   
   if (analysis.totalOriginalLength > 0) {
     analysis.expansionFactor = 
-      (analysis.totalTranslatedLength / analysis.totalOriginalLength).toFixed(2);
+      Math.round(analysis.totalTranslatedLength / analysis.totalOriginalLength * 100) / 100;
   }
   
   return analysis;
 }
 
 module.exports = {
+  registerProvider,
+  getProvider,
+  listProviders,
+  getSupportedLanguages,
   translateStrings,
-  analyzeTextExpansion
+  categorizeString,
+  generateKey,
+  analyzeTextExpansion,
+  estimateTokens,
+  EXPANSION_THRESHOLD
 };
\ No newline at end of file
@@ -0,0 +1,64 @@
+const axios = require('axios');
+
+const DEFAULT_ENDPOINT = 'https://api.cognitive.microsofttranslator.com';
+
+function getHeaders({ apiKey, region = process.env.AZURE_TRANSLATOR_REGION }) {
+  const headers = {
+    'Ocp-Apim-Subscription-Key': apiKey,
+    'Content-Type': 'application/json'
+  };
+  // Multi-service and regional resources must name their region
+  if (region) {
+    headers['Ocp-Apim-Subscription-Region'] = region;
+  }
+  return headers;
+}
+
+function toApiError(err) {
+  if (err.response) {
+    const { error } = err.response.data || {};
+    return Object.assign(new Error(`Azure Translator API error: ${err.response.status} - ${(error && error.message) || err.response.statusText}`), {
+      cause: err,
+      status: err.response.status,
+      retryAfter: Number((err.response.headers || {})['retry-after']) || null
+    });
+  }
+  return err;
+}
+
+// Translate using Azure AI Translator (v3.0)
+async function translate(texts, targetLang, options) {
+  const { endpoint = DEFAULT_ENDPOINT, sourceLang = 'en' } = options;
+
+  try {
+    const response = await axios.post(
+      `${endpoint}/translate?api-version=3.0&from=${encodeURIComponent(sourceLang)}&to=${encodeURIComponent(targetLang)}`,
+      texts.map(text => ({ Text: text })),
+      { headers: getHeaders(options) }
+    );
+    return response.data.map(result => result.translations[0].text);
+  } catch (err) {
+    throw toApiError(err);
+  }
+}
+
+async function getSupportedLanguages({ endpoint = DEFAULT_ENDPOINT }) {
+  try {
+    const response = await axios.get(`${endpoint}/languages?api-version=3.0&scope=translation`);
+    return Object.keys(response.data.translation);
+  } catch (err) {
+    throw toApiError(err);
+  }
+}
+
+module.exports = {
+  name: 'azure',
+  description: 'Azure AI Translator (region option for regional resources)',
+  limits: {
+    maxBatchSize: 1000,
+    maxCharacters: 50000,
+    delayMs: 0
+  },
+  getSupportedLanguages,
+  translate
+};
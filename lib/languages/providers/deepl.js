@@ -0,0 +1,144 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const chalk = require('chalk');
+
+// Free-plan keys end in ":fx" and use their own host
+function getBaseUrl({ apiKey, endpoint }) {
+  if (endpoint) return endpoint;
+  return apiKey && apiKey.endsWith(':fx') ? 'https://api-free.deepl.com' : 'https://api.deepl.com';
+}
+
+// DeepL wants upper-case codes, and a regional variant for English and Portuguese targets
+function toDeepLTarget(language) {
+  const variants = { en: 'EN-US', pt: 'PT-BR' };
+  return variants[language.toLowerCase()] || language.toUpperCase();
+}
+
+function toApiError(err) {
+  if (err.response) {
+    const { message } = err.response.data || {};
+    return Object.assign(new Error(`DeepL API error: ${err.response.status} - ${message || err.response.statusText}`), {
+      cause: err,
+      status: err.response.status,
+      retryAfter: Number((err.response.headers || {})['retry-after']) || null
+    });
+  }
+  return err;
+}
+
+function getHeaders(apiKey) {
+  return {
+    Authorization: `DeepL-Auth-Key ${apiKey}`,
+    'Content-Type': 'application/json'
+  };
+}
+
+// Glossary IDs by name; the lookup is shared by every batch so each glossary is created once
+const glossaryIds = {};
+
+// A DeepL glossary holding the project glossary's terms for a language pair. Its name carries a hash
+// of the entries, so later runs reuse it until the terms change.
+function getGlossaryId(options, targetLang) {
+  const entries = (options.glossary || [])
+    .filter(({ term, translation }) => !/[\t\n]/.test(term + translation))
+    .map(({ term, translation }) => `${term}\t${translation}`)
+    .join('\n');
+  if (!entries) return null;
+
+  const source = (options.sourceLang || 'en').split('-')[0].toLowerCase();
+  const target = targetLang.split('-')[0].toLowerCase();
+  const name = `i18n-adapt ${source}-${target} ${crypto.createHash('sha256').update(entries).digest('hex').slice(0, 12)}`;
+
+  if (glossaryIds[name] === undefined) {
+    const baseUrl = getBaseUrl(options);
+    const headers = getHeaders(options.apiKey);
+    glossaryIds[name] = (async () => {
+      const { data } = await axios.get(`${baseUrl}/v2/glossaries`, { headers });
+      const existing = (data.glossaries || []).find(glossary => glossary.name === name && glossary.ready);
+      if (existing) return existing.glossary_id;
+      const { data: created } = await axios.post(`${baseUrl}/v2/glossaries`, {
+        name,
+        source_lang: source,
+        target_lang: target,
+        entries,
+        entries_format: 'tsv'
+      }, { headers });
+      return created.glossary_id;
+    })().catch(err => {
+      // Not every language pair supports glossaries; the terms are still checked after translation
+      console.warn(chalk.yellow(`⚠️ DeepL glossary for ${source}-${target} could not be used: ${toApiError(err).message}`));
+      return null;
+    });
+  }
+  return glossaryIds[name];
+}
+
+// One /v2/translate call for texts that share a context
+async function requestTranslations(texts, targetLang, options, context) {
+  const { apiKey, sourceLang = 'en', formality } = options;
+  const body = {
+    text: texts,
+    // Source languages have no regional variants: EN, not EN-US
+    source_lang: sourceLang.split('-')[0].toUpperCase(),
+    target_lang: toDeepLTarget(targetLang)
+  };
+  if (formality) body.formality = formality;
+  if (context) body.context = context;
+
+  const glossaryId = await getGlossaryId(options, targetLang);
+  if (glossaryId) body.glossary_id = glossaryId;
+
+  try {
+    const response = await axios.post(`${getBaseUrl(options)}/v2/translate`, body, {
+      headers: getHeaders(apiKey)
+    });
+    return response.data.translations.map(translation => translation.text);
+  } catch (err) {
+    throw toApiError(err);
+  }
+}
+
+// Translate using the DeepL API. DeepL takes one context per request, so batches come with a single
+// short context for the sense their texts are used in (contextPerRequest); texts with different ones
+// are still sent in a request per context. The `context` option goes in front of each text's own.
+async function translate(texts, targetLang, options) {
+  const contexts = texts.map((text, idx) => [options.context, (options.contexts || [])[idx]].filter(Boolean).join('\n'));
+  const results = new Array(texts.length);
+
+  for (const context of [...new Set(contexts)]) {
+    const indexes = texts.map((text, idx) => idx).filter(idx => contexts[idx] === context);
+    const translations = await requestTranslations(indexes.map(idx => texts[idx]), targetLang, options, context);
+    indexes.forEach((idx, n) => {
+      results[idx] = translations[n];
+    });
+  }
+  return results;
+}
+
+async function getSupportedLanguages(options) {
+  try {
+    const response = await axios.get(`${getBaseUrl(options)}/v2/languages?type=target`, {
+      headers: { Authorization: `DeepL-Auth-Key ${options.apiKey}` }
+    });
+    // Report both the base language and regional variants (pt, pt-br)
+    return [...new Set(response.data.flatMap(language => {
+      const code = language.language.toLowerCase();
+      return [code, code.split('-')[0]];
+    }))];
+  } catch (err) {
+    throw toApiError(err);
+  }
+}
+
+module.exports = {
+  name: 'deepl',
+  description: 'DeepL API (free and pro keys)',
+  contextPerRequest: true,
+  limits: {
+    maxBatchSize: 50,
+    maxCharacters: 120000,
+    delayMs: 0
+  },
+  getSupportedLanguages,
+  translate
+};
@@ -0,0 +1,67 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+// Fixture files are read once per run
+const fixtureCache = {};
+
+// Answers for a language: { "es": { "Save": "Guardar" } } or a flat { "Save": "Guardar" }
+function loadFixture(fixturePath, targetLang) {
+  const resolvedPath = path.resolve(fixturePath);
+  if (!fixtureCache[resolvedPath]) {
+    if (!fs.pathExistsSync(resolvedPath)) {
+      throw new Error(`Fixture file not found: ${resolvedPath}`);
+    }
+    fixtureCache[resolvedPath] = fs.readJsonSync(resolvedPath);
+  }
+
+  const fixture = fixtureCache[resolvedPath];
+  const languageAnswers = fixture[targetLang];
+  return languageAnswers && typeof languageAnswers === 'object' ? languageAnswers : fixture;
+}
+
+// Return the source text, or the fixture's answer when one is configured
+async function translateEcho(texts, targetLang, { fixture }) {
+  if (!fixture) return texts.slice();
+
+  const answers = loadFixture(fixture, targetLang);
+  return texts.map(text => (typeof answers[text] === 'string' ? answers[text] : text));
+}
+
+// Return the fixture's answers, failing on anything it doesn't cover
+async function translateFixture(texts, targetLang, { fixture }) {
+  if (!fixture) {
+    throw new Error('The fixture service needs a fixture option: -o fixture=translations.json');
+  }
+
+  const answers = loadFixture(fixture, targetLang);
+  const missing = texts.filter(text => typeof answers[text] !== 'string');
+  if (missing.length > 0) {
+    throw new Error(`No fixture answer for ${missing.length} strings, e.g. "${missing[0]}"`);
+  }
+  return texts.map(text => answers[text]);
+}
+
+module.exports = {
+  echo: {
+    name: 'echo',
+    description: 'Offline: returns the source text, or answers from an optional fixture file',
+    limits: {
+      maxBatchSize: 1000,
+      delayMs: 0
+    },
+    maskPlaceholders: false,
+    translationMemory: false,
+    translate: translateEcho
+  },
+  fixture: {
+    name: 'fixture',
+    description: 'Offline: answers from a JSON fixture file (fixture option), fails on gaps',
+    limits: {
+      maxBatchSize: 1000,
+      delayMs: 0
+    },
+    maskPlaceholders: false,
+    translationMemory: false,
+    translate: translateFixture
+  }
+};
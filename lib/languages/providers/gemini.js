@@ -0,0 +1,187 @@
+const axios = require('axios');
+const { findTerms } = require('../glossary');
+
+// Map language codes to names for Gemini
+const langNameMap = {
+  en: 'English',
+  es: 'Spanish',
+  zh: 'Chinese (Simplified)',
+  hi: 'Hindi',
+  fr: 'French',
+  de: 'German',
+  ja: 'Japanese',
+  ko: 'Korean',
+  pt: 'Portuguese',
+  ru: 'Russian',
+  ar: 'Arabic'
+};
+
+// Language names for the prompt, extended by the `languageNames` option
+function getLanguageNames(languageNames = {}) {
+  return { ...langNameMap, ...languageNames };
+}
+
+const DEFAULT_MODEL = 'gemini-2.0-flash';
+
+// Translations come back as { translations: [{ id, text }] }, so each one is matched by its ID rather than its position
+const RESPONSE_SCHEMA = {
+  type: 'OBJECT',
+  properties: {
+    translations: {
+      type: 'ARRAY',
+      items: {
+        type: 'OBJECT',
+        properties: {
+          id: { type: 'STRING' },
+          text: { type: 'STRING' }
+        },
+        required: ['id', 'text']
+      }
+    }
+  },
+  required: ['translations']
+};
+
+// Room for the translations plus the JSON around them; non-Latin targets take more tokens per character
+function getMaxOutputTokens(texts) {
+  const characters = texts.reduce((total, text) => total + text.length, 0);
+  return Math.min(8192, Math.max(256, Math.ceil(characters * 1.5) + texts.length * 20));
+}
+
+function toApiError(err) {
+  if (err.response) {
+    const { data, status, statusText } = err.response;
+    const message = (data && data.error && (data.error.message || data.error)) || statusText;
+    return Object.assign(new Error(`Gemini API error: ${status} - ${message}`), {
+      cause: err,
+      status,
+      retryAfter: Number((err.response.headers || {})['retry-after']) || null
+    });
+  }
+  return err;
+}
+
+// Prompt lines for the glossary terms that occur in these items
+function describeGlossary(items, glossary = []) {
+  const terms = findTerms(items.map(item => item.text).join('\n'), glossary);
+  const mandated = terms.filter(term => !term.doNotTranslate);
+  const kept = terms.filter(term => term.doNotTranslate);
+  const lines = [];
+  if (mandated.length > 0) {
+    lines.push('Always translate these terms as given:', ...mandated.map(({ term, translation }) => `${JSON.stringify(term)} → ${JSON.stringify(translation)}`));
+  }
+  if (kept.length > 0) {
+    lines.push(`Keep these terms exactly as they are: ${kept.map(({ term }) => JSON.stringify(term)).join(', ')}`);
+  }
+  return lines.length > 0 ? `${lines.join('\n')}\n` : '';
+}
+
+// One generateContent call; returns the translations by ID and whether the output was cut off
+async function requestTranslations(items, langName, { apiKey, model = DEFAULT_MODEL, glossary, sourceLang = 'en', languageNames }) {
+  const sourceName = getLanguageNames(languageNames)[sourceLang] || sourceLang;
+  const prompt = `Translate the "text" of each item from ${sourceName} to ${langName}.
+Return every item with its "id" unchanged and "text" replaced by the translation.
+Tokens like ⟦0⟧ stand for placeholders and markup: keep every one exactly once and do not translate them.
+${items.some(item => item.context) ? 'An item\'s "context" tells where the text is shown in the app; use it to pick the right meaning and form, and do not translate it.\n' : ''}${describeGlossary(items, glossary)}
+${JSON.stringify(items)}`;
+
+  let response;
+  try {
+    response = await axios.post(
+      `https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent?key=${apiKey}`,
+      {
+        contents: [{
+          parts: [{
+            text: prompt
+          }]
+        }],
+        generationConfig: {
+          temperature: 0.2,
+          responseMimeType: 'application/json',
+          responseSchema: RESPONSE_SCHEMA,
+          maxOutputTokens: getMaxOutputTokens(items.map(item => item.text))
+        }
+      },
+      {
+        headers: {
+          'Content-Type': 'application/json'
+        }
+      }
+    );
+  } catch (err) {
+    throw toApiError(err);
+  }
+
+  const candidate = response.data.candidates && response.data.candidates[0];
+  if (!candidate) {
+    const reason = response.data.promptFeedback && response.data.promptFeedback.blockReason;
+    throw new Error(`Gemini API returned no translations${reason ? ` (blocked: ${reason})` : ''}`);
+  }
+  if (candidate.finishReason === 'MAX_TOKENS') {
+    return { truncated: true, translations: {} };
+  }
+
+  const text = candidate.content && candidate.content.parts ? candidate.content.parts.map(part => part.text || '').join('') : '';
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (err) {
+    throw new Error(`Gemini API returned invalid JSON (finish reason ${candidate.finishReason || 'unknown'})`);
+  }
+
+  const translations = {};
+  (Array.isArray(parsed.translations) ? parsed.translations : []).forEach(entry => {
+    if (entry && typeof entry.text === 'string' && entry.text.trim() && !translations[entry.id]) {
+      translations[entry.id] = entry.text;
+    }
+  });
+  return { truncated: false, translations };
+}
+
+// Translate items, halving the batch when the output runs out of tokens and asking once more for IDs that were left out
+async function translateItems(items, langName, options, retried = false) {
+  const { truncated, translations } = await requestTranslations(items, langName, options);
+
+  if (truncated) {
+    if (items.length === 1) {
+      throw new Error(`Gemini API ran out of output tokens translating item ${items[0].id}`);
+    }
+    const half = Math.ceil(items.length / 2);
+    return {
+      ...await translateItems(items.slice(0, half), langName, options, retried),
+      ...await translateItems(items.slice(half), langName, options, retried)
+    };
+  }
+
+  const missing = items.filter(item => translations[item.id] === undefined);
+  if (missing.length === 0) return translations;
+  if (retried) {
+    throw new Error(`Gemini API returned ${items.length - missing.length} of ${items.length} translations (missing IDs: ${missing.map(item => item.id).join(', ')})`);
+  }
+  return { ...translations, ...await translateItems(missing, langName, options, true) };
+}
+
+// Translate using Gemini API
+async function translate(texts, targetLang, options) {
+  if (!texts || texts.length === 0) return [];
+  
+  const langName = getLanguageNames(options.languageNames)[targetLang] || 'Spanish';
+  const contexts = options.contexts || [];
+  const items = texts.map((text, index) => (contexts[index]
+    ? { id: String(index), text, context: contexts[index] }
+    : { id: String(index), text }));
+  const translations = await translateItems(items, langName, options);
+  return items.map(item => translations[item.id]);
+}
+
+module.exports = {
+  name: 'gemini',
+  description: 'Google Gemini (generative translation)',
+  limits: {
+    maxBatchSize: 40,
+    maxTokens: 2000,
+    requestsPerMinute: 15
+  },
+  getSupportedLanguages: async ({ languageNames }) => Object.keys(getLanguageNames(languageNames)),
+  translate
+};
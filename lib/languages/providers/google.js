@@ -0,0 +1,107 @@
+const axios = require('axios');
+
+// Google Cloud Translation, Basic edition (v2). Authenticates with an API key.
+const V2_URL = 'https://translation.googleapis.com/language/translate/v2';
+
+// Google Cloud Translation, Advanced edition (v3). Authenticates with an OAuth access token
+// (e.g. `gcloud auth print-access-token`) and needs a Cloud project.
+const V3_URL = 'https://translation.googleapis.com/v3';
+
+function toApiError(err) {
+  if (err.response) {
+    const { error } = err.response.data || {};
+    return Object.assign(new Error(`Google Translate API error: ${err.response.status} - ${(error && error.message) || err.response.statusText}`), {
+      cause: err,
+      status: err.response.status,
+      retryAfter: Number((err.response.headers || {})['retry-after']) || null
+    });
+  }
+  return err;
+}
+
+function getV3Parent({ projectId = process.env.GOOGLE_CLOUD_PROJECT, location = 'global' }) {
+  if (!projectId) {
+    throw new Error('Google Translate v3 needs a projectId option or GOOGLE_CLOUD_PROJECT');
+  }
+  return `projects/${projectId}/locations/${location}`;
+}
+
+async function translateV2(texts, targetLang, { apiKey, sourceLang = 'en' }) {
+  try {
+    const response = await axios.post(`${V2_URL}?key=${apiKey}`, {
+      q: texts,
+      source: sourceLang,
+      target: targetLang,
+      format: 'text'
+    });
+    return response.data.data.translations.map(translation => translation.translatedText);
+  } catch (err) {
+    throw toApiError(err);
+  }
+}
+
+async function getSupportedLanguagesV2({ apiKey }) {
+  try {
+    const response = await axios.get(`${V2_URL}/languages?key=${apiKey}`);
+    return response.data.data.languages.map(language => language.language);
+  } catch (err) {
+    throw toApiError(err);
+  }
+}
+
+async function translateV3(texts, targetLang, options) {
+  try {
+    const response = await axios.post(
+      `${V3_URL}/${getV3Parent(options)}:translateText`,
+      {
+        contents: texts,
+        sourceLanguageCode: options.sourceLang || 'en',
+        targetLanguageCode: targetLang,
+        mimeType: 'text/plain'
+      },
+      { headers: { Authorization: `Bearer ${options.apiKey}` } }
+    );
+    return response.data.translations.map(translation => translation.translatedText);
+  } catch (err) {
+    throw toApiError(err);
+  }
+}
+
+async function getSupportedLanguagesV3(options) {
+  try {
+    const response = await axios.get(
+      `${V3_URL}/${getV3Parent(options)}/supportedLanguages`,
+      { headers: { Authorization: `Bearer ${options.apiKey}` } }
+    );
+    return response.data.languages
+      .filter(language => language.supportTarget)
+      .map(language => language.languageCode);
+  } catch (err) {
+    throw toApiError(err);
+  }
+}
+
+module.exports = {
+  v2: {
+    name: 'google',
+    description: 'Google Cloud Translation v2 (API key)',
+    limits: {
+      maxBatchSize: 128,
+      maxCharacters: 30000,
+      delayMs: 0
+    },
+    getSupportedLanguages: getSupportedLanguagesV2,
+    translate: translateV2
+  },
+  v3: {
+    name: 'google-v3',
+    description: 'Google Cloud Translation v3 (OAuth token, projectId option)',
+    limits: {
+      maxBatchSize: 1024,
+      maxCharacters: 30000,
+      delayMs: 0
+    },
+    getSupportedLanguages: getSupportedLanguagesV3,
+    translate: translateV3
+  }
+};
@@ -0,0 +1,57 @@
+const axios = require('axios');
+
+// Self-hosted instances usually run on port 5000
+function getBaseUrl({ url = process.env.LIBRETRANSLATE_URL || 'http://localhost:5000' }) {
+  return url.replace(/\/+$/, '');
+}
+
+function toApiError(err) {
+  if (err.response) {
+    const { error } = err.response.data || {};
+    return Object.assign(new Error(`LibreTranslate API error: ${err.response.status} - ${error || err.response.statusText}`), {
+      cause: err,
+      status: err.response.status,
+      retryAfter: Number((err.response.headers || {})['retry-after']) || null
+    });
+  }
+  return err;
+}
+
+// Translate using a LibreTranslate server, or any HTTP service with the same API
+async function translate(texts, targetLang, options) {
+  const body = {
+    q: texts,
+    source: options.sourceLang || 'en',
+    target: targetLang,
+    format: 'text'
+  };
+  if (options.apiKey) body.api_key = options.apiKey;
+
+  try {
+    const response = await axios.post(`${getBaseUrl(options)}/translate`, body);
+    const { translatedText } = response.data;
+    return Array.isArray(translatedText) ? translatedText : [translatedText];
+  } catch (err) {
+    throw toApiError(err);
+  }
+}
+
+async function getSupportedLanguages(options) {
+  try {
+    const response = await axios.get(`${getBaseUrl(options)}/languages`);
+    return response.data.map(language => language.code);
+  } catch (err) {
+    throw toApiError(err);
+  }
+}
+
+module.exports = {
+  name: 'libretranslate',
+  description: 'LibreTranslate or a compatible self-hosted server (url option)',
+  limits: {
+    maxBatchSize: 50,
+    delayMs: 0
+  },
+  getSupportedLanguages,
+  translate
+};
@@ -0,0 +1,38 @@
+// Accented look-alikes, so untranslated strings stand out while text stays readable
+const accentMap = {
+  a: 'à', b: 'ƀ', c: 'ç', d: 'ð', e: 'é', f: 'ƒ', g: 'ĝ', h: 'ĥ', i: 'î', j: 'ĵ', k: 'ķ', l: 'ļ', m: 'ɱ',
+  n: 'ñ', o: 'ö', p: 'þ', q: 'ǫ', r: 'ŕ', s: 'š', t: 'ţ', u: 'û', v: 'ṽ', w: 'ŵ', x: 'ẋ', y: 'ý', z: 'ž',
+  A: 'À', B: 'Ɓ', C: 'Ç', D: 'Ð', E: 'É', F: 'Ƒ', G: 'Ĝ', H: 'Ĥ', I: 'Î', J: 'Ĵ', K: 'Ķ', L: 'Ļ', M: 'Ṁ',
+  N: 'Ñ', O: 'Ö', P: 'Þ', Q: 'Ǫ', R: 'Ŕ', S: 'Ŝ', T: 'Ţ', U: 'Û', V: 'Ṽ', W: 'Ŵ', X: 'Ẋ', Y: 'Ý', Z: 'Ž'
+};
+
+// Interpolations, ICU arguments and tags are left alone so the app keeps working
+const PROTECTED = /(\{\{[^}]*\}\}|\{[^{}]*\}|<[^>]+>|%[sd]|&\w+;)/;
+
+// Accent a string and pad it to simulate a language that runs longer than English
+function pseudoLocalize(text, { expansion = 1.3 } = {}) {
+  const accented = text
+    .split(PROTECTED)
+    .map(part => (PROTECTED.test(part) ? part : part.replace(/[a-zA-Z]/g, char => accentMap[char])))
+    .join('');
+
+  const padding = Math.max(0, Math.round(text.length * (Number(expansion) - 1)));
+  return `[${accented}${padding > 0 ? ` ${'~'.repeat(padding)}` : ''}]`;
+}
+
+// Translate with deterministic pseudo-translations, no network needed
+async function translate(texts, targetLang, options) {
+  return texts.map(text => pseudoLocalize(text, options));
+}
+
+module.exports = {
+  name: 'pseudo',
+  description: 'Offline pseudo-localization (expansion option, default 1.3)',
+  limits: {
+    maxBatchSize: 1000,
+    delayMs: 0
+  },
+  translationMemory: false,
+  pseudoLocalize,
+  translate
+};
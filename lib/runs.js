@@ -0,0 +1,204 @@
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const chalk = require('chalk');
+const { beginStaging, discardStaging, getStagedChanges } = require('./utils/staging');
+const { deferMemoryWrites, commitMemoryWrites, discardMemoryWrites } = require('./languages/memory');
+
+// Backups and manifests of every run live in the project's .i18n-adapt/ directory
+const STATE_DIR = '.i18n-adapt';
+const RUNS_DIR = path.join(STATE_DIR, 'runs');
+const DEFAULT_KEEP_RUNS = 10;
+
+function getRunDir(projectRoot, runId) {
+  return path.join(projectRoot, RUNS_DIR, runId);
+}
+
+function hashContent(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+// Sortable id: UTC timestamp plus a random suffix
+function createRunId() {
+  const timestamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\..*$/, '');
+  return `${timestamp}-${crypto.randomBytes(2).toString('hex')}`;
+}
+
+async function writeManifest(projectRoot, manifest) {
+  await fs.outputJson(path.join(getRunDir(projectRoot, manifest.runId), 'manifest.json'), manifest, { spaces: 2 });
+}
+
+// Write a file through a temporary file and a rename, so it is never left half-written
+async function writeFileAtomic(file, content) {
+  const tempFile = `${file}.i18n-adapt-tmp`;
+  await fs.outputFile(tempFile, content);
+  await fs.rename(tempFile, file);
+}
+
+// Put one file back the way a run found it
+async function restoreFile(projectRoot, runDir, entry) {
+  const file = path.resolve(projectRoot, entry.file);
+  if (entry.action === 'created') {
+    await fs.remove(file);
+  } else {
+    await writeFileAtomic(file, await fs.readFile(path.join(runDir, entry.backup)));
+  }
+}
+
+// Start a run: every write, and every translation memory entry, is staged until commitRun applies them together
+function beginRun() {
+  beginStaging();
+  deferMemoryWrites();
+}
+
+// Drop a run's staged writes, for commands that only read the project
+function discardRun() {
+  discardStaging();
+  discardMemoryWrites();
+}
+
+// Apply a run's staged writes together, after backing up every file they touch
+async function commitRun(projectRoot, { command = null, keep = DEFAULT_KEEP_RUNS } = {}) {
+  const resolvedRoot = path.resolve(projectRoot);
+  const changes = await getStagedChanges();
+  discardStaging();
+
+  if (changes.length === 0) {
+    await commitMemoryWrites();
+    console.log(chalk.blue('ℹ️ No files changed'));
+    return null;
+  }
+
+  const runId = createRunId();
+  const runDir = getRunDir(resolvedRoot, runId);
+  const files = changes.map(({ file, before, after }, idx) => ({
+    file: path.relative(resolvedRoot, file).split(path.sep).join('/'),
+    action: before === null ? 'created' : after === null ? 'deleted' : 'modified',
+    backup: before === null ? null : `files/${idx}`,
+    hash: after === null ? null : hashContent(after)
+  }));
+
+  // Backups and manifest first, so an interrupted apply can still be rolled back
+  const gitignore = path.join(resolvedRoot, STATE_DIR, '.gitignore');
+  if (!await fs.pathExists(gitignore)) {
+    await fs.outputFile(gitignore, '*\n');
+  }
+  for (let idx = 0; idx < changes.length; idx++) {
+    if (changes[idx].before !== null) {
+      await fs.outputFile(path.join(runDir, files[idx].backup), changes[idx].before);
+    }
+  }
+
+  const manifest = {
+    runId,
+    createdAt: new Date().toISOString(),
+    command,
+    status: 'pending',
+    files
+  };
+  await writeManifest(resolvedRoot, manifest);
+
+  const applied = [];
+  try {
+    for (let idx = 0; idx < changes.length; idx++) {
+      const { file, after } = changes[idx];
+      if (after === null) {
+        await fs.remove(file);
+      } else {
+        await writeFileAtomic(file, after);
+      }
+      applied.push(files[idx]);
+    }
+  } catch (err) {
+    discardMemoryWrites();
+    for (const entry of applied.reverse()) {
+      await restoreFile(resolvedRoot, runDir, entry);
+    }
+    manifest.status = 'failed';
+    await writeManifest(resolvedRoot, manifest);
+    throw new Error(`Could not apply changes, every file was restored: ${err.message}`);
+  }
+
+  manifest.status = 'applied';
+  await writeManifest(resolvedRoot, manifest);
+  await commitMemoryWrites();
+  await pruneRuns(resolvedRoot, keep);
+
+  console.log(chalk.green(`💾 Applied ${files.length} file changes as run ${runId}. Undo with: i18n-adapt rollback ${runId}`));
+  return manifest;
+}
+
+// Manifests of recorded runs, newest first
+async function listRuns(projectRoot) {
+  const runsDir = path.join(path.resolve(projectRoot), RUNS_DIR);
+  if (!await fs.pathExists(runsDir)) return [];
+
+  const manifests = [];
+  for (const runId of (await fs.readdir(runsDir)).sort().reverse()) {
+    const manifestFile = path.join(runsDir, runId, 'manifest.json');
+    if (await fs.pathExists(manifestFile)) {
+      manifests.push(await fs.readJson(manifestFile));
+    }
+  }
+  return manifests;
+}
+
+// Keep the newest `keep` runs, deleting older backups
+async function pruneRuns(projectRoot, keep = DEFAULT_KEEP_RUNS) {
+  const runs = await listRuns(projectRoot);
+  const pruned = runs.slice(keep);
+  for (const run of pruned) {
+    await fs.remove(getRunDir(path.resolve(projectRoot), run.runId));
+  }
+  return pruned.map(run => run.runId);
+}
+
+// Restore every file a run touched; the latest applied run by default
+async function rollbackRun(projectRoot, runId = null, { force = false } = {}) {
+  const resolvedRoot = path.resolve(projectRoot);
+  const runs = await listRuns(resolvedRoot);
+  const manifest = runId
+    ? runs.find(run => run.runId === runId)
+    : runs.find(run => run.status === 'applied');
+
+  if (!manifest) {
+    throw new Error(runId ? `Run not found: ${runId}` : 'No applied run to roll back');
+  }
+  if (manifest.status === 'rolled-back') {
+    throw new Error(`Run ${manifest.runId} was already rolled back`);
+  }
+
+  // Files edited after the run would lose those edits
+  const conflicts = [];
+  for (const entry of manifest.files) {
+    const file = path.resolve(resolvedRoot, entry.file);
+    const exists = await fs.pathExists(file);
+    const current = exists ? hashContent(await fs.readFile(file)) : null;
+    if (current !== entry.hash) conflicts.push(entry.file);
+  }
+  if (conflicts.length > 0 && !force) {
+    throw new Error(`These files changed after run ${manifest.runId}: ${conflicts.join(', ')}. Use --force to restore them anyway`);
+  }
+
+  const runDir = getRunDir(resolvedRoot, manifest.runId);
+  for (const entry of manifest.files) {
+    await restoreFile(resolvedRoot, runDir, entry);
+  }
+
+  manifest.status = 'rolled-back';
+  manifest.rolledBackAt = new Date().toISOString();
+  await writeManifest(resolvedRoot, manifest);
+
+  console.log(chalk.green(`↩️ Rolled back run ${manifest.runId}: restored ${manifest.files.length} files`));
+  return manifest;
+}
+
+module.exports = {
+  STATE_DIR,
+  beginRun,
+  discardRun,
+  commitRun,
+  listRuns,
+  pruneRuns,
+  rollbackRun
+};
@@ -0,0 +1,226 @@
+const traverse = require('@babel/traverse').default;
+const _ = require('lodash');
+const { parseSource } = require('../extractors/javascript');
+
+// Physical properties and the logical properties that follow the writing direction instead
+const LOGICAL_PROPERTIES = {
+  'margin-left': 'margin-inline-start',
+  'margin-right': 'margin-inline-end',
+  'padding-left': 'padding-inline-start',
+  'padding-right': 'padding-inline-end',
+  'border-left': 'border-inline-start',
+  'border-right': 'border-inline-end',
+  'border-left-width': 'border-inline-start-width',
+  'border-right-width': 'border-inline-end-width',
+  'border-left-style': 'border-inline-start-style',
+  'border-right-style': 'border-inline-end-style',
+  'border-left-color': 'border-inline-start-color',
+  'border-right-color': 'border-inline-end-color',
+  'border-top-left-radius': 'border-start-start-radius',
+  'border-top-right-radius': 'border-start-end-radius',
+  'border-bottom-left-radius': 'border-end-start-radius',
+  'border-bottom-right-radius': 'border-end-end-radius',
+  left: 'inset-inline-start',
+  right: 'inset-inline-end'
+};
+
+// Properties whose left/right keywords have direction-relative equivalents
+const LOGICAL_VALUES = {
+  'text-align': { left: 'start', right: 'end' },
+  float: { left: 'inline-start', right: 'inline-end' },
+  clear: { left: 'inline-start', right: 'inline-end' }
+};
+
+// Shorthands whose four-value form gives left and right different values
+const BOX_SHORTHANDS = ['margin', 'padding', 'inset', 'border-width', 'border-style', 'border-color'];
+
+// Properties whose values may name other properties
+const PROPERTY_LISTS = ['transition', 'transition-property', 'will-change'];
+
+// Name: value pairs in a stylesheet or a CSS-in-JS template; only the known properties above are acted on
+const DECLARATION_PATTERN = /(^|[{;\s])([a-z-]+)(\s*:\s*)([^;{}]*)/g;
+
+// Style object keys are the camelCased property names
+const camelProperty = property => (property === 'float' ? 'float' : _.camelCase(property));
+const JS_PROPERTIES = _.fromPairs(_.map(LOGICAL_PROPERTIES, (logical, physical) => [camelProperty(physical), camelProperty(logical)]));
+const JS_VALUES = _.mapKeys(LOGICAL_VALUES, (values, property) => camelProperty(property));
+JS_VALUES.cssFloat = LOGICAL_VALUES.float;
+const JS_BOX_SHORTHANDS = BOX_SHORTHANDS.map(camelProperty);
+
+// Why a shorthand or property list cannot be rewritten mechanically, or null when it is direction-neutral
+function describeUnconvertible(property, value) {
+  const parts = value.replace(/!important/i, '').trim().split(/\s+/);
+  if (BOX_SHORTHANDS.includes(property) && parts.length === 4 && parts[1] !== parts[3]) {
+    return 'left and right values differ; split it into block and inline shorthands';
+  }
+  if (property === 'border-radius' && _.uniq(value.split('/')[0].trim().split(/\s+/)).length > 1) {
+    return 'corner radii differ; use the border-*-*-radius logical properties';
+  }
+  if (['background-position', 'background-position-x', 'transform-origin', 'object-position'].includes(property) && /\b(left|right)\b/.test(value)) {
+    return 'positions by left/right, which has no logical keyword';
+  }
+  if (PROPERTY_LISTS.includes(property) && /(^|[\s,])(margin|padding|border)-(left|right)|(^|[\s,])(left|right)([\s,]|$)/.test(value)) {
+    return 'names physical properties; update it along with the properties it lists';
+  }
+  return null;
+}
+
+// Convert one declaration's value, keeping !important
+function convertValue(property, value) {
+  const match = value.trim().match(/^(left|right)(\s*!important)?$/i);
+  if (!match) return null;
+  return `${LOGICAL_VALUES[property][match[1].toLowerCase()]}${match[2] || ''}`;
+}
+
+// Physical declarations in a piece of CSS; offsets are shifted by baseOffset so they apply to the whole file
+function scanCss(css, baseOffset = 0) {
+  const edits = [];
+  const converted = [];
+  const unconvertible = [];
+  let match;
+
+  DECLARATION_PATTERN.lastIndex = 0;
+  while ((match = DECLARATION_PATTERN.exec(css)) !== null) {
+    const [, lead, property, separator, value] = match;
+    const start = baseOffset + match.index + lead.length;
+
+    if (LOGICAL_PROPERTIES[property]) {
+      const replacement = LOGICAL_PROPERTIES[property];
+      edits.push({ start, end: start + property.length, text: replacement });
+      converted.push({ offset: start, from: property, to: replacement });
+    } else if (LOGICAL_VALUES[property] && /\b(left|right)\b/i.test(value)) {
+      const valueStart = start + property.length + separator.length;
+      const replacement = convertValue(property, value);
+      if (replacement) {
+        const trimmed = value.trimEnd();
+        edits.push({ start: valueStart, end: valueStart + trimmed.length, text: replacement });
+        converted.push({ offset: start, from: `${property}: ${trimmed}`, to: `${property}: ${replacement}` });
+      } else {
+        unconvertible.push({ offset: start, declaration: `${property}: ${value.trim()}`, reason: 'value is not a plain left/right keyword' });
+      }
+    } else {
+      const reason = describeUnconvertible(property, value);
+      if (reason) unconvertible.push({ offset: start, declaration: `${property}: ${value.trim()}`, reason });
+    }
+  }
+
+  return { edits, converted, unconvertible };
+}
+
+// Tags whose templates are CSS: css``, keyframes``, createGlobalStyle``, styled.div``, styled(Button)``, styled.div.attrs()``
+function isStyleTag(tag) {
+  if (tag.type === 'Identifier') {
+    return ['css', 'keyframes', 'createGlobalStyle', 'injectGlobal'].includes(tag.name);
+  }
+  if (tag.type === 'MemberExpression') return isStyleTag(tag.object) || (tag.object.type === 'Identifier' && tag.object.name === 'styled');
+  if (tag.type === 'CallExpression') return tag.callee.type === 'Identifier' ? tag.callee.name === 'styled' : isStyleTag(tag.callee);
+  return false;
+}
+
+function getPropertyName(node) {
+  if (node.computed) return null;
+  if (node.key.type === 'Identifier') return node.key.name;
+  if (node.key.type === 'StringLiteral') return node.key.value;
+  return null;
+}
+
+// Physical keys in an inline style={{ ... }} object
+function scanStyleObject(objectNode, content) {
+  const edits = [];
+  const converted = [];
+  const unconvertible = [];
+
+  objectNode.properties.forEach(node => {
+    if (node.type !== 'ObjectProperty') return;
+    const property = getPropertyName(node);
+    if (!property) return;
+
+    if (JS_PROPERTIES[property]) {
+      const replacement = JS_PROPERTIES[property];
+      // { left } has to become { insetInlineStart: left }
+      edits.push(node.shorthand
+        ? { start: node.start, end: node.end, text: `${replacement}: ${property}` }
+        : { start: node.key.start, end: node.key.end, text: node.key.type === 'StringLiteral' ? `'${replacement}'` : replacement });
+      converted.push({ offset: node.start, from: property, to: replacement });
+      return;
+    }
+
+    const value = node.value.type === 'StringLiteral' ? node.value.value : null;
+    if (JS_VALUES[property]) {
+      if (value === null) {
+        if (!/\b(left|right)\b/.test(content.slice(node.value.start, node.value.end))) return;
+        unconvertible.push({ offset: node.start, declaration: content.slice(node.start, node.end), reason: 'value is computed, convert left/right by hand' });
+        return;
+      }
+      const keyword = value.trim().toLowerCase();
+      if (!JS_VALUES[property][keyword]) return;
+      const quote = content[node.value.start];
+      edits.push({ start: node.value.start, end: node.value.end, text: `${quote}${JS_VALUES[property][keyword]}${quote}` });
+      converted.push({ offset: node.start, from: `${property}: '${value}'`, to: `${property}: '${JS_VALUES[property][keyword]}'` });
+      return;
+    }
+
+    if (value === null) return;
+    const cssProperty = _.kebabCase(property);
+    const reason = JS_BOX_SHORTHANDS.includes(property) || property === 'borderRadius' || PROPERTY_LISTS.includes(cssProperty) || /^(backgroundPosition|transformOrigin|objectPosition)/.test(property)
+      ? describeUnconvertible(cssProperty, value)
+      : null;
+    if (reason) unconvertible.push({ offset: node.start, declaration: content.slice(node.start, node.end), reason });
+  });
+
+  return { edits, converted, unconvertible };
+}
+
+// Physical declarations in JS/TS: styled-components and css`` templates, and inline style objects
+function scanScript(content, file) {
+  const results = [];
+  const ast = parseSource(content, file);
+
+  traverse(ast, {
+    TaggedTemplateExpression(nodePath) {
+      if (!isStyleTag(nodePath.node.tag)) return;
+      nodePath.node.quasi.quasis.forEach(quasi => {
+        results.push(scanCss(content.slice(quasi.start, quasi.end), quasi.start));
+      });
+    },
+    JSXAttribute(nodePath) {
+      const { name, value } = nodePath.node;
+      if (name.name !== 'style' || !value || value.type !== 'JSXExpressionContainer' || value.expression.type !== 'ObjectExpression') return;
+      results.push(scanStyleObject(value.expression, content));
+    }
+  });
+
+  return results;
+}
+
+// Stylesheets are scanned whole, Vue components by their <style> blocks, scripts for CSS-in-JS
+function findPhysicalProperties(content, file) {
+  let results = [];
+
+  if (/\.(css|scss|less)$/.test(file)) {
+    results = [scanCss(content)];
+  } else if (/\.vue$/.test(file)) {
+    const stylePattern = /<style([^>]*)>([\s\S]*?)<\/style>/g;
+    let match;
+    while ((match = stylePattern.exec(content)) !== null) {
+      // Indentation-based syntaxes have no ; or {} to anchor declarations on
+      if (/lang=["'](sass|stylus)["']/.test(match[1])) continue;
+      results.push(scanCss(match[2], match.index + match[0].indexOf('>') + 1));
+    }
+  } else if (/\.(jsx?|tsx?)$/.test(file)) {
+    results = scanScript(content, file);
+  }
+
+  const lineAt = offset => content.slice(0, offset).split('\n').length;
+  return {
+    edits: _.flatMap(results, 'edits'),
+    converted: _.flatMap(results, 'converted').map(({ offset, ...entry }) => ({ line: lineAt(offset), ...entry })),
+    unconvertible: _.flatMap(results, 'unconvertible').map(({ offset, ...entry }) => ({ line: lineAt(offset), ...entry }))
+  };
+}
+
+module.exports = {
+  LOGICAL_PROPERTIES,
+  LOGICAL_VALUES,
+  findPhysicalProperties
+};
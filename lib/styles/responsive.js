@@ -0,0 +1,164 @@
+const fs = require('fs-extra');
+const path = require('path');
+const _ = require('lodash');
+
+// Language-independent rules every generated stylesheet starts from
+const BASE_STYLESHEET = path.join(__dirname, 'responsive-language.css');
+
+// The generated part of ResponsiveLanguage.css sits between these markers and is replaced on every update
+const SECTION_START = '/* i18n-adapt:languages:start - generated from the project locales, edits here are overwritten */';
+const SECTION_END = '/* i18n-adapt:languages:end */';
+
+// Font stacks and line breaking per writing system
+const SCRIPT_PROFILES = {
+  'han-simplified': {
+    fontFamily: '"PingFang SC", "Hiragino Sans GB", "Microsoft YaHei", "Noto Sans SC", sans-serif',
+    lineHeight: 1.7
+  },
+  'han-traditional': {
+    fontFamily: '"PingFang TC", "Microsoft JhengHei", "Noto Sans TC", sans-serif',
+    lineHeight: 1.7
+  },
+  japanese: {
+    fontFamily: '"Hiragino Kaku Gothic ProN", "Hiragino Sans", "Yu Gothic", Meiryo, "Noto Sans JP", sans-serif',
+    lineHeight: 1.7,
+    lineBreak: 'strict'
+  },
+  korean: {
+    fontFamily: '"Apple SD Gothic Neo", "Malgun Gothic", "Noto Sans KR", sans-serif',
+    lineHeight: 1.6,
+    wordBreak: 'keep-all'
+  },
+  devanagari: {
+    fontFamily: '"Noto Sans Devanagari", "Nirmala UI", Mangal, sans-serif',
+    lineHeight: 1.8
+  },
+  arabic: {
+    fontFamily: '"Noto Sans Arabic", "Segoe UI", Tahoma, sans-serif',
+    lineHeight: 1.8
+  },
+  urdu: {
+    fontFamily: '"Noto Nastaliq Urdu", "Jameel Noori Nastaleeq", "Noto Sans Arabic", sans-serif',
+    lineHeight: 2.2
+  },
+  hebrew: {
+    fontFamily: '"Noto Sans Hebrew", "Arial Hebrew", "Segoe UI", sans-serif',
+    lineHeight: 1.6
+  },
+  thai: {
+    fontFamily: '"Noto Sans Thai", "Leelawadee UI", Thonburi, Tahoma, sans-serif',
+    lineHeight: 1.8
+  },
+  latin: {}
+};
+
+// Writing system of each language, by primary subtag
+const LANGUAGE_SCRIPTS = {
+  zh: 'han-simplified',
+  ja: 'japanese',
+  ko: 'korean',
+  hi: 'devanagari',
+  mr: 'devanagari',
+  ne: 'devanagari',
+  ar: 'arabic',
+  fa: 'arabic',
+  ur: 'urdu',
+  he: 'hebrew',
+  th: 'thai'
+};
+
+// Languages written right to left, which get dir="rtl" on <html> and direction: rtl in the stylesheet
+const RTL_LANGUAGES = ['ar', 'he', 'fa', 'ur'];
+
+// Typical length against English, used until a language has translations to measure
+const TYPICAL_EXPANSION = {
+  de: 1.3,
+  fr: 1.2,
+  es: 1.2,
+  it: 1.15,
+  pt: 1.2,
+  nl: 1.25,
+  ru: 1.2,
+  pl: 1.25,
+  fi: 1.3,
+  hi: 1.3,
+  ar: 1.25,
+  he: 1.1,
+  th: 1.1,
+  ja: 0.9,
+  ko: 0.9,
+  zh: 0.85
+};
+
+function getScript(language) {
+  const [primary, ...subtags] = language.split(/[-_]/);
+  if (primary.toLowerCase() === 'zh' && subtags.some(subtag => ['hant', 'tw', 'hk', 'mo'].includes(subtag.toLowerCase()))) {
+    return 'han-traditional';
+  }
+  return LANGUAGE_SCRIPTS[primary.toLowerCase()] || 'latin';
+}
+
+function getTypicalExpansion(language) {
+  return TYPICAL_EXPANSION[language.split(/[-_]/)[0].toLowerCase()] || 1;
+}
+
+// Longer languages get slightly smaller text in tight components, never below 85%
+function getTextScale(expansion) {
+  return Math.round(_.clamp(1 / Math.sqrt(expansion), 0.85, 1) * 100) / 100;
+}
+
+// CSS rules for one language: expansion variables, font stack and line breaking
+function buildLanguageRules(language, expansion) {
+  const profile = SCRIPT_PROFILES[getScript(language)];
+  const selector = `[lang|="${language}"]`;
+  const declarations = [
+    `--lang-expansion: ${expansion};`,
+    `--lang-text-scale: ${getTextScale(expansion)};`
+  ];
+  if (profile.fontFamily) declarations.push(`font-family: ${profile.fontFamily};`);
+  if (profile.lineHeight) declarations.push(`line-height: ${profile.lineHeight};`);
+  if (profile.lineBreak) declarations.push(`line-break: ${profile.lineBreak};`);
+
+  // Angular doesn't set dir on <html>, so RTL languages also get their direction from here
+  if (RTL_LANGUAGES.includes(language.split(/[-_]/)[0].toLowerCase())) declarations.push('direction: rtl;');
+
+  const rules = [`${selector} {\n${declarations.map(line => `  ${line}`).join('\n')}\n}`];
+
+  // .lang-wrap and .lang-tooltip set their own word-break, which would undo the inherited one
+  if (profile.wordBreak) {
+    rules.push(`${selector},\n${selector} .lang-wrap,\n${selector} .lang-tooltip {\n  word-break: ${profile.wordBreak};\n}`);
+  }
+
+  return rules.join('\n\n');
+}
+
+// The generated section for a set of languages, with measured expansion factors where there are any
+function buildLanguageSection(languages, factors = {}) {
+  const rules = _.sortBy(_.uniq(languages))
+    .map(language => buildLanguageRules(language, factors[language] || getTypicalExpansion(language)));
+  return `${SECTION_START}\n\n${rules.join('\n\n')}\n\n${SECTION_END}\n`;
+}
+
+// Replace the generated section of a stylesheet, or append one to a stylesheet that has none yet
+function replaceLanguageSection(css, section) {
+  const start = css.indexOf(SECTION_START);
+  const end = css.indexOf(SECTION_END);
+  if (start !== -1 && end > start) {
+    return `${css.slice(0, start)}${section}${css.slice(end + SECTION_END.length).replace(/^\n/, '')}`;
+  }
+  return `${css.replace(/\s*$/, '')}\n\n${section}`;
+}
+
+async function readBaseStylesheet() {
+  return fs.readFile(BASE_STYLESHEET, 'utf8');
+}
+
+module.exports = {
+  SCRIPT_PROFILES,
+  RTL_LANGUAGES,
+  getScript,
+  buildLanguageRules,
+  buildLanguageSection,
+  replaceLanguageSection,
+  readBaseStylesheet
+};
@@ -0,0 +1,114 @@
+// Marks a last line that has no newline, so it differs from the same line with one
+const NO_EOL = '\u0000';
+
+// Lines of a file, without a phantom empty line after the final newline
+function splitLines(content) {
+  if (!content) return [];
+  const lines = content.split('\n');
+  if (lines[lines.length - 1] === '') {
+    lines.pop();
+  } else {
+    lines[lines.length - 1] += NO_EOL;
+  }
+  return lines;
+}
+
+// Line-level edit script (' ', '-', '+') between two versions of a file
+function diffLines(beforeLines, afterLines) {
+  // Only the part between the common head and tail needs a real diff
+  let head = 0;
+  while (head < beforeLines.length && head < afterLines.length && beforeLines[head] === afterLines[head]) head++;
+  let tail = 0;
+  while (tail < beforeLines.length - head && tail < afterLines.length - head &&
+    beforeLines[beforeLines.length - 1 - tail] === afterLines[afterLines.length - 1 - tail]) tail++;
+
+  const a = beforeLines.slice(head, beforeLines.length - tail);
+  const b = afterLines.slice(head, afterLines.length - tail);
+
+  // Longest common subsequence table, filled from the end
+  const lcs = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const ops = beforeLines.slice(0, head).map(line => ({ type: ' ', line }));
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      ops.push({ type: ' ', line: a[i] });
+      i++;
+      j++;
+    } else if (i < a.length && (j === b.length || lcs[i + 1][j] >= lcs[i][j + 1])) {
+      ops.push({ type: '-', line: a[i] });
+      i++;
+    } else {
+      ops.push({ type: '+', line: b[j] });
+      j++;
+    }
+  }
+  beforeLines.slice(beforeLines.length - tail).forEach(line => ops.push({ type: ' ', line }));
+
+  return ops;
+}
+
+// Unified diff of one file, in the format `git apply` and `patch -p1` accept
+function createUnifiedDiff(fileName, before, after, { context = 3 } = {}) {
+  const ops = diffLines(splitLines(before), splitLines(after));
+  const changed = ops.map((op, idx) => (op.type !== ' ' ? idx : -1)).filter(idx => idx !== -1);
+  if (changed.length === 0) return '';
+
+  // Group changes whose context overlaps into hunks
+  const ranges = [];
+  changed.forEach(idx => {
+    const last = ranges[ranges.length - 1];
+    if (last && idx - last.end <= context * 2) {
+      last.end = idx;
+    } else {
+      ranges.push({ start: idx, end: idx });
+    }
+  });
+
+  // Line numbers in the old and new file at the start of every op
+  const positions = [];
+  let oldLine = 1;
+  let newLine = 1;
+  ops.forEach(op => {
+    positions.push({ oldLine, newLine });
+    if (op.type !== '+') oldLine++;
+    if (op.type !== '-') newLine++;
+  });
+
+  const lines = [
+    `--- ${before === null ? '/dev/null' : `a/${fileName}`}`,
+    `+++ ${after === null ? '/dev/null' : `b/${fileName}`}`
+  ];
+
+  ranges.forEach(range => {
+    const start = Math.max(0, range.start - context);
+    const end = Math.min(ops.length - 1, range.end + context);
+    const hunk = ops.slice(start, end + 1);
+    const oldCount = hunk.filter(op => op.type !== '+').length;
+    const newCount = hunk.filter(op => op.type !== '-').length;
+    const oldStart = oldCount === 0 ? positions[start].oldLine - 1 : positions[start].oldLine;
+    const newStart = newCount === 0 ? positions[start].newLine - 1 : positions[start].newLine;
+
+    lines.push(`@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`);
+    hunk.forEach(op => {
+      if (op.line.endsWith(NO_EOL)) {
+        lines.push(`${op.type}${op.line.slice(0, -1)}`, '\\ No newline at end of file');
+      } else {
+        lines.push(`${op.type}${op.line}`);
+      }
+    });
+  });
+
+  return `${lines.join('\n')}\n`;
+}
+
+module.exports = {
+  diffLines,
+  createUnifiedDiff
+};
@@ -0,0 +1,16 @@
+const _ = require('lodash');
+
+// Flatten { namespace: { key: value } } into { 'namespace.key': value }
+function flattenMessages(messages, prefix = '') {
+  return Object.keys(messages || {}).reduce((flat, key) => {
+    const id = prefix ? `${prefix}.${key}` : key;
+    if (_.isPlainObject(messages[key])) {
+      return { ...flat, ...flattenMessages(messages[key], id) };
+    }
+    return { ...flat, [id]: messages[key] };
+  }, {});
+}
+
+module.exports = {
+  flattenMessages
+};
@@ -0,0 +1,37 @@
+// Offset just past the last import statement, or -1 when there are none
+function findImportsEnd(content) {
+  const importRegex = /^import\s[^;]*;[^\n]*$/gm;
+  let lastImport = null;
+  let match;
+  
+  while ((match = importRegex.exec(content)) !== null) {
+    lastImport = match;
+  }
+  
+  return lastImport ? lastImport.index + lastImport[0].length : -1;
+}
+
+// Insert an import statement after the last existing import
+function addImport(content, importLine) {
+  const insertAt = findImportsEnd(content);
+  
+  if (insertAt === -1) {
+    return `${importLine}\n${content}`;
+  }
+  
+  return `${content.slice(0, insertAt)}\n${importLine}${content.slice(insertAt)}`;
+}
+
+// Apply { start, end, text } edits to a source string, from the end so earlier offsets stay valid
+function applyEdits(content, edits) {
+  return edits
+    .slice()
+    .sort((a, b) => b.start - a.start)
+    .reduce((updated, edit) => updated.slice(0, edit.start) + edit.text + updated.slice(edit.end), content);
+}
+
+module.exports = {
+  findImportsEnd,
+  addImport,
+  applyEdits
+};
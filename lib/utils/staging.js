@@ -0,0 +1,196 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+/*
+ * File access for everything that changes a project.
+ *
+ * Outside a staging session these are the fs-extra functions. Inside one
+ * (beginStaging), writes land in memory and reads see them, so a whole run
+ * can be previewed (--dry-run) before anything touches disk.
+ */
+let staged = null;
+
+function isStaging() {
+  return staged !== null;
+}
+
+// Start keeping writes in memory
+function beginStaging() {
+  staged = new Map();
+}
+
+// Stop staging and forget every staged write
+function discardStaging() {
+  staged = null;
+}
+
+function isInside(file, dir) {
+  const relative = path.relative(dir, file);
+  return relative !== '' && !relative.startsWith('..') && !path.isAbsolute(relative);
+}
+
+// Staged content of a file: a string, null when deleted, undefined when untouched
+function getStaged(file) {
+  return staged && staged.has(path.resolve(file)) ? staged.get(path.resolve(file)) : undefined;
+}
+
+function hasStagedFilesIn(dir) {
+  if (!staged) return false;
+  const resolvedDir = path.resolve(dir);
+  return Array.from(staged.entries()).some(([file, content]) => content !== null && isInside(file, resolvedDir));
+}
+
+function notFound(file) {
+  const err = new Error(`ENOENT: no such file or directory, open '${file}'`);
+  err.code = 'ENOENT';
+  return err;
+}
+
+function toJson(object, { spaces = 2 } = {}) {
+  return `${JSON.stringify(object, null, spaces)}\n`;
+}
+
+async function pathExists(file) {
+  const content = getStaged(file);
+  if (content !== undefined) return content !== null;
+  return hasStagedFilesIn(file) || fs.pathExists(file);
+}
+
+function pathExistsSync(file) {
+  const content = getStaged(file);
+  if (content !== undefined) return content !== null;
+  return hasStagedFilesIn(file) || fs.pathExistsSync(file);
+}
+
+async function readFile(file, encoding) {
+  const content = getStaged(file);
+  if (content === null) throw notFound(file);
+  if (content !== undefined) return encoding ? content : Buffer.from(content);
+  return fs.readFile(file, encoding);
+}
+
+async function readJson(file) {
+  return JSON.parse(await readFile(file, 'utf8'));
+}
+
+function readJsonSync(file) {
+  const content = getStaged(file);
+  if (content === null) throw notFound(file);
+  return content !== undefined ? JSON.parse(content) : fs.readJsonSync(file);
+}
+
+async function readdir(dir) {
+  const entries = new Set(await fs.pathExists(dir) ? await fs.readdir(dir) : []);
+  if (!staged) return Array.from(entries);
+
+  const resolvedDir = path.resolve(dir);
+  staged.forEach((content, file) => {
+    if (!isInside(file, resolvedDir)) return;
+    const entry = path.relative(resolvedDir, file).split(path.sep)[0];
+    if (content !== null) {
+      entries.add(entry);
+    } else if (entry === path.basename(file) && !hasStagedFilesIn(path.join(resolvedDir, entry))) {
+      entries.delete(entry);
+    }
+  });
+  return Array.from(entries).sort();
+}
+
+async function stat(file) {
+  const content = getStaged(file);
+  if (content === null) throw notFound(file);
+  if (content !== undefined) {
+    return { isDirectory: () => false, isFile: () => true, size: Buffer.byteLength(content) };
+  }
+  if (!await fs.pathExists(file) && hasStagedFilesIn(file)) {
+    return { isDirectory: () => true, isFile: () => false, size: 0 };
+  }
+  return fs.stat(file);
+}
+
+async function writeFile(file, content) {
+  if (!staged) return fs.writeFile(file, content);
+  staged.set(path.resolve(file), Buffer.isBuffer(content) ? content.toString('utf8') : String(content));
+}
+
+async function outputFile(file, content) {
+  if (!staged) return fs.outputFile(file, content);
+  return writeFile(file, content);
+}
+
+async function writeJson(file, object, options) {
+  if (!staged) return fs.writeJson(file, object, options);
+  return writeFile(file, toJson(object, options));
+}
+
+async function outputJson(file, object, options) {
+  if (!staged) return fs.outputJson(file, object, options);
+  return writeFile(file, toJson(object, options));
+}
+
+async function copy(source, destination) {
+  if (!staged) return fs.copy(source, destination);
+  return writeFile(destination, await readFile(source, 'utf8'));
+}
+
+async function copyFile(source, destination) {
+  if (!staged) return fs.copyFile(source, destination);
+  return writeFile(destination, await readFile(source, 'utf8'));
+}
+
+// Directories are created along with the files staged into them
+async function ensureDir(dir) {
+  if (!staged) return fs.ensureDir(dir);
+}
+
+async function remove(file) {
+  if (!staged) return fs.remove(file);
+
+  const resolvedFile = path.resolve(file);
+  if (await fs.pathExists(resolvedFile) && (await fs.stat(resolvedFile)).isDirectory()) {
+    for (const entry of await readdir(resolvedFile)) {
+      await remove(path.join(resolvedFile, entry));
+    }
+    return;
+  }
+  staged.set(resolvedFile, null);
+  Array.from(staged.keys())
+    .filter(stagedFile => isInside(stagedFile, resolvedFile))
+    .forEach(stagedFile => staged.set(stagedFile, null));
+}
+
+// Every staged change as { file, before, after }; null stands for a missing file
+async function getStagedChanges() {
+  if (!staged) return [];
+
+  const changes = [];
+  for (const [file, after] of staged.entries()) {
+    const before = await fs.pathExists(file) ? await fs.readFile(file, 'utf8') : null;
+    if (before !== after) {
+      changes.push({ file, before, after });
+    }
+  }
+  return changes.sort((a, b) => a.file.localeCompare(b.file));
+}
+
+module.exports = {
+  isStaging,
+  beginStaging,
+  discardStaging,
+  getStagedChanges,
+  pathExists,
+  pathExistsSync,
+  readFile,
+  readJson,
+  readJsonSync,
+  readdir,
+  stat,
+  writeFile,
+  outputFile,
+  writeJson,
+  outputJson,
+  copy,
+  copyFile,
+  ensureDir,
+  remove
+};
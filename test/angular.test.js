@@ -0,0 +1,117 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { extractStrings } = require('../lib/extractors/angular');
+const angularAdapter = require('../lib/frameworks/angular');
+
+const template = `<h1>Welcome back</h1>
+<input placeholder="Search files" [title]="'Type a name'" class="search">
+<p>Hello {{ user.name }}, you have {{ count }} files</p>
+@if (busy) {
+  <span>Loading files</span>
+}
+<code>ng serve</code>
+`;
+
+const keys = {
+  'Welcome back': 'files.title',
+  'Search files': 'files.search',
+  'Type a name': 'files.name',
+  'Hello {{userName}}, you have {{count}} files': 'files.greeting',
+  'Loading files': 'files.loading'
+};
+
+describe('Angular extraction', () => {
+  test('text, attributes, bound strings and interpolated messages are found in templates', () => {
+    expect(extractStrings(template, '/app/files.component.html').map(entry => [entry.kind, entry.text, entry.userFacing, entry.line])).toEqual([
+      ['template-text', 'Welcome back', true, 1],
+      ['template-attribute', 'Search files', true, 2],
+      ['template-binding', 'Type a name', true, 2],
+      ['template-attribute', 'search', false, 2],
+      ['template-message', 'Hello {{userName}}, you have {{count}} files', true, 3],
+      ['template-text', 'Loading files', true, 5],
+      ['template-text', 'ng serve', false, 7]
+    ]);
+  });
+
+  test('an interpolated message records the values it needs', () => {
+    const message = extractStrings(template, '/app/files.component.html').find(entry => entry.kind === 'template-message');
+    expect(message.values).toEqual([{ name: 'userName', source: 'user.name' }, { name: 'count', source: 'count' }]);
+    expect(template.slice(message.start, message.end)).toBe('Hello {{ user.name }}, you have {{ count }} files');
+  });
+
+  test('inline component templates are found with their component', () => {
+    const code = `import { Component } from '@angular/core';
+
+@Component({
+  selector: 'app-root',
+  template: \`<button title="Close dialog">Close</button>\`
+})
+export class AppComponent {}
+`;
+    const strings = extractStrings(code, '/app/app.component.ts');
+    expect(strings.map(entry => [entry.kind, entry.text, entry.element])).toEqual([
+      ['template-attribute', 'Close dialog', 'button'],
+      ['template-text', 'Close', 'button']
+    ]);
+    expect(strings[1]).toMatchObject({ line: 5, component: { name: 'AppComponent', kind: 'component' } });
+  });
+});
+
+describe('Angular string replacement', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'i18n-adapt-angular-'));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await fs.remove(dir);
+  });
+
+  const replace = async i18nMode => {
+    const file = path.join(dir, 'src/app/files.component.html');
+    await fs.outputFile(file, template);
+    const structure = { rootDir: dir, sourceLocale: 'en', i18nMode, i18nFile: path.join(dir, 'src/assets/i18n') };
+    await angularAdapter.replaceStrings(structure, [file], entry => keys[entry.text]);
+    return fs.readFile(file, 'utf8');
+  };
+
+  test('ngx-translate templates use the translate pipe', async () => {
+    expect(await replace('ngx-translate')).toBe(`<h1>{{ 'files.title' | translate }}</h1>
+<input [placeholder]="'files.search' | translate" [title]="'files.name' | translate" class="search">
+<p>{{ 'files.greeting' | translate: { userName: user.name, count: count } }}</p>
+@if (busy) {
+  <span>{{ 'files.loading' | translate }}</span>
+}
+<code>ng serve</code>
+`);
+    expect(await fs.readJson(path.join(dir, 'src/assets/i18n/en.json'))).toEqual({
+      files: {
+        title: 'Welcome back',
+        search: 'Search files',
+        name: 'Type a name',
+        greeting: 'Hello {{userName}}, you have {{count}} files',
+        loading: 'Loading files'
+      }
+    });
+  });
+
+  test('@angular/localize templates get i18n markers and the source XLIFF', async () => {
+    expect(await replace('localize')).toBe(`<h1 i18n="@@files.title">Welcome back</h1>
+<input i18n-placeholder="@@files.search" placeholder="Search files" [title]="'Type a name'" class="search">
+<p i18n="@@files.greeting">Hello {{ user.name }}, you have {{ count }} files</p>
+@if (busy) {
+  <span i18n="@@files.loading">Loading files</span>
+}
+<code>ng serve</code>
+`);
+    const xliff = await fs.readFile(path.join(dir, 'src/locale/messages.xlf'), 'utf8');
+    expect(xliff).toContain('<trans-unit id="files.title" datatype="html">\n        <source>Welcome back</source>');
+    expect(xliff).toContain('<source>Hello <x id="INTERPOLATION" equiv-text="{{userName}}"/>, you have <x id="INTERPOLATION_1" equiv-text="{{count}}"/> files</source>');
+    expect(xliff).not.toContain('files.name');
+  });
+});
@@ -0,0 +1,82 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { analyze, checkProject } = require('../lib/index');
+const { SOURCE_HASH_FILE, hashSource } = require('../lib/languages/incremental');
+const { buildJUnitReport } = require('../lib/formats/junit');
+const { buildSarifReport } = require('../lib/formats/sarif');
+
+describe('check', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'i18n-adapt-check-'));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    await fs.outputJson(path.join(dir, 'package.json'), { dependencies: { react: '^18.0.0', 'react-i18next': '^13.0.0' } });
+    await fs.outputFile(path.join(dir, 'src/i18n.js'), "import i18n from 'i18next';\nexport default i18n;\n");
+    await fs.outputFile(path.join(dir, 'src/App.jsx'), 'export default function App() {\n  return <h1>Welcome back</h1>;\n}\n');
+    await fs.outputJson(path.join(dir, 'src/locales/en/files.json'), { title: 'Files', save: 'Save changes', empty: 'No files' });
+    await fs.outputJson(path.join(dir, 'src/locales/de/files.json'), { title: 'Ordner', save: 'Save changes', empty: '', old: 'Alt' });
+    // The German title was translated from older source text
+    await fs.outputJson(path.join(dir, SOURCE_HASH_FILE), { de: { 'files.title': hashSource('Folders') } });
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await fs.remove(dir);
+  });
+
+  const check = async options => checkProject(await analyze(dir, { storage: 'json' }), options);
+
+  test('every locale is checked against the catalog, including requested ones without a file', async () => {
+    const report = await check({ languages: ['fr'], threshold: 30 });
+
+    expect(report).toMatchObject({ framework: 'react', sourceLocale: 'en', keys: 3, threshold: 30, passed: false });
+    expect(report.locales).toEqual([
+      { language: 'de', coverage: 33.3, passed: true, missing: [], empty: ['files.empty'], stale: ['files.title'], untranslated: ['files.save'], extra: ['files.old'] },
+      { language: 'fr', coverage: 0, passed: false, missing: ['files.title', 'files.save', 'files.empty'], empty: [], stale: [], untranslated: [], extra: [] }
+    ]);
+    expect(report.hardcoded).toEqual([{ file: 'src/App.jsx', line: 2, column: 14, text: 'Welcome back', key: 'common.welcomeBack' }]);
+  });
+
+  test('hardcoded strings only fail the check when asked to', async () => {
+    expect((await check({ threshold: 30 })).passed).toBe(true);
+    expect((await check({ threshold: 30, failOnHardcoded: true })).passed).toBe(false);
+  });
+
+  test('the JUnit report has a suite per locale and one for hardcoded strings', async () => {
+    const junit = buildJUnitReport(await check({ languages: ['fr'], threshold: 30, failOnHardcoded: true }));
+
+    expect(junit).toContain('<testsuites name="i18n-adapt check" tests="3" failures="2">');
+    expect(junit).toContain(`  <testsuite name="i18n.de" tests="1" failures="0">
+    <testcase name="coverage" classname="i18n.de">
+      <system-out>empty: files.empty
+stale: files.title
+identical to source: files.save
+not in source catalog: files.old</system-out>`);
+    expect(junit).toContain('<failure message="fr coverage 0% is below the 30% threshold">missing: files.title, files.save, files.empty</failure>');
+    expect(junit).toContain('<failure message="1 hardcoded strings left in the UI">src/App.jsx:2 &quot;Welcome back&quot;</failure>');
+  });
+
+  test('the SARIF report rates findings by whether they fail the check', async () => {
+    const sarif = JSON.parse(buildSarifReport(await check({ languages: ['fr'], threshold: 30 })));
+    const results = sarif.runs[0].results.map(({ ruleId, level, properties, locations }) => [
+      ruleId,
+      level,
+      properties ? `${properties.language} ${properties.key}` : locations[0].physicalLocation.artifactLocation.uri
+    ]);
+
+    expect(sarif.version).toBe('2.1.0');
+    expect(results).toEqual([
+      ['i18n/empty-translation', 'warning', 'de files.empty'],
+      ['i18n/stale-translation', 'warning', 'de files.title'],
+      ['i18n/untranslated', 'note', 'de files.save'],
+      ['i18n/extra-key', 'note', 'de files.old'],
+      ['i18n/missing-translation', 'error', 'fr files.title'],
+      ['i18n/missing-translation', 'error', 'fr files.save'],
+      ['i18n/missing-translation', 'error', 'fr files.empty'],
+      ['i18n/hardcoded-string', 'warning', 'src/App.jsx']
+    ]);
+    expect(sarif.runs[0].results[7].locations[0].physicalLocation.region).toEqual({ startLine: 2, startColumn: 14 });
+  });
+});
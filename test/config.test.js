@@ -0,0 +1,92 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { validateConfig, loadConfig, resolveOptions } = require('../lib/config');
+const vueAdapter = require('../lib/frameworks/vue');
+const angularAdapter = require('../lib/frameworks/angular');
+
+let dir;
+
+beforeEach(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'i18n-adapt-config-'));
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(async () => {
+  jest.restoreAllMocks();
+  await fs.remove(dir);
+});
+
+describe('config validation', () => {
+  test('a valid config has no errors', () => {
+    expect(validateConfig({
+      sourceLocale: 'de',
+      targetLocales: ['fr', 'pt-BR'],
+      output: { storage: 'json' },
+      provider: { service: 'deepl', options: { formality: 'less' }, batchSize: 20 },
+      keys: { scope: 'component' },
+      namespaces: { rules: [{ namespace: 'errors', pattern: '^error' }] }
+    })).toEqual([]);
+  });
+
+  test('wrong types, values and unknown options are reported with their path', () => {
+    expect(validateConfig({
+      targetLocales: 'fr',
+      output: { storage: 'yaml' },
+      provider: { batchSize: 0 },
+      check: { threshold: 120 },
+      colour: true,
+      namespaces: { rules: [{ pattern: '(' }] }
+    })).toEqual([
+      'config.targetLocales should be an array, got string',
+      'config.output.storage should be one of inline, json, got yaml',
+      'config.provider.batchSize should be at least 1',
+      'config.check.threshold should be at most 100',
+      'config.colour is not a known option',
+      'config.namespaces.rules[0].namespace is required',
+      expect.stringMatching(/^config\.namespaces\.rules\[0\]\.pattern is not a valid regular expression/)
+    ]);
+  });
+
+  test('an invalid config file is an error naming the file', async () => {
+    await fs.writeJson(path.join(dir, '.i18n-adaptrc.json'), { sourceLocale: 1 });
+    await expect(loadConfig(dir)).rejects.toThrow(`Invalid config file ${path.join(dir, '.i18n-adaptrc.json')}:\n  config.sourceLocale should be a string, got number`);
+  });
+
+  test('a project without a config file gets an empty one', async () => {
+    await expect(loadConfig(dir)).resolves.toEqual({ file: null, config: {} });
+  });
+});
+
+describe('config options', () => {
+  test('command line flags take precedence over the config file', () => {
+    const options = resolveOptions({ sourceLocale: 'de', targetLocales: ['fr', 'it'], provider: { service: 'deepl' } }, { service: 'mock' });
+    expect(options).toMatchObject({ sourceLocale: 'de', languages: ['fr', 'it'], service: 'mock' });
+    expect(options.providerOption.sourceLang).toBe('de');
+  });
+
+  test('a single --language replaces the configured targets', () => {
+    expect(resolveOptions({ targetLocales: ['fr', 'it'] }, { language: 'ja' }).languages).toEqual(['ja']);
+  });
+});
+
+describe('configured source locale', () => {
+  test('a Vue setup starts in the source locale', async () => {
+    await fs.outputJson(path.join(dir, 'package.json'), { dependencies: { vue: '^3.4.0', 'vue-i18n': '^9.0.0' } });
+    await vueAdapter.initialize(dir, { sourceLocale: 'de' });
+
+    expect(await fs.readdir(path.join(dir, 'src/locales'))).toEqual(['de.json']);
+    const setup = await fs.readFile(path.join(dir, 'src/i18n.js'), 'utf8');
+    expect(setup).toContain("import de from './locales/de.json';");
+    expect(setup).toContain("locale: 'de',\n  fallbackLocale: 'de',");
+  });
+
+  test('an ngx-translate setup starts in the source locale', async () => {
+    await fs.outputJson(path.join(dir, 'package.json'), { dependencies: { '@angular/core': '^17.0.0' } });
+    await fs.outputFile(path.join(dir, 'src/app/app.module.ts'), "import { NgModule } from '@angular/core';\n\n@NgModule({\n  imports: []\n})\nexport class AppModule {}\n");
+    await angularAdapter.initialize(dir, { sourceLocale: 'de' });
+
+    expect(await fs.readdir(path.join(dir, 'src/assets/i18n'))).toEqual(['de.json']);
+    expect(await fs.readFile(path.join(dir, 'src/app/app.module.ts'), 'utf8')).toContain("defaultLanguage: 'de'");
+  });
+});
@@ -0,0 +1,147 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { buildExchangeFile, parseExchangeFile, detectExchangeFormat } = require('../lib/languages/exchange');
+const { buildXliff12, parseXliff12 } = require('../lib/formats/xliff');
+const { init, loadProject, importTranslations } = require('../lib/index');
+
+const units = [
+  {
+    key: 'cart.summary',
+    source: 'You have {{count}} items, "total": <b>{{total}}</b> & more',
+    target: 'Vous avez {{count}} articles, « total » : <b>{{total}}</b> & plus',
+    state: 'reviewed',
+    notes: ['Shown above the cart, keep it short'],
+    files: ['src/Cart.jsx', 'src/Checkout.jsx']
+  },
+  {
+    key: 'cart.address',
+    source: 'Street, number\nPostcode, city',
+    target: 'Rue, numéro\nCode postal, ville',
+    state: 'machine-translated',
+    notes: [],
+    files: ['src/Address.jsx']
+  },
+  {
+    key: 'cart.empty',
+    source: 'Your cart is empty',
+    target: '',
+    state: 'untranslated',
+    notes: [],
+    files: []
+  }
+];
+
+describe.each(['xliff', 'po', 'csv'])('%s round trip', format => {
+  const content = buildExchangeFile(format, { sourceLanguage: 'en', language: 'fr', units });
+  const parsed = parseExchangeFile(format, content);
+
+  test('keeps keys, source and target text', () => {
+    expect(parsed.units.map(unit => [unit.key, unit.source, unit.target || ''])).toEqual(
+      units.map(unit => [unit.key, unit.source, unit.target])
+    );
+  });
+
+  test('keeps whether a translation was reviewed', () => {
+    expect(parsed.units.map(unit => unit.state)).toEqual(['reviewed', 'machine-translated', null]);
+  });
+
+  test('keeps the language where the format records it', () => {
+    expect(parsed.language).toBe(format === 'csv' ? null : 'fr');
+  });
+});
+
+describe('exchange files', () => {
+  test('the format comes from the extension', () => {
+    expect(detectExchangeFormat('fr.XLF')).toBe('xliff');
+    expect(detectExchangeFormat('messages.xliff')).toBe('xliff');
+    expect(detectExchangeFormat('fr.po')).toBe('po');
+    expect(detectExchangeFormat('fr.csv')).toBe('csv');
+    expect(detectExchangeFormat('fr.json')).toBeNull();
+  });
+
+  test('an unknown format is an error', () => {
+    expect(() => buildExchangeFile('docx', { sourceLanguage: 'en', language: 'fr', units })).toThrow('Unsupported translation file format: docx');
+  });
+
+  test('a CSV without a target column is an error', () => {
+    expect(() => parseExchangeFile('csv', 'key,source\ncart.empty,Your cart is empty\n')).toThrow('missing target');
+  });
+
+  test('XLIFF 1.2 from a CAT tool is read with its review states', () => {
+    const content = buildXliff12({
+      sourceLanguage: 'en',
+      targetLanguage: 'fr',
+      units: [
+        { id: 'cart.empty', source: 'Your cart is empty', target: 'Votre panier est vide', state: 'final' },
+        { id: 'cart.title', source: 'Cart', target: 'Panier', state: 'needs-review-translation' }
+      ]
+    });
+
+    expect(parseExchangeFile('xliff', content)).toEqual({
+      language: 'fr',
+      units: [
+        { key: 'cart.empty', source: 'Your cart is empty', target: 'Votre panier est vide', state: 'reviewed' },
+        { key: 'cart.title', source: 'Cart', target: 'Panier', state: 'machine-translated' }
+      ]
+    });
+  });
+});
+
+describe('Angular XLIFF 1.2', () => {
+  test('interpolations are written as <x/> placeholders and read back', () => {
+    const content = buildXliff12({
+      sourceLanguage: 'en',
+      targetLanguage: 'de',
+      units: [{ id: 'greeting', source: 'Hello {{name}}, {{count}} new <messages>', target: '{{count}} neue <Nachrichten> für {{name}}' }]
+    });
+
+    expect(content).toContain('<source>Hello <x id="INTERPOLATION" equiv-text="{{name}}"/>, <x id="INTERPOLATION_1" equiv-text="{{count}}"/> new &lt;messages&gt;</source>');
+    expect(content).toContain('<target state="translated"><x id="INTERPOLATION_1" equiv-text="{{count}}"/> neue &lt;Nachrichten&gt; für <x id="INTERPOLATION" equiv-text="{{name}}"/></target>');
+    expect(parseXliff12(content)).toEqual([
+      expect.objectContaining({
+        id: 'greeting',
+        source: 'Hello {{name}}, {{count}} new <messages>',
+        target: '{{count}} neue <Nachrichten> für {{name}}'
+      })
+    ]);
+  });
+});
+
+describe('importing translations', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'i18n-adapt-import-'));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    await fs.outputJson(path.join(dir, 'package.json'), { dependencies: { react: '^18.0.0', 'react-i18next': '^13.0.0' } });
+    await fs.outputFile(path.join(dir, 'src/App.jsx'), 'export default function App() { return null; }\n');
+    await init(dir, { storage: 'json' });
+    await fs.outputJson(path.join(dir, 'src/locales/en/files.json'), { count_one: '{{count}} file', count_other: '{{count}} files' });
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await fs.remove(dir);
+  });
+
+  const importForms = async (language, forms) => {
+    const project = await loadProject(dir, { storage: 'json' });
+    return importTranslations(project, language, Object.keys(forms).map(category => ({
+      key: `files.count_${category}`,
+      source: category === 'one' ? '{{count}} file' : '{{count}} files',
+      target: forms[category],
+      state: 'reviewed'
+    })));
+  };
+
+  test('a form may spell its count out only where machine translation may', async () => {
+    const german = await importForms('de', { one: 'eine Datei', other: '{{count}} Dateien' });
+    expect(german.imported).toEqual(['files.count_one', 'files.count_other']);
+    expect(german.rejected).toEqual([]);
+
+    const french = await importForms('fr', { one: 'un fichier', many: '{{count}} fichiers', other: '{{count}} fichiers' });
+    expect(french.imported).toEqual(['files.count_many', 'files.count_other']);
+    expect(french.rejected).toEqual([{ key: 'files.count_one', translation: 'un fichier', problems: ['missing {{count}}'] }]);
+  });
+});
@@ -0,0 +1,120 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { loadGlossary, getTermsFor, maskTerms, checkTerms } = require('../lib/languages/glossary');
+const { maskPlaceholders } = require('../lib/languages/placeholders');
+const { registerProvider, translateStrings } = require('../lib/languages/processors');
+
+const glossary = [
+  { term: 'Acme', translations: {}, doNotTranslate: true },
+  { term: 'Acme Cloud', translations: { de: 'Acme Cloud' }, doNotTranslate: false },
+  { term: 'workspace', translations: { de: 'Arbeitsbereich', pt: 'espaço de trabalho', 'pt-BR': 'área de trabalho' }, doNotTranslate: false }
+];
+
+let dir;
+
+beforeEach(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'i18n-adapt-glossary-'));
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(async () => {
+  jest.restoreAllMocks();
+  await fs.remove(dir);
+});
+
+describe('glossary files', () => {
+  test('a CSV has a term column, a column per language and an optional do-not-translate flag', async () => {
+    const file = path.join(dir, 'glossary.csv');
+    await fs.outputFile(file, 'en,de,fr,do_not_translate,note\nworkspace,Arbeitsbereich,espace de travail,,Main screen\nAcme,,,yes,Brand\n,,,,\n');
+
+    expect(await loadGlossary({ glossaryFile: file, doNotTranslate: ['GitHub'] })).toEqual([
+      { term: 'GitHub', translations: {}, doNotTranslate: true },
+      { term: 'workspace', translations: { de: 'Arbeitsbereich', fr: 'espace de travail' }, doNotTranslate: false },
+      { term: 'Acme', translations: {}, doNotTranslate: true }
+    ]);
+  });
+
+  test('a TBX termbase finds the term under a regional source language', async () => {
+    const file = path.join(dir, 'glossary.tbx');
+    await fs.outputFile(file, `<?xml version="1.0"?>
+<martif type="TBX"><text><body>
+  <termEntry>
+    <langSet xml:lang="en-US"><tig><term>workspace</term></tig></langSet>
+    <langSet xml:lang="de"><tig><term>Arbeitsbereich</term></tig></langSet>
+  </termEntry>
+  <termEntry>
+    <descrip type="doNotTranslate">yes</descrip>
+    <langSet xml:lang="en"><tig><term>Acme</term></tig></langSet>
+  </termEntry>
+</body></text></martif>
+`);
+
+    expect(await loadGlossary({ glossaryFile: file, sourceLang: 'en' })).toEqual([
+      { term: 'workspace', translations: { de: 'Arbeitsbereich' }, doNotTranslate: false },
+      { term: 'Acme', translations: {}, doNotTranslate: true }
+    ]);
+  });
+
+  test('a missing or unsupported file is an error', async () => {
+    await expect(loadGlossary({ glossaryFile: path.join(dir, 'missing.csv') })).rejects.toThrow('Glossary file not found');
+    await fs.outputFile(path.join(dir, 'glossary.txt'), 'Acme');
+    await expect(loadGlossary({ glossaryFile: path.join(dir, 'glossary.txt') })).rejects.toThrow('Unsupported glossary format');
+  });
+});
+
+describe('glossary terms', () => {
+  test('a language gets its own translation, or its primary language\'s, longest terms first', () => {
+    expect(getTermsFor(glossary, 'de')).toEqual([
+      { term: 'Acme Cloud', translation: 'Acme Cloud', doNotTranslate: true },
+      { term: 'workspace', translation: 'Arbeitsbereich', doNotTranslate: false },
+      { term: 'Acme', translation: 'Acme', doNotTranslate: true }
+    ]);
+    expect(getTermsFor(glossary, 'pt-BR')[0]).toEqual({ term: 'workspace', translation: 'área de trabalho', doNotTranslate: false });
+    expect(getTermsFor(glossary, 'pt-PT')[0]).toEqual({ term: 'workspace', translation: 'espaço de trabalho', doNotTranslate: false });
+    expect(getTermsFor(glossary, 'fr').map(({ term }) => term)).toEqual(['Acme']);
+  });
+
+  test('do-not-translate terms are masked as whole words after the placeholders', () => {
+    const masked = maskTerms(maskPlaceholders('{{count}} files in Acme Cloud, not Acmeville'), getTermsFor(glossary, 'de'));
+    expect(masked).toEqual({ text: '⟦0⟧ files in ⟦1⟧, not Acmeville', placeholders: ['{{count}}', 'Acme Cloud'] });
+  });
+
+  test('translations that change a kept term or skip a mandated one are reported', () => {
+    const terms = getTermsFor(glossary, 'de');
+    expect(checkTerms('Open your Acme workspace', 'Öffne deinen Acme-Arbeitsbereich', terms)).toEqual([]);
+    expect(checkTerms('Open your Acme workspace', 'Öffne deinen ACME-Bereich', terms)).toEqual([
+      '"workspace" should be translated as "Arbeitsbereich"',
+      '"Acme" should stay untranslated'
+    ]);
+  });
+});
+
+describe('glossary in translation', () => {
+  test('providers never see do-not-translate terms, and translations are checked against the glossary', async () => {
+    const requests = [];
+    registerProvider({
+      name: 'glossary-test',
+      description: 'Test provider',
+      translationMemory: false,
+      limits: { maxBatchSize: 50, delayMs: 0 },
+      translate: async texts => {
+        requests.push(...texts);
+        return texts.map(text => text.toUpperCase());
+      }
+    });
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const glossaryFile = path.join(dir, 'glossary.csv');
+    await fs.outputFile(glossaryFile, 'term,de\nworkspace,Arbeitsbereich\n');
+
+    const result = await translateStrings(['Sync {{count}} files to Acme', 'Open the workspace'], 'de', 'key', 'glossary-test', [
+      { key: 'sync.files', text: 'Sync {{count}} files to Acme' },
+      { key: 'sync.open', text: 'Open the workspace' }
+    ], { doNotTranslate: ['Acme'], glossaryFile });
+
+    expect(requests).toEqual(['Sync ⟦0⟧ files to ⟦1⟧', 'Open the workspace']);
+    expect(result).toEqual({ sync: { files: 'SYNC {{count}} FILES TO Acme', open: 'OPEN THE WORKSPACE' } });
+    expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('1 translations don\'t follow the glossary'));
+    expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('sync.open: "workspace" should be translated as "Arbeitsbereich"'));
+  });
+});
@@ -0,0 +1,109 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const {
+  SOURCE_HASH_FILE,
+  hashSource,
+  loadSourceHashes,
+  planTranslations,
+  recordSourceHashes,
+  forgetSourceHashes
+} = require('../lib/languages/incremental');
+
+const keys = [
+  { key: 'files.title', text: 'Files' },
+  { key: 'files.save', text: 'Save changes' },
+  { key: 'files.close', text: 'Close' },
+  { key: 'files.empty', text: 'No files yet' }
+];
+
+const existing = {
+  files: {
+    title: 'Dateien',
+    save: 'Speichern',
+    close: 'Schließen',
+    empty: '',
+    old: 'Alt'
+  }
+};
+
+// The German title and close were translated from the current text, save from an earlier one
+const hashes = {
+  'files.title': hashSource('Files'),
+  'files.save': hashSource('Save')
+};
+
+const keysOf = entries => entries.map(entry => entry.key);
+
+describe('incremental planning', () => {
+  test('keys are sorted into new, changed, unchanged and orphaned', () => {
+    const plan = planTranslations(keys, existing, hashes);
+
+    expect(keysOf(plan.new)).toEqual(['files.empty']);
+    expect(keysOf(plan.changed)).toEqual(['files.save']);
+    expect(keysOf(plan.unchanged)).toEqual(['files.title', 'files.close']);
+    expect(keysOf(plan.pending)).toEqual(['files.save', 'files.empty']);
+    expect(plan.orphaned).toEqual(['files.old']);
+  });
+
+  test('without recorded hashes every existing translation counts as current', () => {
+    const plan = planTranslations(keys, existing);
+    expect(keysOf(plan.pending)).toEqual(['files.empty']);
+    expect(keysOf(plan.unchanged)).toEqual(['files.title', 'files.save', 'files.close']);
+  });
+
+  test('force all retranslates unchanged keys too', () => {
+    const plan = planTranslations(keys, existing, hashes, true);
+    expect(keysOf(plan.pending)).toEqual(['files.title', 'files.save', 'files.close', 'files.empty']);
+    expect(keysOf(plan.unchanged)).toEqual(['files.title', 'files.close']);
+  });
+});
+
+describe('source hashes', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'i18n-adapt-hashes-'));
+  });
+
+  afterEach(async () => {
+    await fs.remove(dir);
+  });
+
+  test('translated and unchanged keys are recorded, failed ones are not', async () => {
+    const plan = planTranslations(keys, existing, hashes);
+    // The new key failed to translate
+    await recordSourceHashes(dir, 'de', plan, { files: { save: 'Änderungen speichern' } });
+
+    expect(await loadSourceHashes(dir)).toEqual({
+      de: {
+        'files.close': hashSource('Close'),
+        'files.save': hashSource('Save changes'),
+        'files.title': hashSource('Files')
+      }
+    });
+    expect(planTranslations(keys, { files: { ...existing.files, save: 'Änderungen speichern' } }, (await loadSourceHashes(dir)).de).pending)
+      .toEqual([keys[3]]);
+  });
+
+  test('records are kept per language and written sorted', async () => {
+    await recordSourceHashes(dir, 'fr', planTranslations(keys.slice(0, 1), {}), { files: { title: 'Fichiers' } });
+    await recordSourceHashes(dir, 'de', planTranslations(keys.slice(0, 1), {}), { files: { title: 'Dateien' } });
+
+    const content = await fs.readFile(path.join(dir, SOURCE_HASH_FILE), 'utf8');
+    expect(Object.keys(JSON.parse(content))).toEqual(['de', 'fr']);
+  });
+
+  test('removed keys are forgotten in every language', async () => {
+    await recordSourceHashes(dir, 'de', planTranslations(keys, {}), { files: { title: 'Dateien', close: 'Schließen' } });
+    await recordSourceHashes(dir, 'fr', planTranslations(keys, {}), { files: { title: 'Fichiers' } });
+    await forgetSourceHashes(dir, ['files.title']);
+
+    expect(await loadSourceHashes(dir)).toEqual({ de: { 'files.close': hashSource('Close') }, fr: {} });
+  });
+
+  test('an unreadable record is an error', async () => {
+    await fs.outputFile(path.join(dir, SOURCE_HASH_FILE), '{');
+    await expect(loadSourceHashes(dir)).rejects.toThrow('Could not read source hashes');
+  });
+});
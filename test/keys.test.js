@@ -0,0 +1,68 @@
+const path = require('path');
+const { assignKeys, createKeyLookup } = require('../lib/languages/keys');
+
+const rootDir = path.resolve('/project');
+
+function occurrence(text, extra = {}) {
+  return {
+    text,
+    file: path.join(rootDir, 'src/Header.jsx'),
+    component: { name: 'Header' },
+    element: 'h1',
+    ...extra
+  };
+}
+
+function run(registry, occurrences, scope = 'global') {
+  return assignKeys(registry, occurrences.map(item => item.text), occurrences, { scope, rootDir, namespaces: {} });
+}
+
+describe('key stability', () => {
+  test('the same text keeps its key across runs', () => {
+    const registry = { scope: null, overrides: {}, entries: {} };
+    const first = run(registry, [occurrence('Welcome back'), occurrence('Sign out', { element: 'p' })]);
+    const second = run(registry, [occurrence('Sign out', { element: 'p' }), occurrence('Welcome back')]);
+
+    expect(second.keyMap).toEqual(first.keyMap);
+    expect(second.renamed).toEqual([]);
+  });
+
+  test('text edited in the same place keeps its key', () => {
+    const registry = { scope: null, overrides: {}, entries: {} };
+    const { keyMap } = run(registry, [occurrence('Welcome back')]);
+    const key = keyMap['Welcome back'];
+
+    const edited = run(registry, [occurrence('Welcome back!')]);
+    expect(edited.keyMap['Welcome back!']).toBe(key);
+    expect(edited.renamed).toEqual([{ key, from: 'Welcome back', to: 'Welcome back!' }]);
+  });
+
+  test('an override wins over the generated key and is kept', () => {
+    const registry = { scope: null, overrides: { 'Welcome back': 'home.greeting' }, entries: {} };
+    expect(run(registry, [occurrence('Welcome back')]).keyMap['Welcome back']).toBe('home.greeting');
+    expect(run(registry, [occurrence('Welcome back')]).keyMap['Welcome back']).toBe('home.greeting');
+  });
+
+  test('the same text on a button gets a key of its own', () => {
+    const registry = { scope: null, overrides: {}, entries: {} };
+    const heading = occurrence('Open');
+    const button = occurrence('Open', { element: 'button' });
+    const { keyMap } = run(registry, [heading, button]);
+    const keyFor = createKeyLookup(keyMap, { scope: 'global', rootDir });
+
+    expect(keyFor(button)).not.toBe(keyFor(heading));
+    expect(keyFor(button)).toBe(`${keyFor(heading)}Action`);
+    expect(run(registry, [button, heading]).keyMap).toEqual(keyMap);
+  });
+
+  test('file scope gives each file its own key for a shared text', () => {
+    const registry = { scope: null, overrides: {}, entries: {} };
+    const header = occurrence('Save');
+    const footer = occurrence('Save', { file: path.join(rootDir, 'src/Footer.jsx'), component: { name: 'Footer' } });
+    const { keyMap } = run(registry, [header, footer], 'file');
+    const keyFor = createKeyLookup(keyMap, { scope: 'file', rootDir });
+
+    expect(keyFor(header)).not.toBe(keyFor(footer));
+    expect(registry.entries[keyFor(footer)].context).toBe('src/Footer.jsx');
+  });
+});
@@ -0,0 +1,149 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const {
+  loadMemory,
+  findInMemory,
+  addToMemory,
+  deferMemoryWrites,
+  commitMemoryWrites,
+  discardMemoryWrites,
+  importTmx,
+  exportTmx
+} = require('../lib/languages/memory');
+
+let dir;
+
+beforeEach(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'i18n-adapt-tm-'));
+});
+
+afterEach(async () => {
+  await fs.remove(dir);
+});
+
+describe('translation memory lookup', () => {
+  test('a text with a sense does not reuse a provider translation made without one', async () => {
+    const memory = await loadMemory(dir, 'en', 'es');
+    await addToMemory(memory, [{ source: 'Open', target: 'Abierto', provider: 'gemini' }]);
+
+    expect(findInMemory(memory, 'Open', { provider: 'gemini' })).toBe('Abierto');
+    expect(findInMemory(memory, 'Open', { context: 'action', provider: 'gemini' })).toBeNull();
+  });
+
+  test('a text with a sense prefers its own translation, then a translator\'s', async () => {
+    const memory = await loadMemory(dir, 'en', 'es');
+    await addToMemory(memory, [{ source: 'Open', target: 'Abierto' }]);
+    expect(findInMemory(memory, 'Open', { context: 'action', provider: 'gemini' })).toBe('Abierto');
+
+    await addToMemory(memory, [{ source: 'Open', target: 'Abrir', context: 'action', provider: 'gemini' }]);
+    expect(findInMemory(memory, 'Open', { context: 'action', provider: 'gemini' })).toBe('Abrir');
+    expect(findInMemory(memory, 'Open', { context: 'action', provider: 'deepl' })).toBe('Abierto');
+  });
+});
+
+describe('translation memory writes', () => {
+  afterEach(() => {
+    discardMemoryWrites();
+  });
+
+  const readLines = async () => (await fs.readFile(path.join(dir, 'en/de.jsonl'), 'utf8')).trim().split('\n').map(line => JSON.parse(line));
+
+  test('translations are appended once, and a changed one replaces the earlier line', async () => {
+    const memory = await loadMemory(dir, 'en', 'de');
+    expect(await addToMemory(memory, [{ source: 'Save', target: 'Speichern', provider: 'deepl' }, { source: 'Empty', target: '' }])).toBe(1);
+    expect(await addToMemory(memory, [{ source: 'Save', target: 'Speichern', provider: 'deepl' }])).toBe(0);
+    await addToMemory(memory, [{ source: 'Save', target: 'Sichern', provider: 'deepl' }]);
+
+    expect((await readLines()).map(({ target }) => target)).toEqual(['Speichern', 'Sichern']);
+    expect(findInMemory(await loadMemory(dir, 'en', 'de'), 'Save', { provider: 'deepl' })).toBe('Sichern');
+  });
+
+  test('deferred translations are written only when committed', async () => {
+    deferMemoryWrites();
+    const memory = await loadMemory(dir, 'en', 'de');
+    await addToMemory(memory, [{ source: 'Save', target: 'Speichern' }]);
+
+    expect(await fs.pathExists(path.join(dir, 'en/de.jsonl'))).toBe(false);
+    expect(findInMemory(await loadMemory(dir, 'en', 'de'), 'Save')).toBe('Speichern');
+
+    await commitMemoryWrites();
+    expect(await readLines()).toMatchObject([{ source: 'Save', target: 'Speichern', context: '', provider: null }]);
+  });
+
+  test('discarded translations are never written', async () => {
+    deferMemoryWrites();
+    await addToMemory(await loadMemory(dir, 'en', 'de'), [{ source: 'Save', target: 'Speichern' }]);
+    discardMemoryWrites();
+    await commitMemoryWrites();
+
+    expect(await fs.pathExists(path.join(dir, 'en/de.jsonl'))).toBe(false);
+    expect(findInMemory(await loadMemory(dir, 'en', 'de'), 'Save')).toBeNull();
+  });
+
+  test('unreadable lines are skipped with a warning', async () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    await fs.outputFile(path.join(dir, 'en/de.jsonl'), '{"source":"Save","target":"Speichern","context":"","provider":null}\n{broken\n');
+
+    expect(findInMemory(await loadMemory(dir, 'en', 'de'), 'Save')).toBe('Speichern');
+    expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('Skipped 1 unreadable lines'));
+    jest.restoreAllMocks();
+  });
+});
+
+describe('TMX exchange', () => {
+  const tmx = `<?xml version="1.0" encoding="UTF-8"?>
+<tmx version="1.4">
+  <header srclang="en-US" datatype="plaintext"/>
+  <body>
+    <tu>
+      <tuv xml:lang="en-US"><seg>Save &amp; close</seg></tuv>
+      <tuv xml:lang="de"><seg>Speichern &amp; schließen</seg></tuv>
+      <tuv xml:lang="fr"><seg>Enregistrer et fermer</seg></tuv>
+    </tu>
+    <tu>
+      <prop type="x-context">action</prop>
+      <prop type="x-provider">deepl</prop>
+      <tuv xml:lang="en-US"><seg>Open</seg></tuv>
+      <tuv xml:lang="de"><seg>Öffnen</seg></tuv>
+    </tu>
+  </body>
+</tmx>
+`;
+
+  test('an import files a regional source language under the project\'s and keeps contexts and providers', async () => {
+    expect(await importTmx(dir, tmx, { sourceLang: 'en' })).toEqual({ sourceLanguage: 'en', units: 2, imported: { de: 2, fr: 1 } });
+
+    const german = await loadMemory(dir, 'en', 'de');
+    expect(findInMemory(german, 'Save & close', { provider: 'deepl' })).toBe('Speichern & schließen');
+    expect(findInMemory(german, 'Open', { context: 'action', provider: 'deepl' })).toBe('Öffnen');
+    expect(findInMemory(german, 'Open', { provider: 'deepl' })).toBeNull();
+    expect(findInMemory(await loadMemory(dir, 'en', 'fr'), 'Save & close')).toBe('Enregistrer et fermer');
+  });
+
+  test('an export imports back to the same memory', async () => {
+    await importTmx(dir, tmx, { sourceLang: 'en' });
+    const exported = await exportTmx(dir, { sourceLang: 'en' });
+
+    expect(exported).toMatchObject({ units: 2 });
+    expect(exported.languages.sort()).toEqual(['de', 'fr']);
+    expect(exported.content).toContain('<tuv xml:lang="de"><seg>Speichern &amp; schließen</seg></tuv>');
+    expect(exported.content).toContain('<prop type="x-provider">deepl</prop>');
+
+    const copy = await fs.mkdtemp(path.join(os.tmpdir(), 'i18n-adapt-tm-'));
+    try {
+      expect(await importTmx(copy, exported.content)).toEqual({ sourceLanguage: 'en', units: 2, imported: { de: 2, fr: 1 } });
+      expect((await exportTmx(copy, { sourceLang: 'en' })).content).toBe(exported.content);
+    } finally {
+      await fs.remove(copy);
+    }
+  });
+
+  test('an export can be limited to some languages', async () => {
+    await importTmx(dir, tmx, { sourceLang: 'en' });
+    const exported = await exportTmx(dir, { sourceLang: 'en', languages: ['fr'] });
+
+    expect(exported).toMatchObject({ languages: ['fr'], units: 1 });
+    expect(exported.content).not.toContain('xml:lang="de"');
+  });
+});
@@ -0,0 +1,53 @@
+const {
+  maskPlaceholders,
+  restorePlaceholders,
+  comparePlaceholders,
+  hasTranslatableText
+} = require('../lib/languages/placeholders');
+
+describe('placeholder validation', () => {
+  test('a translation with the same placeholders passes', () => {
+    expect(comparePlaceholders('Hello {{name}}, you have <b>{{count}}</b> messages', 'Hallo {{name}}, du hast <b>{{count}}</b> Nachrichten')).toEqual([]);
+  });
+
+  test('missing and unexpected placeholders are reported', () => {
+    expect(comparePlaceholders('{{count}} new messages for {{name}}', '{{ name }}: nouveaux messages {name}')).toEqual([
+      'missing {{count}}',
+      'missing {{name}}',
+      'unexpected {{ name }}',
+      'unexpected {name}'
+    ]);
+  });
+
+  test('ICU syntax has to survive, its sub-messages do not', () => {
+    const source = '{count, plural, one {# file} other {# files}}';
+    expect(comparePlaceholders(source, '{count, plural, one {# fichier} other {# fichiers}}')).toEqual([]);
+    expect(comparePlaceholders(source, '{count, plural, one {un fichier} other {# fichiers}}')).toEqual(['missing #']);
+  });
+
+  test('text made only of placeholders has nothing to translate', () => {
+    expect(hasTranslatableText('{{count}} <br/> %s')).toBe(false);
+    expect(hasTranslatableText('{{count}} items')).toBe(true);
+  });
+});
+
+describe('placeholder masking', () => {
+  test('placeholders are masked and put back', () => {
+    const masked = maskPlaceholders('Hello <b>{{name}}</b>, you owe %1$d €');
+    expect(masked).toEqual({ text: 'Hello ⟦0⟧, you owe ⟦1⟧ €', placeholders: ['<b>{{name}}</b>', '%1$d'] });
+
+    expect(restorePlaceholders('Bonjour ⟦0⟧, vous devez ⟦1⟧ €', masked)).toEqual({
+      text: 'Bonjour <b>{{name}}</b>, vous devez %1$d €',
+      problems: []
+    });
+  });
+
+  test('dropped, duplicated and invented tokens are reported', () => {
+    const masked = maskPlaceholders('{{a}} and {{b}}');
+    expect(restorePlaceholders('⟦0⟧ et ⟦0⟧ ⟦2⟧', masked).problems).toEqual([
+      'duplicated {{a}}',
+      'dropped {{b}}',
+      'unknown token ⟦2⟧'
+    ]);
+  });
+});
@@ -0,0 +1,141 @@
+const {
+  getPluralCategories,
+  canOmitCount,
+  getCatalogMessages,
+  expandPlurals,
+  parseIcuPlural,
+  createPluralRequests,
+  assemblePluralTranslations
+} = require('../lib/languages/plurals');
+
+describe('plural categories', () => {
+  test.each([
+    ['en', ['one', 'other']],
+    ['fr', ['one', 'many', 'other']],
+    ['ru', ['one', 'few', 'many', 'other']],
+    ['ar', ['zero', 'one', 'two', 'few', 'many', 'other']],
+    ['ja', ['other']]
+  ])('%s has %j', (language, categories) => {
+    expect(getPluralCategories(language)).toEqual(categories);
+  });
+
+  test('an unknown locale falls back to one and other', () => {
+    expect(getPluralCategories('not a locale')).toEqual(['one', 'other']);
+  });
+});
+
+describe('catalog messages', () => {
+  const plural = { one: '{{count}} file', other: '{{count}} files' };
+
+  test('i18next stores one key per form', () => {
+    expect(getCatalogMessages('files.count', '{{count}} files', plural)).toEqual([
+      ['files.count_one', '{{count}} file'],
+      ['files.count_other', '{{count}} files']
+    ]);
+  });
+
+  test('ICU stores a single plural message', () => {
+    expect(getCatalogMessages('files.count', '{{count}} files', plural, 'icu')).toEqual([
+      ['files.count', '{count, plural, one {# file} other {# files}}']
+    ]);
+  });
+
+  test('a language gets one key per category it uses', () => {
+    const entries = [
+      { key: 'files.count_one', text: '{{count}} file' },
+      { key: 'files.count_other', text: '{{count}} files' },
+      { key: 'files.title', text: 'Files' }
+    ];
+
+    const expanded = expandPlurals(entries, 'ru');
+    expect(expanded.map(entry => entry.key)).toEqual([
+      'files.count_one',
+      'files.count_few',
+      'files.count_many',
+      'files.count_other',
+      'files.title'
+    ]);
+    expect(expanded.find(entry => entry.key === 'files.count_few')).toMatchObject({
+      text: '{{count}} files',
+      plural: { category: 'few' }
+    });
+    expect(expandPlurals(entries, 'ja').map(entry => entry.key)).toEqual(['files.count_other', 'files.title']);
+  });
+
+  test('an ICU plural is split into whole sentences', () => {
+    expect(parseIcuPlural('You have {n, plural, one {# file} other {# files}}.')).toEqual({
+      variable: 'n',
+      forms: { one: 'You have # file.', other: 'You have # files.' }
+    });
+    expect(parseIcuPlural('No plural here')).toBeNull();
+  });
+});
+
+describe('plural translation', () => {
+  // Stands in for a provider: "N files" -> "N fichiers", keeping the number
+  const translate = requests => {
+    const translations = {};
+    requests.forEach(({ key, text }) => {
+      translations[key] = text.replace(/files?/, match => (match === 'file' ? 'fichier' : 'fichiers'));
+    });
+    return translations;
+  };
+
+  test('each category is translated with a sample count and gets the count back', () => {
+    const entries = expandPlurals([
+      { key: 'files.count_one', text: '{{count}} file' },
+      { key: 'files.count_other', text: '{{count}} files' }
+    ], 'fr');
+    const { requests, plurals } = createPluralRequests(entries, 'fr');
+
+    expect(requests.map(request => request.text)).toEqual(['1 file', '1000000 files', '2 files']);
+
+    const result = assemblePluralTranslations(translate(requests), plurals, 'fr');
+    expect(result.files).toEqual({
+      count_one: '{{count}} fichier',
+      count_many: '{{count}} fichiers',
+      count_other: '{{count}} fichiers'
+    });
+  });
+
+  test('an ICU message is rebuilt with every category of the target language', () => {
+    const { requests, plurals } = createPluralRequests([
+      { key: 'files.count', text: '{count, plural, one {# file} other {# files}}' }
+    ], 'ru');
+
+    const result = assemblePluralTranslations(translate(requests), plurals, 'ru');
+    expect(result.files.count).toBe('{count, plural, one {# fichier} few {# fichiers} many {# fichiers} other {# fichiers}}');
+  });
+
+  test('a form that holds a single number may spell its count out', () => {
+    const { requests, plurals } = createPluralRequests([
+      { key: 'files.count_one', text: '{{count}} file', plural: { category: 'one', forms: { one: '{{count}} file', other: '{{count}} files' } } }
+    ], 'de');
+
+    expect(assemblePluralTranslations({ [requests[0].key]: 'eine Datei' }, plurals, 'de')).toEqual({ files: { count_one: 'eine Datei' } });
+  });
+
+  test.each([
+    ['one', 'de', true],
+    ['one', 'fr', false],
+    ['one', 'ru', false],
+    ['zero', 'ar', true],
+    ['two', 'ar', true],
+    ['two', 'sl', false],
+    ['other', 'en', false]
+  ])('the %s form may leave out the count in %s: %s', (category, language, expected) => {
+    expect(canOmitCount(category, language)).toBe(expected);
+  });
+
+  test('a form that loses its count is not saved', () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const { requests, plurals } = createPluralRequests([
+      { key: 'files.count_one', text: '{{count}} file', plural: { category: 'one', forms: { one: '{{count}} file', other: '{{count}} files' } } }
+    ], 'fr');
+
+    const result = assemblePluralTranslations({ [requests[0].key]: 'un fichier' }, plurals, 'fr');
+    expect(result).toEqual({});
+    expect(warn).toHaveBeenCalled();
+    warn.mockRestore();
+  });
+});
@@ -0,0 +1,55 @@
+const { registerProvider, translateStrings } = require('../lib/languages/processors');
+
+// Records every request and echoes each text back in upper case
+function createProvider(name, contextPerRequest) {
+  const requests = [];
+  registerProvider({
+    name,
+    description: 'Test provider',
+    contextPerRequest,
+    translationMemory: false,
+    limits: { maxBatchSize: 50, delayMs: 0 },
+    translate: async (texts, targetLang, options) => {
+      requests.push({ texts, contexts: options.contexts });
+      return texts.map(text => text.toUpperCase());
+    }
+  });
+  return requests;
+}
+
+const keys = [
+  { key: 'home.title', text: 'Welcome', description: 'text of <h1> in Home; near "Sign in"' },
+  { key: 'home.intro', text: 'Pick a plan', description: 'text of <p> in Home; near "Welcome"' },
+  { key: 'home.open', text: 'Open', sense: 'action', description: 'text of <button> in Home' },
+  { key: 'home.start', text: 'Start', sense: 'action', description: 'text of <button> in Pricing' },
+  { key: 'home.email', text: 'Email', sense: 'placeholder', description: 'placeholder attribute of <input> in Home' }
+];
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('translation contexts', () => {
+  test('a provider with one context per request gets a batch per sense', async () => {
+    const requests = createProvider('per-request', true);
+    const result = await translateStrings(keys.map(({ text }) => text), 'fr', 'key', 'per-request', keys);
+
+    expect(requests).toEqual([
+      { texts: ['Welcome', 'Pick a plan'], contexts: [null, null] },
+      { texts: ['Open', 'Start'], contexts: ['Label of a button or link', 'Label of a button or link'] },
+      { texts: ['Email'], contexts: ['Used as: placeholder'] }
+    ]);
+    expect(result.home).toEqual({ title: 'WELCOME', intro: 'PICK A PLAN', open: 'OPEN', start: 'START', email: 'EMAIL' });
+  });
+
+  test('other providers get each text\'s own context in one batch', async () => {
+    const requests = createProvider('per-text', false);
+    await translateStrings(keys.map(({ text }) => text), 'fr', 'key', 'per-text', keys);
+
+    expect(requests).toEqual([{ texts: keys.map(({ text }) => text), contexts: keys.map(({ description }) => description) }]);
+  });
+});
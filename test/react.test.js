@@ -0,0 +1,100 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const reactAdapter = require('../lib/frameworks/react');
+
+let dir;
+
+beforeEach(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'i18n-adapt-react-'));
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(async () => {
+  jest.restoreAllMocks();
+  await fs.remove(dir);
+});
+
+describe('React string replacement', () => {
+  test('text, attributes and messages become t() calls and the component gets the hook', async () => {
+    const file = path.join(dir, 'src/Inbox.jsx');
+    await fs.outputFile(file, `export default function Inbox({ count, user }) {
+  return (
+    <div>
+      <h1>Your inbox</h1>
+      <input placeholder="Search mail" />
+      <p>Hello {user.name}, you have {count} new messages</p>
+    </div>
+  );
+}
+`);
+    const keys = { 'Your inbox': 'inbox.title', 'Search mail': 'inbox.search', 'Hello {{userName}}, you have {{count}} new messages': 'inbox.greeting' };
+    const structure = { rootDir: dir, storage: 'json', sourceLocale: 'en', i18nFile: path.join(dir, 'src/i18n.js') };
+
+    const replaced = await reactAdapter.replaceStrings(structure, [file], entry => keys[entry.text]);
+
+    expect(await fs.readFile(file, 'utf8')).toBe(`import { useTranslation } from 'react-i18next';
+export default function Inbox({ count, user }) {
+  const { t } = useTranslation();
+  return (
+    <div>
+      <h1>{t('inbox.title')}</h1>
+      <input placeholder={t('inbox.search')} />
+      <p>{t('inbox.greeting', { count, userName: user.name })}</p>
+    </div>
+  );
+}
+`);
+    expect(replaced.map(entry => entry.key).sort()).toEqual(['inbox.greeting', 'inbox.search', 'inbox.title']);
+    expect(await fs.readJson(path.join(dir, 'src/locales/en/inbox.json'))).toEqual({
+      title: 'Your inbox',
+      search: 'Search mail',
+      greeting_one: 'Hello {{userName}}, you have {{count}} new message',
+      greeting_other: 'Hello {{userName}}, you have {{count}} new messages'
+    });
+  });
+
+  test('text outside a component is left in place', async () => {
+    const file = path.join(dir, 'src/labels.js');
+    const content = "export const title = <h1>Your inbox</h1>;\n";
+    await fs.outputFile(file, content);
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    const structure = { rootDir: dir, storage: 'json', sourceLocale: 'en', i18nFile: path.join(dir, 'src/i18n.js') };
+    expect(await reactAdapter.replaceStrings(structure, [file], () => 'inbox.title')).toEqual([]);
+    expect(await fs.readFile(file, 'utf8')).toBe(content);
+  });
+});
+
+describe('inline React translations', () => {
+  const setup = async sourceLocale => {
+    await fs.outputJson(path.join(dir, 'package.json'), { dependencies: { react: '^18.0.0', 'react-i18next': '^13.0.0' } });
+    await reactAdapter.initialize(dir, { storage: 'inline', sourceLocale });
+    return { rootDir: dir, storage: 'inline', sourceLocale, i18nFile: path.join(dir, 'src/i18n.js') };
+  };
+
+  test('regional locales get valid identifiers and quoted resource keys', async () => {
+    const structure = await setup('pt-BR');
+    await reactAdapter.updateTranslations(structure, { common: { retry: 'Wiederholen' } }, 'de-AT', false);
+
+    const content = await fs.readFile(structure.i18nFile, 'utf8');
+    expect(content).toContain('const ptBrTranslations = {');
+    expect(content).toContain('const deAtTranslations = {');
+    expect(content).toContain("'de-AT': {\n        translation: deAtTranslations\n      }");
+    expect(await reactAdapter.listLanguages(structure)).toEqual(['de-AT', 'pt-BR']);
+    expect(await reactAdapter.readTranslations(structure, 'de-AT')).toEqual({ common: { retry: 'Wiederholen' } });
+  });
+
+  test('a language object with nested objects and "};" in its text is replaced whole', async () => {
+    const structure = await setup('en');
+    await reactAdapter.updateTranslations(structure, { code: { sample: 'const a = {};', nested: { deep: 'Deep' } } }, 'fr', false);
+    await reactAdapter.updateTranslations(structure, { common: { retry: 'Réessayer' } }, 'fr', false);
+
+    expect(await reactAdapter.readTranslations(structure, 'fr')).toEqual({
+      code: { sample: 'const a = {};', nested: { deep: 'Deep' } },
+      common: { retry: 'Réessayer' }
+    });
+    expect((await reactAdapter.readTranslations(structure, 'en')).common.retry).toBe('Retry');
+    expect((await fs.readFile(structure.i18nFile, 'utf8')).match(/const frTranslations/g)).toHaveLength(1);
+  });
+});
@@ -0,0 +1,151 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const staging = require('../lib/utils/staging');
+const { beginRun, discardRun, commitRun, listRuns, pruneRuns, rollbackRun } = require('../lib/runs');
+
+describe('staging', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'i18n-adapt-staging-'));
+    await fs.outputFile(path.join(dir, 'locales/en.json'), '{}\n');
+  });
+
+  afterEach(async () => {
+    staging.discardStaging();
+    await fs.remove(dir);
+  });
+
+  test('outside a session writes go straight to disk', async () => {
+    await staging.outputFile(path.join(dir, 'a.txt'), 'a');
+    expect(await fs.readFile(path.join(dir, 'a.txt'), 'utf8')).toBe('a');
+    expect(await staging.getStagedChanges()).toEqual([]);
+  });
+
+  test('staged writes are read back but leave the disk alone', async () => {
+    staging.beginStaging();
+    await staging.outputJson(path.join(dir, 'locales/de.json'), { title: 'Titel' });
+    await staging.writeFile(path.join(dir, 'locales/en.json'), '{}\n');
+
+    expect(await staging.readJson(path.join(dir, 'locales/de.json'))).toEqual({ title: 'Titel' });
+    expect(await staging.pathExists(path.join(dir, 'locales/de.json'))).toBe(true);
+    expect(await staging.readdir(path.join(dir, 'locales'))).toEqual(['de.json', 'en.json']);
+    expect(await fs.pathExists(path.join(dir, 'locales/de.json'))).toBe(false);
+
+    // Writing a file's current content is no change
+    expect(await staging.getStagedChanges()).toEqual([
+      { file: path.join(dir, 'locales/de.json'), before: null, after: '{\n  "title": "Titel"\n}\n' }
+    ]);
+  });
+
+  test('staged directories and removals show in reads', async () => {
+    staging.beginStaging();
+    await staging.outputFile(path.join(dir, 'src/i18n/index.js'), 'export {};\n');
+    await staging.remove(path.join(dir, 'locales'));
+
+    expect((await staging.stat(path.join(dir, 'src/i18n'))).isDirectory()).toBe(true);
+    expect(await staging.readdir(dir)).toEqual(['locales', 'src']);
+    expect(await staging.readdir(path.join(dir, 'locales'))).toEqual([]);
+    expect(await staging.pathExists(path.join(dir, 'locales/en.json'))).toBe(false);
+    await expect(staging.readFile(path.join(dir, 'locales/en.json'), 'utf8')).rejects.toMatchObject({ code: 'ENOENT' });
+    expect(await fs.pathExists(path.join(dir, 'locales/en.json'))).toBe(true);
+
+    expect((await staging.getStagedChanges()).map(({ file, before, after }) => [path.relative(dir, file), before, after])).toEqual([
+      ['locales/en.json', '{}\n', null],
+      ['src/i18n/index.js', null, 'export {};\n']
+    ]);
+  });
+});
+
+describe('runs', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'i18n-adapt-runs-'));
+    await fs.outputFile(path.join(dir, 'locales/en.json'), '{"title":"Title"}\n');
+    await fs.outputFile(path.join(dir, 'old.txt'), 'old\n');
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    discardRun();
+    jest.restoreAllMocks();
+    await fs.remove(dir);
+  });
+
+  const run = async (command = 'translate') => {
+    beginRun();
+    await staging.outputFile(path.join(dir, 'locales/en.json'), '{"title":"Home"}\n');
+    await staging.outputFile(path.join(dir, 'locales/de.json'), '{"title":"Start"}\n');
+    await staging.remove(path.join(dir, 'old.txt'));
+    return commitRun(dir, { command });
+  };
+
+  test('a run applies its changes together and records a manifest with backups', async () => {
+    const manifest = await run();
+
+    expect(await fs.readFile(path.join(dir, 'locales/en.json'), 'utf8')).toBe('{"title":"Home"}\n');
+    expect(await fs.readFile(path.join(dir, 'locales/de.json'), 'utf8')).toBe('{"title":"Start"}\n');
+    expect(await fs.pathExists(path.join(dir, 'old.txt'))).toBe(false);
+
+    expect(manifest).toMatchObject({ command: 'translate', status: 'applied' });
+    expect(manifest.files.map(({ file, action }) => [file, action])).toEqual([
+      ['locales/de.json', 'created'],
+      ['locales/en.json', 'modified'],
+      ['old.txt', 'deleted']
+    ]);
+    expect(await listRuns(dir)).toEqual([manifest]);
+    expect(await fs.readFile(path.join(dir, '.i18n-adapt/.gitignore'), 'utf8')).toBe('*\n');
+  });
+
+  test('a run without changes records nothing', async () => {
+    beginRun();
+    await staging.outputFile(path.join(dir, 'old.txt'), 'old\n');
+    expect(await commitRun(dir)).toBeNull();
+    expect(await listRuns(dir)).toEqual([]);
+  });
+
+  test('discarding a run leaves the project alone', async () => {
+    beginRun();
+    await staging.outputFile(path.join(dir, 'locales/de.json'), '{}\n');
+    discardRun();
+    expect(await fs.pathExists(path.join(dir, 'locales/de.json'))).toBe(false);
+    expect(staging.isStaging()).toBe(false);
+  });
+
+  test('rolling back restores every file the run touched', async () => {
+    const manifest = await run();
+    const rolledBack = await rollbackRun(dir);
+
+    expect(rolledBack).toMatchObject({ runId: manifest.runId, status: 'rolled-back' });
+    expect(await fs.readFile(path.join(dir, 'locales/en.json'), 'utf8')).toBe('{"title":"Title"}\n');
+    expect(await fs.pathExists(path.join(dir, 'locales/de.json'))).toBe(false);
+    expect(await fs.readFile(path.join(dir, 'old.txt'), 'utf8')).toBe('old\n');
+
+    await expect(rollbackRun(dir, manifest.runId)).rejects.toThrow('was already rolled back');
+    await expect(rollbackRun(dir)).rejects.toThrow('No applied run to roll back');
+    await expect(rollbackRun(dir, 'missing')).rejects.toThrow('Run not found: missing');
+  });
+
+  test('files edited after a run are only restored with force', async () => {
+    await run();
+    await fs.outputFile(path.join(dir, 'locales/de.json'), '{"title":"Anfang"}\n');
+
+    await expect(rollbackRun(dir)).rejects.toThrow('These files changed after run');
+    expect(await fs.readFile(path.join(dir, 'locales/de.json'), 'utf8')).toBe('{"title":"Anfang"}\n');
+
+    await rollbackRun(dir, null, { force: true });
+    expect(await fs.pathExists(path.join(dir, 'locales/de.json'))).toBe(false);
+    expect(await fs.readFile(path.join(dir, 'locales/en.json'), 'utf8')).toBe('{"title":"Title"}\n');
+  });
+
+  test('only the newest runs are kept', async () => {
+    await fs.outputFile(path.join(dir, '.i18n-adapt/runs/20200101T000000-aaaa/manifest.json'), '{"runId":"20200101T000000-aaaa","status":"applied","files":[]}');
+    await fs.outputFile(path.join(dir, '.i18n-adapt/runs/20200102T000000-bbbb/manifest.json'), '{"runId":"20200102T000000-bbbb","status":"applied","files":[]}');
+    const manifest = await run();
+
+    expect(await pruneRuns(dir, 2)).toEqual(['20200101T000000-aaaa']);
+    expect((await listRuns(dir)).map(({ runId }) => runId)).toEqual([manifest.runId, '20200102T000000-bbbb']);
+  });
+});
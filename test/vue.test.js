@@ -0,0 +1,131 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { extractStrings } = require('../lib/extractors/vue');
+const vueAdapter = require('../lib/frameworks/vue');
+
+const sfc = script => `<template>\n  <div></div>\n</template>\n<script>\n${script}\n</script>\n`;
+
+describe('Vue extraction', () => {
+  const component = `<template>
+  <div>
+    <h1>Welcome back</h1>
+    <input placeholder="Search files" :title="'Type a name'" class="search" />
+    <p>Hello {{ user.name }}, you have {{ count }} files</p>
+    <code>npm install</code>
+  </div>
+</template>
+<script setup>
+const label = confirm('Discard changes?');
+</script>
+`;
+
+  const shown = () => extractStrings(component, '/app/src/Files.vue').filter(entry => entry.userFacing);
+
+  test('text, attributes, bound strings, interpolated messages and script strings are found', () => {
+    expect(shown().map(entry => [entry.kind, entry.text])).toEqual([
+      ['template-text', 'Welcome back'],
+      ['template-attribute', 'Search files'],
+      ['template-binding', 'Type a name'],
+      ['template-message', 'Hello {userName}, you have {count} files'],
+      ['literal', 'Discard changes?']
+    ]);
+  });
+
+  test('each string knows where it is in the file', () => {
+    const [heading, , binding, message, script] = shown();
+    expect(heading).toMatchObject({ line: 3, element: 'h1', block: 'template', component: { name: 'Files' } });
+    expect(component.slice(binding.start, binding.end)).toBe("'Type a name'");
+    expect(message.values).toEqual([{ name: 'userName', source: 'user.name' }, { name: 'count', source: 'count' }]);
+    expect(script).toMatchObject({ line: 10, block: 'scriptSetup' });
+    expect(component.slice(script.start, script.end)).toBe("'Discard changes?'");
+  });
+
+  test('code, non-translatable attributes and symbols are not user-facing', () => {
+    const hidden = extractStrings(component, '/app/src/Files.vue').filter(entry => !entry.userFacing).map(entry => entry.text);
+    expect(hidden).toEqual(expect.arrayContaining(['npm install', 'search']));
+  });
+
+  test('a broken component is an error', () => {
+    expect(() => extractStrings('<template><div></template>', 'Broken.vue')).toThrow();
+  });
+});
+
+describe('Vue script messages', () => {
+  test('interpolated text gets vue-i18n placeholders and no plural forms', () => {
+    const [message] = extractStrings(sfc('alert(`${count} files in ${this.folder.name}`);'), 'Files.vue');
+    expect(message).toMatchObject({
+      text: '{count} files in {folderName}',
+      values: [{ name: 'count', source: 'count' }, { name: 'folderName', source: 'this.folder.name' }],
+      plural: null,
+      block: 'script',
+      userFacing: true
+    });
+  });
+
+  test('a plural choice stays in the code', () => {
+    const strings = extractStrings(sfc("alert(`${count} ${count === 1 ? 'file' : 'files'} left`);"), 'Files.vue');
+    expect(strings.filter(entry => entry.userFacing)).toEqual([]);
+  });
+});
+
+describe('Vue string replacement', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'i18n-adapt-vue-'));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await fs.remove(dir);
+  });
+
+  test('template strings become $t() calls and <script setup> gets useI18n', async () => {
+    const file = path.join(dir, 'src/Files.vue');
+    await fs.outputFile(file, `<template>
+  <h1>Welcome back</h1>
+  <input placeholder="Search files" />
+  <p>{{ count }} files</p>
+</template>
+<script setup>
+import { ref } from 'vue';
+const ok = confirm('Discard changes?');
+</script>
+`);
+    const keys = { 'Welcome back': 'files.title', 'Search files': 'files.search', '{count} files': 'files.count', 'Discard changes?': 'files.discard' };
+    const structure = { rootDir: dir, sourceLocale: 'en', i18nFile: path.join(dir, 'src/i18n.js') };
+
+    await vueAdapter.replaceStrings(structure, [file], entry => keys[entry.text]);
+
+    expect(await fs.readFile(file, 'utf8')).toBe(`<template>
+  <h1>{{ $t('files.title') }}</h1>
+  <input :placeholder="$t('files.search')" />
+  <p>{{ $t('files.count', { count }) }}</p>
+</template>
+<script setup>
+import { ref } from 'vue';
+import { useI18n } from 'vue-i18n';
+
+const { t } = useI18n();
+
+const ok = confirm(t('files.discard'));
+</script>
+`);
+    expect(await fs.readJson(path.join(dir, 'src/locales/en.json'))).toEqual({
+      files: { title: 'Welcome back', search: 'Search files', count: '{count} files', discard: 'Discard changes?' }
+    });
+  });
+
+  test('script messages are called with their values', async () => {
+    const file = path.join(dir, 'src/Files.vue');
+    await fs.outputFile(file, sfc('export default {\n  methods: {\n    done(count) {\n      alert(`${count} files deleted`);\n    }\n  }\n};'));
+    const structure = { rootDir: dir, sourceLocale: 'en', i18nFile: path.join(dir, 'src/i18n.js') };
+
+    await vueAdapter.replaceStrings(structure, [file], () => 'files.deleted');
+
+    expect(await fs.readFile(file, 'utf8')).toContain("alert(this.$t('files.deleted', { count }));");
+    expect(await fs.readJson(path.join(dir, 'src/locales/en.json'))).toEqual({ files: { deleted: '{count} files deleted' } });
+  });
+});